@@ -0,0 +1,1469 @@
+const API_URL = '/api/movies';
+const PROJECT_TYPE_LABELS = {
+    feature_film: 'Feature Film',
+    tv_series: 'TV Series',
+    commercial: 'Commercial',
+    documentary: 'Documentary'
+};
+const CREDIT_ROLE_LABELS = {
+    dop: 'DOP',
+    dit: 'DIT',
+    data_wrangler: 'Data Wrangler',
+    colourist: 'Colourist'
+};
+const TOKEN_KEY = 'adminToken';
+const NO_POSTER_IMAGE = 'data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 150%22><rect fill=%22%23242a26%22 width=%22100%22 height=%22150%22/><text x=%2250%22 y=%2275%22 fill=%22%237a756c%22 text-anchor=%22middle%22 font-size=%2212%22>No Poster</text></svg>';
+let movies = [];
+let currentUser = null;
+let totalMovies = 0;
+const PAGE_SIZE = 24;
+const filters = { q: '', status: '', type: '', year_from: '', year_to: '', company: '' };
+
+function hasActiveFilters() {
+    return Object.values(filters).some(value => value !== '');
+}
+
+// Check the stored session on page load
+document.addEventListener('DOMContentLoaded', checkSession);
+
+// Fetch wrapper that sends the session token and handles expiry
+async function apiFetch(url, options = {}) {
+    const token = localStorage.getItem(TOKEN_KEY);
+    const headers = Object.assign({}, options.headers);
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const response = await fetch(url, Object.assign({}, options, { headers }));
+    if (response.status === 401 && token) {
+        showLogin('Your session has expired. Please log in again.');
+        throw new Error('Session expired');
+    }
+    return response;
+}
+
+async function checkSession() {
+    if (!localStorage.getItem(TOKEN_KEY)) {
+        showLogin();
+        return;
+    }
+
+    try {
+        const response = await apiFetch('/api/auth/me');
+        if (response.ok) {
+            showAdmin(await response.json());
+        }
+    } catch (error) {
+        console.error('Error checking session:', error);
+    }
+}
+
+function showLogin(message = '') {
+    localStorage.removeItem(TOKEN_KEY);
+    currentUser = null;
+    closeModal();
+    document.getElementById('login-message').textContent = message;
+    document.getElementById('admin-container').classList.remove('active');
+    document.getElementById('login-screen').classList.add('active');
+}
+
+function showAdmin(user) {
+    currentUser = user;
+    document.getElementById('current-user').textContent = `${user.username} (${user.role})`;
+    document.getElementById('login-screen').classList.remove('active');
+    document.getElementById('admin-container').classList.add('active');
+    document.getElementById('trash-button').style.display = user.role === 'admin' ? '' : 'none';
+    loadMovies();
+    loadBrokenPosters();
+    loadInquiryCount();
+}
+
+// Handle login
+document.getElementById('login-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    try {
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('login-username').value,
+                password: document.getElementById('login-password').value
+            })
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            localStorage.setItem(TOKEN_KEY, data.token);
+            e.target.reset();
+            showAdmin(data.user);
+        } else {
+            document.getElementById('login-message').textContent = data.error;
+        }
+    } catch (error) {
+        console.error('Error logging in:', error);
+        document.getElementById('login-message').textContent = 'Unable to reach the server';
+    }
+});
+
+async function logout() {
+    try {
+        await apiFetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('Error logging out:', error);
+    }
+    showLogin();
+}
+
+// Load the first page, or the next page when appending
+async function loadMovies(append = false) {
+    try {
+        const params = new URLSearchParams({ limit: PAGE_SIZE, offset: append ? movies.length : 0 });
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value !== '') params.set(key, value);
+        });
+
+        const response = await apiFetch(`${API_URL}?${params}`);
+        const page = await response.json();
+        if (!response.ok) {
+            throw new Error(page.error);
+        }
+
+        movies = append ? movies.concat(page) : page;
+        totalMovies = Number(response.headers.get('X-Total-Count')) || movies.length;
+        renderMovies();
+    } catch (error) {
+        console.error('Error loading movies:', error);
+        document.getElementById('movies-container').innerHTML =
+            '<div class="empty-state"><p>Error loading movies</p></div>';
+    }
+}
+
+// Smallest processed variant that still looks sharp in a card
+function posterThumbnail(movie) {
+    const variants = (movie.poster_variants || []).filter(variant => variant.format === 'webp');
+    const thumbnail = variants.find(variant => variant.width >= 240) || variants[variants.length - 1];
+    return thumbnail ? thumbnail.url : movie.poster_local || movie.poster_url;
+}
+
+function renderMovies() {
+    const container = document.getElementById('movies-container');
+
+    document.getElementById('results-summary').textContent =
+        `Showing ${movies.length} of ${totalMovies} movies`;
+    document.getElementById('load-more').style.display = movies.length < totalMovies ? '' : 'none';
+
+    if (movies.length === 0 && hasActiveFilters()) {
+        container.innerHTML = '<div class="empty-state"><p>No movies match these filters</p></div>';
+        return;
+    }
+
+    if (movies.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <p>No movies added yet</p>
+                <button class="btn btn-primary" data-action="add-movie">Add Your First Movie</button>
+            </div>
+        `;
+        return;
+    }
+
+    // Manual ordering only makes sense on the unfiltered list
+    const draggable = !hasActiveFilters();
+
+    container.innerHTML = html`${movies.map(movie => html`
+        <div class="movie-card${movie.featured ? ' featured' : ''}" data-id="${movie.id}" draggable="${draggable}">
+            <div class="movie-card-poster">
+                <img src="${safeUrl(posterThumbnail(movie)) || NO_POSTER_IMAGE}" alt="${movie.title}">
+            </div>
+            <div class="movie-card-info">
+                ${movie.featured ? html`<span class="status-badge featured-badge">Featured</span>` : ''}
+                ${movie.poster_fetch_error && !movie.poster_local && html`<span class="status-badge broken-badge" title="${movie.poster_fetch_error}">Poster link broken</span>`}
+                <span class="status-badge ${movie.status}">${movie.status}${movie.status === 'scheduled' && movie.publish_at ? ` · ${new Date(movie.publish_at).toLocaleString()}` : ''}</span>
+                <h3 class="movie-card-title">${movie.title}</h3>
+                <p class="movie-card-year">
+                    ${PROJECT_TYPE_LABELS[movie.project_type] || PROJECT_TYPE_LABELS.feature_film} · ${movie.year || 'Year unknown'}
+                    ${movie.project_type === 'tv_series' && movie.seasons ? ` · ${movie.seasons} season${movie.seasons > 1 ? 's' : ''}` : ''}
+                </p>
+                <p class="movie-card-meta">
+                    ${(movie.credits || []).map(credit => `${CREDIT_ROLE_LABELS[credit.role]}: ${credit.name}`).join(' | ')}
+                </p>
+                <div class="movie-card-actions">
+                    <button class="btn btn-secondary btn-small" data-action="edit" data-id="${movie.id}">Edit</button>
+                    <button class="btn btn-secondary btn-small" data-action="history" data-id="${movie.id}">History</button>
+                    ${currentUser && currentUser.role === 'admin' && html`<button class="btn btn-danger btn-small" data-action="delete" data-id="${movie.id}">Delete</button>`}
+                </div>
+            </div>
+        </div>
+    `)}`;
+}
+
+function openAddModal() {
+    document.getElementById('modal-title').textContent = 'Add Movie';
+    document.getElementById('movie-form').reset();
+    document.getElementById('movie-id').value = '';
+    document.getElementById('poster-preview').style.display = 'none';
+    setCreditRows([]);
+    setClipRows([]);
+    setFetchMessage('');
+    clearFieldErrors();
+    toggleSeriesFields();
+    togglePublishAt();
+    document.getElementById('movie-modal').classList.add('active');
+}
+
+function openEditModal(id) {
+    const movie = movies.find(m => m.id === id);
+    if (!movie) return;
+
+    document.getElementById('modal-title').textContent = 'Edit Movie';
+    setFetchMessage('');
+    clearFieldErrors();
+    document.getElementById('movie-id').value = movie.id;
+    document.getElementById('title').value = movie.title || '';
+    document.getElementById('year').value = movie.year || '';
+    document.getElementById('featured').checked = !!movie.featured;
+    document.getElementById('status').value = movie.status || 'draft';
+    document.getElementById('publish_at').value = movie.publish_at ? toLocalInputValue(movie.publish_at) : '';
+    togglePublishAt();
+    document.getElementById('project_type').value = movie.project_type || 'feature_film';
+    document.getElementById('seasons').value = movie.seasons || '';
+    document.getElementById('episode_count').value = movie.episode_count || '';
+    toggleSeriesFields();
+    document.getElementById('poster_url').value = movie.poster_url || '';
+    setCreditRows(movie.credits || []);
+    document.getElementById('production_company').value = movie.production_company || '';
+    document.getElementById('imdb_url').value = movie.imdb_url || '';
+    document.getElementById('tmdb_url').value = movie.tmdb_url || '';
+    document.getElementById('trailer_url').value = movie.trailer_url || '';
+    setClipRows(movie.clips || []);
+    document.getElementById('synopsis').value = movie.synopsis || '';
+    document.getElementById('title_fi').value = movie.title_fi || '';
+    document.getElementById('synopsis_fi').value = movie.synopsis_fi || '';
+
+    const preview = document.getElementById('poster-preview');
+    if (safeUrl(posterThumbnail(movie))) {
+        preview.src = safeUrl(posterThumbnail(movie));
+        preview.style.display = 'block';
+    } else {
+        preview.style.display = 'none';
+    }
+
+    document.getElementById('movie-modal').classList.add('active');
+}
+
+// Seasons and episodes only apply to TV series
+function toggleSeriesFields() {
+    const isSeries = document.getElementById('project_type').value === 'tv_series';
+    document.getElementById('series-fields').style.display = isSeries ? '' : 'none';
+}
+
+document.getElementById('project_type').addEventListener('change', toggleSeriesFields);
+
+// Publish time only applies to scheduled projects
+function togglePublishAt() {
+    const isScheduled = document.getElementById('status').value === 'scheduled';
+    document.getElementById('publish-at-field').style.display = isScheduled ? '' : 'none';
+}
+
+document.getElementById('status').addEventListener('change', togglePublishAt);
+
+// datetime-local inputs work in local time without a zone
+function toLocalInputValue(iso) {
+    const date = new Date(iso);
+    date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+    return date.toISOString().slice(0, 16);
+}
+
+// Drag and drop reordering of the movie cards
+const moviesContainer = document.getElementById('movies-container');
+let draggedCard = null;
+
+// Broken poster images fall back to the placeholder; error does not bubble
+moviesContainer.addEventListener('error', (e) => {
+    const img = e.target;
+    if (img.tagName !== 'IMG' || img.dataset.fallback) return;
+    img.dataset.fallback = 'true';
+    img.src = NO_POSTER_IMAGE;
+}, true);
+
+moviesContainer.addEventListener('dragstart', (e) => {
+    draggedCard = e.target.closest('.movie-card');
+    if (!draggedCard) return;
+    draggedCard.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+});
+
+moviesContainer.addEventListener('dragover', (e) => {
+    if (!draggedCard) return;
+    e.preventDefault();
+    const target = e.target.closest('.movie-card');
+    if (!target || target === draggedCard) return;
+
+    // Insert before or after depending on which half of the card we are over
+    const rect = target.getBoundingClientRect();
+    const after = e.clientX > rect.left + rect.width / 2;
+    moviesContainer.insertBefore(draggedCard, after ? target.nextSibling : target);
+});
+
+moviesContainer.addEventListener('dragend', async () => {
+    if (!draggedCard) return;
+    draggedCard.classList.remove('dragging');
+    draggedCard = null;
+
+    const ids = [...moviesContainer.querySelectorAll('.movie-card')].map(card => Number(card.dataset.id));
+    try {
+        const response = await apiFetch(`${API_URL}/order`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ids })
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            alert('Error: ' + error.error);
+        }
+    } catch (error) {
+        console.error('Error saving order:', error);
+        alert('Error saving order');
+    }
+    loadMovies();
+});
+
+// Filter chips, one active chip per group
+document.querySelectorAll('#movie-filters .filter-chip').forEach(chip => {
+    chip.addEventListener('click', () => {
+        const group = chip.dataset.filter;
+        document.querySelectorAll(`#movie-filters .filter-chip[data-filter="${group}"]`)
+            .forEach(c => c.classList.remove('active'));
+        chip.classList.add('active');
+        filters[group] = chip.dataset.value;
+        loadMovies();
+    });
+});
+
+// Search and text filters, debounced while typing
+let filterTimeout = null;
+[
+    ['filter-q', 'q'],
+    ['filter-year-from', 'year_from'],
+    ['filter-year-to', 'year_to'],
+    ['filter-company', 'company']
+].forEach(([inputId, key]) => {
+    document.getElementById(inputId).addEventListener('input', (e) => {
+        filters[key] = e.target.value.trim();
+        clearTimeout(filterTimeout);
+        filterTimeout = setTimeout(() => loadMovies(), 300);
+    });
+});
+
+// Credits editor: one row per person and role
+function addCreditRow(credit = { name: '', role: 'dit' }) {
+    const row = document.createElement('div');
+    row.className = 'credit-row';
+    row.innerHTML = html`
+        <input type="text" class="credit-name" list="people-options" placeholder="Name" autocomplete="off">
+        <select class="credit-role">
+            ${Object.entries(CREDIT_ROLE_LABELS).map(([value, label]) => html`<option value="${value}">${label}</option>`)}
+        </select>
+        <button type="button" class="credit-remove" aria-label="Remove credit">&times;</button>
+    `;
+    row.querySelector('.credit-name').value = credit.name;
+    row.querySelector('.credit-role').value = credit.role;
+    row.querySelector('.credit-remove').addEventListener('click', () => row.remove());
+    document.getElementById('credit-rows').appendChild(row);
+}
+
+function setCreditRows(credits) {
+    document.getElementById('credit-rows').innerHTML = '';
+    credits.forEach(credit => addCreditRow(credit));
+}
+
+function getCreditRows() {
+    return [...document.querySelectorAll('#credit-rows .credit-row')]
+        .map(row => ({
+            name: row.querySelector('.credit-name').value.trim(),
+            role: row.querySelector('.credit-role').value
+        }))
+        .filter(credit => credit.name);
+}
+
+// Clips editor: extra videos played after the trailer
+function addClipRow(clip = { label: '', url: '' }) {
+    const row = document.createElement('div');
+    row.className = 'clip-row';
+    row.innerHTML = html`
+        <input type="text" class="clip-label" list="clip-labels" placeholder="Name" autocomplete="off">
+        <input type="url" class="clip-url" placeholder="https://vimeo.com/...">
+        <button type="button" class="credit-remove" aria-label="Remove clip">&times;</button>
+    `;
+    row.querySelector('.clip-label').value = clip.label;
+    row.querySelector('.clip-url').value = clip.url;
+    row.querySelector('.credit-remove').addEventListener('click', () => row.remove());
+    document.getElementById('clip-rows').appendChild(row);
+}
+
+function setClipRows(clips) {
+    document.getElementById('clip-rows').innerHTML = '';
+    clips.forEach(clip => addClipRow(clip));
+}
+
+function getClipRows() {
+    return [...document.querySelectorAll('#clip-rows .clip-row')]
+        .map(row => ({
+            label: row.querySelector('.clip-label').value.trim(),
+            url: row.querySelector('.clip-url').value.trim()
+        }))
+        .filter(clip => clip.label || clip.url);
+}
+
+// Suggest existing people while typing a credit name
+let peopleTimeout = null;
+document.getElementById('credit-rows').addEventListener('input', (e) => {
+    if (!e.target.classList.contains('credit-name')) return;
+    const query = e.target.value.trim();
+    clearTimeout(peopleTimeout);
+    if (!query) return;
+
+    peopleTimeout = setTimeout(async () => {
+        try {
+            const response = await apiFetch(`/api/people?q=${encodeURIComponent(query)}`);
+            const people = await response.json();
+            const options = document.getElementById('people-options');
+            options.innerHTML = '';
+            people.forEach(person => {
+                const option = document.createElement('option');
+                option.value = person.name;
+                options.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Error loading people:', error);
+        }
+    }, 200);
+});
+
+// Form fields the metadata lookup can fill
+const METADATA_FIELDS = ['title', 'year', 'project_type', 'seasons', 'episode_count', 'production_company', 'synopsis', 'poster_url', 'imdb_url', 'tmdb_url'];
+
+function setFetchMessage(text, isError = false) {
+    const message = document.getElementById('fetch-details-message');
+    message.textContent = text;
+    message.classList.toggle('error', isError);
+}
+
+// Fill the form from the TMDB or IMDb link; fields that already hold a
+// different value are only replaced after confirmation
+async function fetchDetails() {
+    const link = document.getElementById('tmdb_url').value.trim() || document.getElementById('imdb_url').value.trim();
+    if (!link) {
+        setFetchMessage('Paste a TMDB or IMDb link first', true);
+        return;
+    }
+
+    const button = document.getElementById('fetch-details');
+    button.disabled = true;
+    setFetchMessage('Fetching...');
+
+    try {
+        const response = await apiFetch(`/api/metadata/lookup?url=${encodeURIComponent(link)}`);
+        const result = await response.json();
+        if (!response.ok) {
+            setFetchMessage(result.error, true);
+            return;
+        }
+
+        const fetched = METADATA_FIELDS
+            .filter(name => result.fields[name] !== null && result.fields[name] !== undefined && result.fields[name] !== '')
+            .map(name => ({ name, input: document.getElementById(name), value: String(result.fields[name]) }));
+        const conflicts = fetched.filter(field => field.input.value.trim() !== '' && field.input.value.trim() !== field.value);
+
+        let overwrite = false;
+        if (conflicts.length > 0) {
+            const lines = conflicts.map(field => {
+                const label = document.querySelector(`label[for="${field.name}"]`).textContent.replace(/\s*\*$/, '');
+                return `${label}: "${field.input.value.trim()}" → "${field.value}"`;
+            });
+            overwrite = confirm(`These fields already have values:\n\n${lines.join('\n')}\n\nReplace them with the fetched details?`);
+        }
+
+        let filled = 0;
+        fetched.forEach(field => {
+            if (field.input.value.trim() === field.value) return;
+            if (field.input.value.trim() === '' || overwrite) {
+                field.input.value = field.value;
+                filled++;
+            }
+        });
+        toggleSeriesFields();
+
+        const kept = overwrite ? 0 : conflicts.length;
+        setFetchMessage(`Filled ${filled} ${filled === 1 ? 'field' : 'fields'} from ${result.provider.toUpperCase()}${kept ? `, kept ${kept} existing` : ''}`);
+    } catch (error) {
+        console.error('Error fetching details:', error);
+        setFetchMessage('Error fetching details', true);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function closeModal() {
+    document.getElementById('movie-modal').classList.remove('active');
+}
+
+// Validation errors from the server, keyed by field, shown under each field
+const FIELD_ERROR_TARGETS = { credits: 'credit-rows', clips: 'clip-rows' };
+
+function clearFieldErrors() {
+    document.querySelectorAll('#movie-form .field-error').forEach(hint => hint.remove());
+    document.querySelectorAll('#movie-form .invalid').forEach(input => input.classList.remove('invalid'));
+}
+
+// Returns the messages that have no field on the form
+function showFieldErrors(errors) {
+    clearFieldErrors();
+    const unplaced = [];
+    let first = null;
+    for (const [field, message] of Object.entries(errors)) {
+        const input = document.getElementById(FIELD_ERROR_TARGETS[field] || field);
+        const group = input && input.closest('.form-group');
+        if (!group) {
+            unplaced.push(message);
+            continue;
+        }
+        input.classList.add('invalid');
+        const hint = document.createElement('p');
+        hint.className = 'form-hint error field-error';
+        hint.textContent = message;
+        group.appendChild(hint);
+        first = first || input;
+    }
+    if (first) {
+        first.scrollIntoView({ block: 'center' });
+    }
+    return unplaced;
+}
+
+// Handle form submission
+document.getElementById('movie-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const formData = new FormData(e.target);
+    const movieId = document.getElementById('movie-id').value;
+
+    formData.set('credits', JSON.stringify(getCreditRows()));
+    formData.set('clips', JSON.stringify(getClipRows()));
+
+    // Send the publish time as UTC
+    const publishAt = document.getElementById('publish_at').value;
+    if (formData.get('status') === 'scheduled' && publishAt) {
+        formData.set('publish_at', new Date(publishAt).toISOString());
+    }
+
+    try {
+        const url = movieId ? `${API_URL}/${movieId}` : API_URL;
+        const method = movieId ? 'PUT' : 'POST';
+
+        const response = await apiFetch(url, {
+            method: method,
+            body: formData
+        });
+
+        if (response.ok) {
+            closeModal();
+            loadMovies();
+        } else {
+            const error = await response.json();
+            const unplaced = error.errors ? showFieldErrors(error.errors) : [error.error];
+            if (unplaced.length > 0) {
+                alert('Error: ' + unplaced.join('\n'));
+            }
+        }
+    } catch (error) {
+        console.error('Error saving movie:', error);
+        alert('Error saving movie');
+    }
+});
+
+async function deleteMovie(id) {
+    if (!confirm('Move this movie to the trash? It can be restored from there until it is purged.')) return;
+
+    try {
+        const response = await apiFetch(`${API_URL}/${id}`, {
+            method: 'DELETE'
+        });
+
+        if (response.ok) {
+            loadMovies();
+        } else {
+            const error = await response.json();
+            alert('Error: ' + error.error);
+        }
+    } catch (error) {
+        console.error('Error deleting movie:', error);
+        alert('Error deleting movie');
+    }
+}
+
+// Regenerate data/movies.json so the static site matches the database
+async function publishSite() {
+    try {
+        const response = await apiFetch('/api/publish', { method: 'POST' });
+        const result = await response.json();
+
+        if (response.ok) {
+            alert(result.message);
+        } else {
+            alert('Error: ' + result.error);
+        }
+    } catch (error) {
+        console.error('Error publishing:', error);
+        alert('Error publishing');
+    }
+}
+
+const REVISION_ACTIONS = {
+    initial: 'Before history was recorded',
+    create: 'Created',
+    update: 'Updated',
+    import: 'Imported',
+    revert: 'Reverted',
+    delete: 'Moved to trash',
+    restore: 'Restored from trash',
+    purge: 'Deleted permanently'
+};
+const FIELD_LABELS = {
+    title: 'Title',
+    year: 'Year',
+    project_type: 'Type',
+    seasons: 'Seasons',
+    episode_count: 'Episodes',
+    status: 'Status',
+    publish_at: 'Publish time',
+    featured: 'Featured',
+    production_company: 'Production company',
+    synopsis: 'Synopsis',
+    title_fi: 'Finnish title',
+    synopsis_fi: 'Finnish synopsis',
+    imdb_url: 'IMDB URL',
+    tmdb_url: 'TMDB URL',
+    trailer_url: 'Trailer URL',
+    poster_url: 'Poster URL',
+    credits: 'Credits',
+    clips: 'Clips'
+};
+let historyMovieId = null;
+
+// SQLite timestamps are UTC without a zone marker
+function formatTimestamp(value) {
+    return new Date(value.replace(' ', 'T') + 'Z').toLocaleString();
+}
+
+function formatRevisionValue(field, value) {
+    if (value === null || value === '') return '(empty)';
+    if (field === 'featured') return value ? 'Yes' : 'No';
+    if (field === 'project_type') return PROJECT_TYPE_LABELS[value] || value;
+    if (field === 'publish_at') return new Date(value).toLocaleString();
+    return value;
+}
+
+async function openHistoryModal(id) {
+    const movie = movies.find(m => m.id === id);
+    historyMovieId = id;
+    document.getElementById('history-title').textContent = `History: ${movie ? movie.title : ''}`;
+    document.getElementById('history-list').innerHTML = '<div class="loading">Loading history...</div>';
+    document.getElementById('history-modal').classList.add('active');
+    loadHistory();
+}
+
+function closeHistoryModal() {
+    document.getElementById('history-modal').classList.remove('active');
+}
+
+async function loadHistory() {
+    const list = document.getElementById('history-list');
+    try {
+        const response = await apiFetch(`${API_URL}/${historyMovieId}/revisions`);
+        const revisions = await response.json();
+        if (!response.ok) {
+            list.innerHTML = html`<p class="form-hint error">${revisions.error}</p>`;
+            return;
+        }
+
+        list.innerHTML = html`${revisions.map((revision, index) => html`
+            <div class="revision">
+                <div class="revision-header">
+                    <span>
+                        <strong>${REVISION_ACTIONS[revision.action] || revision.action}</strong>
+                        ${revision.username ? `by ${revision.username}` : ''} &middot; ${formatTimestamp(revision.created_at)}
+                    </span>
+                    ${index > 0 && html`<button class="btn btn-secondary btn-small" data-action="revert" data-revision-id="${revision.id}">Revert to This</button>`}
+                </div>
+                <ul class="revision-changes">
+                    ${Object.entries(revision.changes).map(([field, change]) => html`
+                        <li>
+                            <span class="revision-field">${FIELD_LABELS[field] || field}</span>
+                            ${revision.action === 'initial' || revision.action === 'create'
+                                ? html`<ins>${formatRevisionValue(field, change.to)}</ins>`
+                                : html`<del>${formatRevisionValue(field, change.from)}</del> &rarr; <ins>${formatRevisionValue(field, change.to)}</ins>`}
+                        </li>
+                    `)}
+                </ul>
+            </div>
+        `)}`;
+    } catch (error) {
+        console.error('Error loading history:', error);
+        list.innerHTML = '<p class="form-hint error">Error loading history</p>';
+    }
+}
+
+async function revertToRevision(revisionId) {
+    if (!confirm('Revert this project to the selected version? The current state stays in the history.')) return;
+
+    try {
+        const response = await apiFetch(`${API_URL}/${historyMovieId}/revisions/${revisionId}/revert`, { method: 'POST' });
+        if (response.ok) {
+            loadHistory();
+            loadMovies();
+        } else {
+            const error = await response.json();
+            alert('Error: ' + error.error);
+        }
+    } catch (error) {
+        console.error('Error reverting:', error);
+        alert('Error reverting project');
+    }
+}
+
+function openTrashModal() {
+    document.getElementById('trash-list').innerHTML = '<div class="loading">Loading trash...</div>';
+    document.getElementById('trash-modal').classList.add('active');
+    loadTrash();
+}
+
+function closeTrashModal() {
+    document.getElementById('trash-modal').classList.remove('active');
+}
+
+async function loadTrash() {
+    const list = document.getElementById('trash-list');
+    try {
+        const response = await apiFetch('/api/trash');
+        const trashed = await response.json();
+        if (!response.ok) {
+            list.innerHTML = html`<p class="form-hint error">${trashed.error}</p>`;
+            return;
+        }
+
+        document.getElementById('empty-trash').disabled = trashed.length === 0;
+        if (trashed.length === 0) {
+            list.innerHTML = '<p class="form-hint">The trash is empty.</p>';
+            return;
+        }
+        list.innerHTML = html`${trashed.map(movie => html`
+            <div class="trash-item">
+                <span>
+                    ${movie.title}${movie.year ? ` (${movie.year})` : ''}
+                    <span class="trash-item-meta">
+                        Deleted ${formatTimestamp(movie.deleted_at)}${movie.deleted_by ? ` by ${movie.deleted_by}` : ''}
+                        ${movie.purge_at && html`&middot; purged after ${formatTimestamp(movie.purge_at)}`}
+                    </span>
+                </span>
+                <span class="trash-item-actions">
+                    <button class="btn btn-secondary btn-small" data-action="restore" data-id="${movie.id}">Restore</button>
+                    <button class="btn btn-danger btn-small" data-action="purge" data-id="${movie.id}">Delete Forever</button>
+                </span>
+            </div>
+        `)}`;
+    } catch (error) {
+        console.error('Error loading trash:', error);
+        list.innerHTML = '<p class="form-hint error">Error loading trash</p>';
+    }
+}
+
+async function restoreMovie(id) {
+    try {
+        const response = await apiFetch(`/api/trash/${id}/restore`, { method: 'POST' });
+        if (response.ok) {
+            loadTrash();
+            loadMovies();
+        } else {
+            const error = await response.json();
+            alert('Error: ' + error.error);
+        }
+    } catch (error) {
+        console.error('Error restoring movie:', error);
+        alert('Error restoring movie');
+    }
+}
+
+async function purgeMovie(id) {
+    if (!confirm('Delete this movie and its poster permanently? This cannot be undone.')) return;
+
+    try {
+        const response = await apiFetch(`/api/trash/${id}`, { method: 'DELETE' });
+        if (response.ok) {
+            loadTrash();
+        } else {
+            const error = await response.json();
+            alert('Error: ' + error.error);
+        }
+    } catch (error) {
+        console.error('Error deleting movie:', error);
+        alert('Error deleting movie');
+    }
+}
+
+async function emptyTrash() {
+    if (!confirm('Delete everything in the trash permanently? This cannot be undone.')) return;
+
+    try {
+        const response = await apiFetch('/api/trash', { method: 'DELETE' });
+        if (response.ok) {
+            loadTrash();
+        } else {
+            const error = await response.json();
+            alert('Error: ' + error.error);
+        }
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+        alert('Error emptying trash');
+    }
+}
+
+// Production inquiries from the contact form
+const INQUIRY_STATUSES = ['new', 'contacted', 'booked', 'declined'];
+let inquiryStatusFilter = '';
+
+function openInquiriesModal() {
+    document.getElementById('inquiry-list').innerHTML = '<div class="loading">Loading inquiries...</div>';
+    document.getElementById('inquiries-modal').classList.add('active');
+    loadInquiries();
+}
+
+function closeInquiriesModal() {
+    document.getElementById('inquiries-modal').classList.remove('active');
+}
+
+function filterInquiries(chip) {
+    document.querySelectorAll('#inquiry-filters .filter-chip').forEach(c => c.classList.remove('active'));
+    chip.classList.add('active');
+    inquiryStatusFilter = chip.dataset.value;
+    loadInquiries();
+}
+
+// The number of new inquiries, shown on the Inquiries button
+async function loadInquiryCount() {
+    try {
+        const response = await apiFetch('/api/inquiries?status=new');
+        if (!response.ok) return;
+        const inquiries = await response.json();
+        document.getElementById('inquiry-count').textContent = inquiries.length > 0 ? inquiries.length : '';
+    } catch (error) {
+        console.error('Error loading inquiries:', error);
+    }
+}
+
+function renderInquiry(inquiry) {
+    const dates = [inquiry.shoot_start, inquiry.shoot_end].filter(Boolean).join(' – ');
+    const details = [
+        ['Phone', inquiry.phone],
+        ['Shoot dates', dates],
+        ['Location', inquiry.location],
+        ['Cameras', inquiry.cameras],
+        ['Expected data', inquiry.data_volume],
+        ['Equipment', inquiry.equipment.map(item => item.name).join(', ')],
+        ['Message', inquiry.message]
+    ].filter(([, value]) => value);
+
+    return html`
+        <div class="inquiry-item">
+            <div class="inquiry-item-header">
+                <span>
+                    <strong>${inquiry.production}</strong>
+                    <span class="trash-item-meta">
+                        ${inquiry.name} &middot; <a href="mailto:${inquiry.email}">${inquiry.email}</a>
+                        &middot; ${formatTimestamp(inquiry.created_at)}${inquiry.language ? ` · ${inquiry.language.toUpperCase()}` : ''}
+                    </span>
+                </span>
+                <span class="trash-item-actions">
+                    <select class="filter-input" data-inquiry-status="${inquiry.id}" aria-label="Status">
+                        ${INQUIRY_STATUSES.map(status => html`<option value="${status}"${status === inquiry.status ? html` selected` : ''}>${status}</option>`)}
+                    </select>
+                    ${inquiry.equipment.length > 0 && inquiry.shoot_start && html`<button class="btn btn-secondary btn-small" data-action="book-inquiry" data-id="${inquiry.id}">Book Kits</button>`}
+                    ${currentUser && currentUser.role === 'admin' && html`<button class="btn btn-danger btn-small" data-action="delete-inquiry" data-id="${inquiry.id}">Delete</button>`}
+                </span>
+            </div>
+            ${details.length > 0 && html`
+                <dl>
+                    ${details.map(([label, value]) => html`<dt>${label}</dt><dd>${value}</dd>`)}
+                </dl>
+            `}
+        </div>
+    `;
+}
+
+async function loadInquiries() {
+    const list = document.getElementById('inquiry-list');
+    try {
+        const query = inquiryStatusFilter ? `?status=${inquiryStatusFilter}` : '';
+        const response = await apiFetch(`/api/inquiries${query}`);
+        const inquiries = await response.json();
+        if (!response.ok) {
+            list.innerHTML = html`<p class="form-hint error">${inquiries.error}</p>`;
+            return;
+        }
+
+        if (inquiries.length === 0) {
+            list.innerHTML = '<p class="form-hint">No inquiries here.</p>';
+            return;
+        }
+        list.innerHTML = html`${inquiries.map(renderInquiry)}`;
+    } catch (error) {
+        console.error('Error loading inquiries:', error);
+        list.innerHTML = '<p class="form-hint error">Error loading inquiries</p>';
+    }
+}
+
+async function setInquiryStatus(select) {
+    try {
+        const response = await apiFetch(`/api/inquiries/${select.dataset.inquiryStatus}/status`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ status: select.value })
+        });
+        if (!response.ok) {
+            const error = await response.json();
+            alert('Error: ' + error.error);
+        }
+    } catch (error) {
+        console.error('Error updating inquiry:', error);
+        alert('Error updating inquiry');
+    }
+    loadInquiries();
+    loadInquiryCount();
+}
+
+async function deleteInquiry(id) {
+    if (!confirm('Delete this inquiry? This cannot be undone.')) return;
+
+    try {
+        const response = await apiFetch(`/api/inquiries/${id}`, { method: 'DELETE' });
+        if (response.ok) {
+            loadInquiries();
+            loadInquiryCount();
+        } else {
+            const error = await response.json();
+            alert('Error: ' + error.error);
+        }
+    } catch (error) {
+        console.error('Error deleting inquiry:', error);
+        alert('Error deleting inquiry');
+    }
+}
+
+// Reserve the kits an inquiry asked for over its shoot dates
+async function bookInquiry(id) {
+    if (!confirm('Book the requested kits for the shoot dates?')) return;
+
+    try {
+        const response = await apiFetch(`/api/inquiries/${id}/bookings`, { method: 'POST' });
+        const result = await response.json();
+        if (!response.ok) {
+            alert('Error: ' + result.error);
+            return;
+        }
+        alert(`Booked ${result.map(booking => booking.equipment_name).join(', ')}`);
+    } catch (error) {
+        console.error('Error booking kits:', error);
+        alert('Error booking kits');
+    }
+}
+
+document.getElementById('inquiry-list').addEventListener('change', (e) => {
+    if (e.target.dataset.inquiryStatus) setInquiryStatus(e.target);
+});
+
+// Rental kits and their bookings
+const EQUIPMENT_CATEGORY_LABELS = {
+    dit_cart: 'DIT cart',
+    monitor: 'Monitor',
+    storage: 'Storage',
+    portable_kit: 'Portable kit',
+    other: 'Other'
+};
+let equipmentItems = [];
+
+function openEquipmentModal() {
+    resetEquipmentForm();
+    document.getElementById('equipment-list').innerHTML = '<div class="loading">Loading equipment...</div>';
+    document.getElementById('equipment-modal').classList.add('active');
+    loadEquipment();
+    loadBookings();
+}
+
+function closeEquipmentModal() {
+    document.getElementById('equipment-modal').classList.remove('active');
+}
+
+function showFormError(id, message) {
+    const error = document.getElementById(id);
+    error.textContent = message || '';
+    error.hidden = !message;
+}
+
+function formatDateRange(start, end) {
+    return start === end ? start : `${start} – ${end}`;
+}
+
+async function loadEquipment() {
+    const list = document.getElementById('equipment-list');
+    try {
+        const response = await apiFetch('/api/equipment');
+        const items = await response.json();
+        if (!response.ok) {
+            list.innerHTML = html`<p class="form-hint error">${items.error}</p>`;
+            return;
+        }
+
+        equipmentItems = items;
+        document.getElementById('booking-equipment_id').innerHTML = html`${items.map(item => html`<option value="${item.id}">${item.name}</option>`)}`;
+        if (items.length === 0) {
+            list.innerHTML = '<p class="form-hint">No kits yet.</p>';
+            return;
+        }
+        list.innerHTML = html`${items.map(item => html`
+            <div class="trash-item">
+                <span>
+                    ${item.name}
+                    <span class="trash-item-meta">
+                        ${EQUIPMENT_CATEGORY_LABELS[item.category]} &middot; ${item.quantity} ${item.quantity === 1 ? 'unit' : 'units'}
+                        ${!item.public && html`&middot; not public`}
+                        ${item.serial_numbers && html`&middot; S/N ${item.serial_numbers.split('\n').join(', ')}`}
+                    </span>
+                </span>
+                <span class="trash-item-actions">
+                    <button class="btn btn-secondary btn-small" data-action="edit-equipment" data-id="${item.id}">Edit</button>
+                    ${currentUser && currentUser.role === 'admin' && html`<button class="btn btn-danger btn-small" data-action="delete-equipment" data-id="${item.id}">Delete</button>`}
+                </span>
+            </div>
+        `)}`;
+    } catch (error) {
+        console.error('Error loading equipment:', error);
+        list.innerHTML = '<p class="form-hint error">Error loading equipment</p>';
+    }
+}
+
+function resetEquipmentForm() {
+    document.getElementById('equipment-form').reset();
+    document.getElementById('equipment-id').value = '';
+    document.getElementById('equipment-submit').textContent = 'Add Kit';
+    showFormError('equipment-error', '');
+}
+
+function editEquipment(id) {
+    const item = equipmentItems.find(candidate => candidate.id === id);
+    if (!item) return;
+
+    resetEquipmentForm();
+    document.getElementById('equipment-id').value = item.id;
+    document.getElementById('equipment-name').value = item.name;
+    document.getElementById('equipment-category').value = item.category;
+    document.getElementById('equipment-quantity').value = item.quantity;
+    document.getElementById('equipment-public').checked = !!item.public;
+    document.getElementById('equipment-serial_numbers').value = item.serial_numbers || '';
+    document.getElementById('equipment-notes').value = item.notes || '';
+    document.getElementById('equipment-submit').textContent = 'Save Kit';
+    document.getElementById('equipment-form').scrollIntoView({ block: 'center' });
+}
+
+document.getElementById('equipment-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const id = document.getElementById('equipment-id').value;
+    const body = Object.fromEntries(new FormData(e.target));
+    body.public = document.getElementById('equipment-public').checked;
+
+    try {
+        const response = await apiFetch(id ? `/api/equipment/${id}` : '/api/equipment', {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            showFormError('equipment-error', result.error);
+            return;
+        }
+        resetEquipmentForm();
+        loadEquipment();
+        loadBookings();
+    } catch (error) {
+        console.error('Error saving equipment:', error);
+        showFormError('equipment-error', 'Error saving kit');
+    }
+});
+
+async function deleteEquipment(id) {
+    if (!confirm('Delete this kit and all of its bookings? This cannot be undone.')) return;
+
+    try {
+        const response = await apiFetch(`/api/equipment/${id}`, { method: 'DELETE' });
+        if (response.ok) {
+            resetEquipmentForm();
+            loadEquipment();
+            loadBookings();
+        } else {
+            const error = await response.json();
+            alert('Error: ' + error.error);
+        }
+    } catch (error) {
+        console.error('Error deleting equipment:', error);
+        alert('Error deleting kit');
+    }
+}
+
+async function loadBookings() {
+    const list = document.getElementById('booking-list');
+    try {
+        const response = await apiFetch('/api/bookings');
+        const bookings = await response.json();
+        if (!response.ok) {
+            list.innerHTML = html`<p class="form-hint error">${bookings.error}</p>`;
+            return;
+        }
+
+        if (bookings.length === 0) {
+            list.innerHTML = '<p class="form-hint">Nothing is booked.</p>';
+            return;
+        }
+        list.innerHTML = html`${bookings.map(booking => html`
+            <div class="trash-item">
+                <span>
+                    ${booking.equipment_name}${booking.quantity > 1 ? ` × ${booking.quantity}` : ''}
+                    <span class="trash-item-meta">
+                        ${formatDateRange(booking.start_date, booking.end_date)}
+                        ${booking.production && html`&middot; ${booking.production}`}
+                        ${booking.inquiry_id && html`&middot; inquiry #${booking.inquiry_id}`}
+                        ${booking.username && html`&middot; by ${booking.username}`}
+                    </span>
+                </span>
+                <span class="trash-item-actions">
+                    <button class="btn btn-danger btn-small" data-action="delete-booking" data-id="${booking.id}">Delete</button>
+                </span>
+            </div>
+        `)}`;
+    } catch (error) {
+        console.error('Error loading bookings:', error);
+        list.innerHTML = '<p class="form-hint error">Error loading bookings</p>';
+    }
+}
+
+// Clashing bookings come back as a 409 naming the days that are full
+document.getElementById('booking-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    showFormError('booking-error', '');
+
+    try {
+        const response = await apiFetch('/api/bookings', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(Object.fromEntries(new FormData(e.target)))
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            showFormError('booking-error', result.error);
+            return;
+        }
+        e.target.reset();
+        loadBookings();
+    } catch (error) {
+        console.error('Error saving booking:', error);
+        showFormError('booking-error', 'Error saving booking');
+    }
+});
+
+async function deleteBooking(id) {
+    if (!confirm('Delete this booking?')) return;
+
+    try {
+        const response = await apiFetch(`/api/bookings/${id}`, { method: 'DELETE' });
+        if (response.ok) {
+            loadBookings();
+        } else {
+            const error = await response.json();
+            alert('Error: ' + error.error);
+        }
+    } catch (error) {
+        console.error('Error deleting booking:', error);
+        alert('Error deleting booking');
+    }
+}
+
+// Remote poster URLs the mirror job could not download
+async function loadBrokenPosters() {
+    const panel = document.getElementById('broken-posters');
+    try {
+        const response = await apiFetch('/api/posters/broken');
+        const broken = response.ok ? await response.json() : [];
+        panel.hidden = broken.length === 0;
+        panel.innerHTML = html`
+            <div class="broken-posters-header">
+                <strong>${broken.length} broken poster ${broken.length === 1 ? 'link' : 'links'}</strong>
+                <button class="btn btn-secondary btn-small" data-action="retry-mirror">Retry Downloads</button>
+            </div>
+            <ul>
+                ${broken.map(movie => html`
+                    <li>${movie.title}: ${movie.poster_url} <span>(${movie.poster_fetch_error})</span></li>
+                `)}
+            </ul>
+        `;
+    } catch (error) {
+        console.error('Error loading broken posters:', error);
+    }
+}
+
+async function retryPosterMirror(button) {
+    button.disabled = true;
+    button.textContent = 'Downloading...';
+    try {
+        const response = await apiFetch('/api/posters/mirror', { method: 'POST' });
+        const result = await response.json();
+        if (!response.ok) {
+            alert('Error: ' + result.error);
+        }
+    } catch (error) {
+        console.error('Error mirroring posters:', error);
+        alert('Error downloading posters');
+    }
+    loadBrokenPosters();
+    loadMovies();
+}
+
+// Exports need the auth header, so fetch the file and hand it to the browser as a download
+async function exportMovies(format) {
+    try {
+        const response = await apiFetch(`${API_URL}/export?format=${format}`);
+        if (!response.ok) {
+            const error = await response.json();
+            alert('Error: ' + error.error);
+            return;
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = match ? match[1] : `movies.${format}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        console.error('Error exporting:', error);
+        alert('Error exporting movies');
+    }
+}
+
+let importFile = null;
+
+function openImportModal() {
+    importFile = null;
+    document.getElementById('import-file').value = '';
+    document.getElementById('drop-zone-label').textContent = 'Drop a JSON or CSV file here, or click to choose one';
+    document.getElementById('import-preview').innerHTML = '';
+    document.getElementById('apply-import').disabled = true;
+    document.getElementById('import-modal').classList.add('active');
+}
+
+function closeImportModal() {
+    document.getElementById('import-modal').classList.remove('active');
+}
+
+function importFormData() {
+    const formData = new FormData();
+    formData.append('file', importFile);
+    return formData;
+}
+
+function formatValue(value) {
+    return value === null || value === '' ? '(empty)' : value;
+}
+
+function renderImportPreview(plan) {
+    const label = entry => `${entry.title || '(untitled)'}${entry.year ? ` (${entry.year})` : ''}`;
+    const section = (title, items, render) => items.length > 0 && html`
+        <h3>${title} (${items.length})</h3>
+        <ul>${items.map(render)}</ul>
+    `;
+
+    const preview = html`${[
+        section('Errors', plan.errors, entry => html`
+            <li class="import-error">Row ${entry.row}: ${entry.error}</li>
+        `),
+        section('Conflicts, will be skipped', plan.conflicts, entry => html`
+            <li class="import-conflict">Row ${entry.row}: ${label(entry)} &mdash; ${entry.reason}</li>
+        `),
+        section('New', plan.creates, entry => html`
+            <li>${label(entry)}</li>
+        `),
+        section('Updated', plan.updates, entry => html`
+            <li>
+                ${label(entry)}
+                ${Object.entries(entry.changes).map(([field, change]) => html`
+                    <span class="import-change">${field}: ${formatValue(change.from)} &rarr; ${formatValue(change.to)}</span>
+                `)}
+            </li>
+        `),
+        section('Unchanged', plan.unchanged, entry => html`
+            <li>${label(entry)}</li>
+        `)
+    ]}`;
+
+    document.getElementById('import-preview').innerHTML = preview.toString().trim() || '<p class="form-hint">The file has no rows.</p>';
+    document.getElementById('apply-import').disabled =
+        plan.errors.length > 0 || plan.creates.length + plan.updates.length === 0;
+}
+
+async function previewImport(file) {
+    importFile = file;
+    document.getElementById('drop-zone-label').textContent = file.name;
+    document.getElementById('import-preview').innerHTML = '<div class="loading">Checking file...</div>';
+    document.getElementById('apply-import').disabled = true;
+
+    try {
+        const response = await apiFetch(`${API_URL}/import/preview`, { method: 'POST', body: importFormData() });
+        const result = await response.json();
+        if (response.ok) {
+            renderImportPreview(result);
+        } else {
+            document.getElementById('import-preview').innerHTML = html`<p class="import-error">${result.error}</p>`;
+        }
+    } catch (error) {
+        console.error('Error previewing import:', error);
+        document.getElementById('import-preview').innerHTML = '<p class="import-error">Error reading file</p>';
+    }
+}
+
+async function applyImport() {
+    if (!importFile) return;
+
+    try {
+        const response = await apiFetch(`${API_URL}/import`, { method: 'POST', body: importFormData() });
+        const result = await response.json();
+        if (response.ok) {
+            closeImportModal();
+            alert(`Imported: ${result.created} new, ${result.updated} updated, ${result.skipped} skipped`);
+            loadMovies();
+        } else {
+            alert('Error: ' + result.error);
+        }
+    } catch (error) {
+        console.error('Error importing:', error);
+        alert('Error importing movies');
+    }
+}
+
+const dropZone = document.getElementById('drop-zone');
+dropZone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    dropZone.classList.add('dragover');
+});
+dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+dropZone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    dropZone.classList.remove('dragover');
+    if (e.dataTransfer.files[0]) previewImport(e.dataTransfer.files[0]);
+});
+document.getElementById('import-file').addEventListener('change', (e) => {
+    if (e.target.files[0]) previewImport(e.target.files[0]);
+});
+
+// Preview poster when file selected
+document.getElementById('poster').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const preview = document.getElementById('poster-preview');
+            preview.src = e.target.result;
+            preview.style.display = 'block';
+        };
+        reader.readAsDataURL(file);
+    }
+});
+
+// Buttons name their handler in data-action; the Content-Security-Policy
+// blocks inline onclick attributes
+const ACTIONS = {
+    'logout': () => logout(),
+    'add-movie': () => openAddModal(),
+    'publish': () => publishSite(),
+    'export': button => exportMovies(button.dataset.format),
+    'load-more': () => loadMovies(true),
+    'close-movie-modal': () => closeModal(),
+    'add-credit': () => addCreditRow(),
+    'add-clip': () => addClipRow(),
+    'fetch-details': () => fetchDetails(),
+    'edit': button => openEditModal(Number(button.dataset.id)),
+    'delete': button => deleteMovie(Number(button.dataset.id)),
+    'history': button => openHistoryModal(Number(button.dataset.id)),
+    'close-history': () => closeHistoryModal(),
+    'revert': button => revertToRevision(Number(button.dataset.revisionId)),
+    'open-trash': () => openTrashModal(),
+    'close-trash': () => closeTrashModal(),
+    'restore': button => restoreMovie(Number(button.dataset.id)),
+    'purge': button => purgeMovie(Number(button.dataset.id)),
+    'empty-trash': () => emptyTrash(),
+    'retry-mirror': button => retryPosterMirror(button),
+    'open-inquiries': () => openInquiriesModal(),
+    'close-inquiries': () => closeInquiriesModal(),
+    'filter-inquiries': chip => filterInquiries(chip),
+    'delete-inquiry': button => deleteInquiry(Number(button.dataset.id)),
+    'book-inquiry': button => bookInquiry(Number(button.dataset.id)),
+    'open-equipment': () => openEquipmentModal(),
+    'close-equipment': () => closeEquipmentModal(),
+    'edit-equipment': button => editEquipment(Number(button.dataset.id)),
+    'delete-equipment': button => deleteEquipment(Number(button.dataset.id)),
+    'reset-equipment-form': () => resetEquipmentForm(),
+    'delete-booking': button => deleteBooking(Number(button.dataset.id)),
+    'open-import': () => openImportModal(),
+    'close-import': () => closeImportModal(),
+    'apply-import': () => applyImport()
+};
+
+document.addEventListener('click', (e) => {
+    const target = e.target.closest('[data-action]');
+    if (!target || !ACTIONS[target.dataset.action]) return;
+    e.preventDefault();
+    ACTIONS[target.dataset.action](target);
+});
+
+// Close modal on escape key
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+        closeModal();
+        closeImportModal();
+        closeHistoryModal();
+        closeTrashModal();
+        closeInquiriesModal();
+        closeEquipmentModal();
+    }
+});
+
+// Close modal when clicking overlay
+document.getElementById('movie-modal').addEventListener('click', (e) => {
+    if (e.target.id === 'movie-modal') closeModal();
+});
+document.getElementById('trash-modal').addEventListener('click', (e) => {
+    if (e.target.id === 'trash-modal') closeTrashModal();
+});
+document.getElementById('inquiries-modal').addEventListener('click', (e) => {
+    if (e.target.id === 'inquiries-modal') closeInquiriesModal();
+});
+document.getElementById('equipment-modal').addEventListener('click', (e) => {
+    if (e.target.id === 'equipment-modal') closeEquipmentModal();
+});
+document.getElementById('history-modal').addEventListener('click', (e) => {
+    if (e.target.id === 'history-modal') closeHistoryModal();
+});
+document.getElementById('import-modal').addEventListener('click', (e) => {
+    if (e.target.id === 'import-modal') closeImportModal();
+});
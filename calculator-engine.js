@@ -0,0 +1,427 @@
+/**
+ * The maths behind the storage calculator, free of the DOM so it can be
+ * tested and run on the server. calculator.js is the page around it.
+ *
+ * estimateStorage(input) takes a plain object:
+ *
+ *   {
+ *     cameras: [{ brand, model, codec, resolution, fps, days, hours, drone }],
+ *     bays: 1 | 2 | 4 | 6 | 8 | 12,
+ *     driveType: index into driveSpeeds,
+ *     raid: index into raidConfigs,
+ *     connection: key of connectionSpeeds
+ *   }
+ *
+ * and returns the storage needed in TB (recorded, with contingency, and the
+ * raw array size for the RAID level), the array speed in MB/s, transfer
+ * times in seconds and the cost in euros. Cameras that are not fully picked
+ * yet record nothing; drone cameras come from droneDatabase.
+ */
+
+// Camera database with data rates in MB/s at 24fps
+const cameraDatabase = {
+    'ARRI': {
+        'Alexa 35': {
+            codecs: {
+                'ARRIRAW': { resolutions: ['4.6K Open Gate', '4K', '3.2K'], baseRate: 400 },
+                'ProRes 4444 XQ': { resolutions: ['4.6K', '4K', '3.2K', '2K'], baseRate: 165 },
+                'ProRes 4444': { resolutions: ['4.6K', '4K', '3.2K', '2K'], baseRate: 110 },
+                'ProRes 422 HQ': { resolutions: ['4.6K', '4K', '3.2K', '2K'], baseRate: 73 },
+                'ProRes 422': { resolutions: ['4.6K', '4K', '3.2K', '2K'], baseRate: 49 }
+            },
+            maxFps: 120
+        },
+        'Alexa Mini LF': {
+            codecs: {
+                'ARRIRAW': { resolutions: ['4.5K Open Gate', '4K UHD', '3.8K'], baseRate: 517 },
+                'ProRes 4444 XQ': { resolutions: ['4.5K', '4K UHD', '3.8K'], baseRate: 209 },
+                'ProRes 4444': { resolutions: ['4.5K', '4K UHD', '3.8K'], baseRate: 138 },
+                'ProRes 422 HQ': { resolutions: ['4.5K', '4K UHD', '3.8K'], baseRate: 92 },
+                'ProRes 422': { resolutions: ['4.5K', '4K UHD', '3.8K'], baseRate: 61 }
+            },
+            maxFps: 90
+        },
+        'Alexa Mini': {
+            codecs: {
+                'ARRIRAW': { resolutions: ['3.4K Open Gate', '2.8K 16:9'], baseRate: 277 },
+                'ProRes 4444 XQ': { resolutions: ['4K UHD*', '3.2K', '2K'], baseRate: 165 },
+                'ProRes 4444': { resolutions: ['4K UHD*', '3.2K', '2K'], baseRate: 110 },
+                'ProRes 422 HQ': { resolutions: ['4K UHD*', '3.2K', '2K'], baseRate: 73 },
+                'ProRes 422': { resolutions: ['4K UHD*', '3.2K', '2K'], baseRate: 49 }
+            },
+            maxFps: 200
+        }
+    },
+    'Sony': {
+        'Venice 2': {
+            codecs: {
+                'X-OCN XT': { resolutions: ['8.6K', '6K', '4K'], baseRate: 330 },
+                'X-OCN ST': { resolutions: ['8.6K', '6K', '4K'], baseRate: 220 },
+                'X-OCN LT': { resolutions: ['8.6K', '6K', '4K'], baseRate: 165 },
+                'XAVC-I': { resolutions: ['4K', '2K'], baseRate: 75 }
+            },
+            maxFps: 120
+        },
+        'Venice': {
+            codecs: {
+                'X-OCN XT': { resolutions: ['6K', '4K'], baseRate: 250 },
+                'X-OCN ST': { resolutions: ['6K', '4K'], baseRate: 170 },
+                'X-OCN LT': { resolutions: ['6K', '4K'], baseRate: 125 },
+                'XAVC-I': { resolutions: ['4K', '2K'], baseRate: 75 }
+            },
+            maxFps: 120
+        },
+        'Burano': {
+            codecs: {
+                'X-OCN LT': { resolutions: ['8K', '6K', '4K'], baseRate: 220 },
+                'XAVC-H Intra HQ': { resolutions: ['8K', '4K'], baseRate: 150 },
+                'XAVC-H Intra SQ': { resolutions: ['8K', '4K'], baseRate: 100 },
+                'XAVC-H Long': { resolutions: ['8K', '4K'], baseRate: 50 }
+            },
+            maxFps: 120
+        },
+        'FX9': {
+            codecs: {
+                'RAW (External)': { resolutions: ['6K', '4K'], baseRate: 180 },
+                'XAVC-I': { resolutions: ['4K', '2K'], baseRate: 75 },
+                'XAVC-L': { resolutions: ['4K', '2K'], baseRate: 25 }
+            },
+            maxFps: 180
+        },
+        'FX6': {
+            codecs: {
+                'RAW (External)': { resolutions: ['4K'], baseRate: 150 },
+                'XAVC-I': { resolutions: ['4K', '2K'], baseRate: 75 },
+                'XAVC-L': { resolutions: ['4K', '2K'], baseRate: 25 }
+            },
+            maxFps: 240
+        },
+        'FX3': {
+            codecs: {
+                'ProRes RAW (External)': { resolutions: ['4K'], baseRate: 150 },
+                'XAVC S-I': { resolutions: ['4K', '2K'], baseRate: 75 },
+                'XAVC HS': { resolutions: ['4K', '2K'], baseRate: 12.5 },
+                'XAVC S': { resolutions: ['4K', '2K'], baseRate: 12.5 }
+            },
+            maxFps: 120
+        }
+    },
+    'Blackmagic': {
+        'URSA Mini Pro 12K': {
+            codecs: {
+                'BRAW 5:1': { resolutions: ['12K', '8K', '6K', '4K'], baseRate: 578 },
+                'BRAW 8:1': { resolutions: ['12K', '8K', '6K', '4K'], baseRate: 361 },
+                'BRAW 12:1': { resolutions: ['12K', '8K', '6K', '4K'], baseRate: 241 },
+                'BRAW Q0': { resolutions: ['12K', '8K', '6K', '4K'], baseRate: 450 },
+                'BRAW Q3': { resolutions: ['12K', '8K', '6K', '4K'], baseRate: 230 },
+                'BRAW Q5': { resolutions: ['12K', '8K', '6K', '4K'], baseRate: 170 }
+            },
+            maxFps: 60
+        },
+        'URSA Mini Pro G2': {
+            codecs: {
+                'BRAW 3:1': { resolutions: ['4.6K', '4K', '2K'], baseRate: 150 },
+                'BRAW 5:1': { resolutions: ['4.6K', '4K', '2K'], baseRate: 90 },
+                'BRAW 8:1': { resolutions: ['4.6K', '4K', '2K'], baseRate: 56 },
+                'BRAW 12:1': { resolutions: ['4.6K', '4K', '2K'], baseRate: 38 },
+                'ProRes 422 HQ': { resolutions: ['4K', '2K'], baseRate: 55 },
+                'ProRes 422': { resolutions: ['4K', '2K'], baseRate: 37 }
+            },
+            maxFps: 120
+        },
+        'Pocket 6K Pro': {
+            codecs: {
+                'BRAW 3:1': { resolutions: ['6K', '4K', '2.8K'], baseRate: 100 },
+                'BRAW 5:1': { resolutions: ['6K', '4K', '2.8K'], baseRate: 60 },
+                'BRAW 8:1': { resolutions: ['6K', '4K', '2.8K'], baseRate: 38 },
+                'BRAW 12:1': { resolutions: ['6K', '4K', '2.8K'], baseRate: 25 },
+                'ProRes 422 HQ': { resolutions: ['4K', '2K'], baseRate: 28 },
+                'ProRes 422': { resolutions: ['4K', '2K'], baseRate: 18 }
+            },
+            maxFps: 60
+        },
+        'Pocket 6K G2': {
+            codecs: {
+                'BRAW 3:1': { resolutions: ['6K', '4K', '2.8K'], baseRate: 100 },
+                'BRAW 5:1': { resolutions: ['6K', '4K', '2.8K'], baseRate: 60 },
+                'BRAW 8:1': { resolutions: ['6K', '4K', '2.8K'], baseRate: 38 },
+                'BRAW 12:1': { resolutions: ['6K', '4K', '2.8K'], baseRate: 25 },
+                'ProRes 422 HQ': { resolutions: ['4K', '2K'], baseRate: 28 },
+                'ProRes 422': { resolutions: ['4K', '2K'], baseRate: 18 }
+            },
+            maxFps: 60
+        },
+        'Pocket 4K': {
+            codecs: {
+                'BRAW 3:1': { resolutions: ['4K', '2.8K'], baseRate: 33 },
+                'BRAW 5:1': { resolutions: ['4K', '2.8K'], baseRate: 20 },
+                'BRAW 8:1': { resolutions: ['4K', '2.8K'], baseRate: 13 },
+                'BRAW 12:1': { resolutions: ['4K', '2.8K'], baseRate: 8 },
+                'ProRes 422 HQ': { resolutions: ['4K', '2K'], baseRate: 28 },
+                'ProRes 422': { resolutions: ['4K', '2K'], baseRate: 18 }
+            },
+            maxFps: 60
+        }
+    },
+    'DJI': {
+        'Inspire 3': {
+            codecs: {
+                'ProRes 422 HQ': { resolutions: ['8K', '4K'], baseRate: 220 },
+                'ProRes 422': { resolutions: ['8K', '4K'], baseRate: 150 },
+                'H.265': { resolutions: ['8K', '4K'], baseRate: 25 }
+            },
+            maxFps: 60
+        },
+        'Mavic 3 Pro Cine': {
+            codecs: {
+                'ProRes 422 HQ': { resolutions: ['5.1K', '4K'], baseRate: 90 },
+                'ProRes 422': { resolutions: ['5.1K', '4K'], baseRate: 60 },
+                'H.265': { resolutions: ['5.1K', '4K'], baseRate: 20 }
+            },
+            maxFps: 120
+        },
+        'Mavic 3 Pro': {
+            codecs: {
+                'H.265': { resolutions: ['5.1K', '4K'], baseRate: 20 },
+                'H.264': { resolutions: ['4K', '1080p'], baseRate: 15 }
+            },
+            maxFps: 120
+        },
+        'Mavic 3 Cine': {
+            codecs: {
+                'ProRes 422 HQ': { resolutions: ['5.1K', '4K'], baseRate: 90 },
+                'ProRes 422': { resolutions: ['5.1K', '4K'], baseRate: 60 },
+                'H.265': { resolutions: ['5.1K', '4K'], baseRate: 20 }
+            },
+            maxFps: 120
+        },
+        'Air 3': {
+            codecs: {
+                'H.265': { resolutions: ['4K', '1080p'], baseRate: 18 },
+                'H.264': { resolutions: ['4K', '1080p'], baseRate: 15 }
+            },
+            maxFps: 60
+        },
+        'Mini 4 Pro': {
+            codecs: {
+                'H.265': { resolutions: ['4K', '1080p'], baseRate: 18 },
+                'H.264': { resolutions: ['4K', '1080p'], baseRate: 12 }
+            },
+            maxFps: 60
+        }
+    }
+};
+
+// Drone-specific database (includes all cinema cameras + DJI)
+const droneDatabase = {
+    ...cameraDatabase,
+    'DJI': cameraDatabase['DJI']
+};
+
+// Resolution multipliers (relative to base which is typically largest resolution)
+const resolutionMultipliers = {
+    '12K': 1.0,
+    '8.6K': 0.85,
+    '8K': 0.75,
+    '6K': 0.45,
+    '5.1K': 0.55,
+    '4.6K Open Gate': 1.0,
+    '4.6K': 0.95,
+    '4.5K Open Gate': 1.0,
+    '4.5K': 0.95,
+    '4K UHD*': 0.7,
+    '4K UHD': 0.7,
+    '4K': 0.65,
+    '3.8K': 0.55,
+    '3.4K Open Gate': 0.75,
+    '3.2K': 0.5,
+    '2.8K 16:9': 0.45,
+    '2.8K': 0.4,
+    '2K': 0.25,
+    '1080p': 0.15
+};
+
+// Frame rate multipliers (relative to 24fps)
+const frameRates = [24, 25, 30, 48, 50, 60, 120];
+
+// Drive speeds in MB/s and price per TB (approximate market prices)
+const driveSpeeds = [
+    { name: 'HDD 5400rpm', speed: 100, pricePerTB: 25 },
+    { name: 'HDD 7200rpm', speed: 150, pricePerTB: 35 },
+    { name: 'SSD (SATA)', speed: 550, pricePerTB: 60 },
+    { name: 'SSD (NVMe)', speed: 2000, pricePerTB: 80 },
+    { name: 'NVMe (High-end)', speed: 3500, pricePerTB: 120 }
+];
+
+// Enclosure prices by bay count and drive type (0=HDD, 1=HDD, 2=SSD SATA, 3=NVMe, 4=NVMe Pro)
+const enclosurePrices = {
+    1: { 0: 80, 1: 100, 2: 30, 3: 50, 4: 80 },      // Single drive enclosures
+    2: { 0: 200, 1: 250, 2: 150, 3: 200, 4: 300 },   // 2-bay enclosures
+    4: { 0: 500, 1: 600, 2: 400, 3: 600, 4: 900 },   // 4-bay enclosures
+    6: { 0: 800, 1: 950, 2: 700, 3: 900, 4: 1300 },  // 6-bay enclosures
+    8: { 0: 1100, 1: 1300, 2: 1000, 3: 1300, 4: 1800 }, // 8-bay enclosures
+    12: { 0: 1500, 1: 1800, 2: 1400, 3: 1800, 4: 2500 } // 12-bay enclosures
+};
+
+// RAID configurations with speed multipliers
+// speedMultiplier: how many drives contribute to speed (relative to single drive)
+const raidConfigs = [
+    { name: 'Single Drive', usable: 1.0, minDrives: 1, speedMultiplier: 1 },
+    { name: 'RAID 0 (Stripe)', usable: 1.0, minDrives: 2, speedMultiplier: 'all' },  // All drives contribute
+    { name: 'RAID 1 (Mirror)', usable: 0.5, minDrives: 2, speedMultiplier: 1 },      // Write speed = 1 drive
+    { name: 'RAID 5', usable: 0.75, minDrives: 3, speedMultiplier: 'n-1' },          // n-1 drives for speed
+    { name: 'RAID 6', usable: 0.67, minDrives: 4, speedMultiplier: 'n-2' }           // n-2 drives for speed
+];
+
+// Connection speeds in MB/s
+const connectionSpeeds = {
+    'usb3': 400,
+    'usb31': 900,
+    'usb32': 1800,
+    'tb3': 2800
+};
+
+// Bay counts the enclosures come in
+const bayCounts = [1, 2, 4, 6, 8, 12];
+
+// Spare room on top of the recorded data
+const CONTINGENCY = 0.2;
+
+// Whether a RAID level can be built from bays drives
+function isRaidAvailable(raid, bays) {
+    return bays >= raidConfigs[raid].minDrives;
+}
+
+// Share of the raw array size left for data. RAID 5 gives up one drive to
+// parity and RAID 6 two, whatever the bay count.
+function raidUsableRatio(raid, bays) {
+    const raidConfig = raidConfigs[raid];
+    if (raidConfig.name === 'RAID 5') {
+        return (bays - 1) / bays;
+    }
+    if (raidConfig.name === 'RAID 6') {
+        return (bays - 2) / bays;
+    }
+    return raidConfig.usable;
+}
+
+// Array speed from bays, drive speed and RAID, and what is left of it
+// through the connection
+function calculateArraySpeed({ bays, driveType, raid, connection }) {
+    const driveSpeed = driveSpeeds[driveType].speed;
+    const raidConfig = raidConfigs[raid];
+    const connectionSpeed = connectionSpeeds[connection];
+
+    let arraySpeed;
+
+    if (raidConfig.speedMultiplier === 'all') {
+        // RAID 0: all drives contribute
+        arraySpeed = driveSpeed * bays;
+    } else if (raidConfig.speedMultiplier === 'n-1') {
+        // RAID 5: n-1 drives contribute
+        arraySpeed = driveSpeed * (bays - 1);
+    } else if (raidConfig.speedMultiplier === 'n-2') {
+        // RAID 6: n-2 drives contribute
+        arraySpeed = driveSpeed * Math.max(1, bays - 2);
+    } else {
+        // Single drive or RAID 1
+        arraySpeed = driveSpeed * raidConfig.speedMultiplier;
+    }
+
+    // Limit by connection speed
+    const effectiveSpeed = Math.min(arraySpeed, connectionSpeed);
+
+    return { arraySpeed, effectiveSpeed, connectionSpeed };
+}
+
+// MB/s one camera records; 0 until brand, model, codec and resolution are picked
+function getCameraDataRate({ brand, model, codec, resolution, fps }, database = cameraDatabase) {
+    const codecInfo = database[brand]?.[model]?.codecs?.[codec];
+    if (!codecInfo || !resolution) {
+        return 0;
+    }
+    const resMultiplier = resolutionMultipliers[resolution] || 1.0;
+    const fpsMultiplier = (Number(fps) || 24) / 24;
+    return codecInfo.baseRate * resMultiplier * fpsMultiplier;
+}
+
+function estimateStorage({ cameras = [], bays, driveType, raid, connection }) {
+    if (!bayCounts.includes(bays)) {
+        throw new RangeError(`Bays must be one of: ${bayCounts.join(', ')}`);
+    }
+    if (!driveSpeeds[driveType]) {
+        throw new RangeError(`Drive type must be from 0 to ${driveSpeeds.length - 1}`);
+    }
+    if (!raidConfigs[raid]) {
+        throw new RangeError(`RAID must be from 0 to ${raidConfigs.length - 1}`);
+    }
+    if (!isRaidAvailable(raid, bays)) {
+        throw new RangeError(`${raidConfigs[raid].name} needs at least ${raidConfigs[raid].minDrives} drives`);
+    }
+    if (!connectionSpeeds[connection]) {
+        throw new RangeError(`Connection must be one of: ${Object.keys(connectionSpeeds).join(', ')}`);
+    }
+
+    let totalStorageGB = 0;
+    let maxShootingDays = 1;
+
+    cameras.forEach(camera => {
+        const days = Number(camera.days) || 0;
+        const hours = Number(camera.hours) || 0;
+        const dataRate = getCameraDataRate(camera, camera.drone ? droneDatabase : cameraDatabase);
+        totalStorageGB += (dataRate * days * hours * 3600) / 1000;
+        maxShootingDays = Math.max(maxShootingDays, days);
+    });
+
+    const rawStorageTB = totalStorageGB / 1000;
+    const safeStorageTB = rawStorageTB * (1 + CONTINGENCY);
+    const totalStorageTB = safeStorageTB / raidUsableRatio(raid, bays);
+
+    const { arraySpeed, effectiveSpeed, connectionSpeed } = calculateArraySpeed({ bays, driveType, raid, connection });
+
+    // A day's transfer is the busiest camera's shooting days spread evenly
+    const dailyStorageGB = totalStorageGB / maxShootingDays;
+    const dailyTransferSeconds = effectiveSpeed > 0 ? (dailyStorageGB * 1000) / effectiveSpeed : 0;
+    const totalTransferSeconds = effectiveSpeed > 0 ? (totalStorageGB * 1000) / effectiveSpeed : 0;
+
+    // Drives are bought by the whole TB
+    const driveCost = Math.ceil(totalStorageTB) * driveSpeeds[driveType].pricePerTB;
+    const enclosureCost = enclosurePrices[bays]?.[driveType] || 0;
+
+    return {
+        rawStorageTB,
+        safeStorageTB,
+        totalStorageTB,
+        shootingDays: maxShootingDays,
+        arraySpeed,
+        effectiveSpeed,
+        connectionSpeed,
+        connectionLimited: arraySpeed > connectionSpeed,
+        dailyTransferSeconds,
+        totalTransferSeconds,
+        driveCost,
+        enclosureCost,
+        totalCost: driveCost + enclosureCost
+    };
+}
+
+// The server requires this file; browsers load it as a plain script
+if (typeof module !== 'undefined') {
+    module.exports = {
+        cameraDatabase,
+        droneDatabase,
+        resolutionMultipliers,
+        frameRates,
+        driveSpeeds,
+        enclosurePrices,
+        raidConfigs,
+        connectionSpeeds,
+        bayCounts,
+        CONTINGENCY,
+        isRaidAvailable,
+        raidUsableRatio,
+        calculateArraySpeed,
+        getCameraDataRate,
+        estimateStorage
+    };
+}
@@ -0,0 +1,1234 @@
+let additionalCameraCount = 0;
+let droneCameraCount = 0;
+let selectedBays = 1;
+let selectedDriveSpeed = 2;  // Default to SSD SATA
+let selectedRaid = 0;        // Default to Single Drive
+
+// Toggle calc section collapse
+function toggleCalcSection(sectionId) {
+    const section = document.getElementById(sectionId);
+    if (!section) return;
+
+    section.classList.toggle('collapsed');
+    const collapseText = section.querySelector('.collapse-text');
+    if (collapseText) {
+        I18n.setText(collapseText, section.classList.contains('collapsed') ? 'calc.expand' : 'calc.collapse');
+    }
+}
+
+// Section states
+const sectionStates = {
+    acam: true,
+    bcam: false,
+    additional: false,
+    drone: false
+};
+
+// Toggle section on/off
+function toggleSection(section) {
+    sectionStates[section] = !sectionStates[section];
+    const sectionEl = document.getElementById(`${section}-section`);
+    const toggleEl = document.getElementById(`${section}-toggle`);
+    const toggleText = sectionEl.querySelector('.camera-section-toggle span');
+
+    if (sectionStates[section]) {
+        sectionEl.classList.remove('disabled');
+        toggleEl.classList.add('active');
+        I18n.setText(toggleText, 'calc.active');
+
+        // Initialize camera for section if empty
+        if (section === 'bcam' && !document.getElementById('bcam-camera-container').hasChildNodes()) {
+            addCameraToSection('bcam');
+        }
+        if (section === 'additional' && document.getElementById('additional-cameras-container').children.length === 0) {
+            addAdditionalCamera();
+        }
+        if (section === 'drone' && document.getElementById('drone-cameras-container').children.length === 0) {
+            addDroneCamera();
+        }
+    } else {
+        sectionEl.classList.add('disabled');
+        toggleEl.classList.remove('active');
+        I18n.setText(toggleText, 'calc.inactive');
+    }
+
+    calculateStorage();
+}
+
+// Add camera to A CAM or B CAM section
+function addCameraToSection(section) {
+    const container = document.getElementById(`${section}-camera-container`);
+    if (!container) return;
+
+    container.innerHTML = createCameraCardHTML(`${section}-camera`, false, cameraDatabase);
+}
+
+// Add additional camera
+function addAdditionalCamera() {
+    additionalCameraCount++;
+    const container = document.getElementById('additional-cameras-container');
+    const cameraLetter = String.fromCharCode(66 + additionalCameraCount); // C, D, E...
+
+    const card = document.createElement('div');
+    card.className = 'camera-card';
+    card.id = `additional-camera-${additionalCameraCount}`;
+    card.innerHTML = `
+        <div class="camera-card-header">
+            <span class="camera-card-title">${cameraLetter} CAM</span>
+            <button class="remove-camera-btn" data-action="remove-camera" data-id="${additionalCameraCount}" data-i18n="calc.remove">${I18n.t('calc.remove')}</button>
+        </div>
+        <div class="shooting-params">
+            <div class="form-group">
+                <label data-i18n="calc.shootingDays">${I18n.t('calc.shootingDays')}</label>
+                <input type="number" class="additional-days" min="1" value="10" data-input="calculate">
+            </div>
+            <div class="form-group">
+                <label data-i18n="calc.hoursPerDay">${I18n.t('calc.hoursPerDay')}</label>
+                <input type="number" class="additional-hours" min="0.5" step="0.5" value="4" data-input="calculate">
+            </div>
+        </div>
+        ${createCameraSelectsHTML(`additional-${additionalCameraCount}`, cameraDatabase)}
+    `;
+
+    container.appendChild(card);
+    calculateStorage();
+}
+
+// Remove additional camera
+function removeAdditionalCamera(id) {
+    const card = document.getElementById(`additional-camera-${id}`);
+    if (card) {
+        card.remove();
+        calculateStorage();
+    }
+}
+
+// Add drone camera
+function addDroneCamera() {
+    droneCameraCount++;
+    const container = document.getElementById('drone-cameras-container');
+
+    const card = document.createElement('div');
+    card.className = 'camera-card';
+    card.id = `drone-camera-${droneCameraCount}`;
+    card.innerHTML = `
+        <div class="camera-card-header">
+            <span class="camera-card-title" data-i18n="calc.drones.card" data-i18n-params='{"number": ${droneCameraCount}}'>${I18n.t('calc.drones.card', { number: droneCameraCount })}</span>
+            <button class="remove-camera-btn" data-action="remove-drone" data-id="${droneCameraCount}" data-i18n="calc.remove">${I18n.t('calc.remove')}</button>
+        </div>
+        <div class="shooting-params">
+            <div class="form-group">
+                <label data-i18n="calc.shootingDays">${I18n.t('calc.shootingDays')}</label>
+                <input type="number" class="drone-days" min="1" value="5" data-input="calculate">
+            </div>
+            <div class="form-group">
+                <label data-i18n="calc.hoursPerDay">${I18n.t('calc.hoursPerDay')}</label>
+                <input type="number" class="drone-hours" min="0.5" step="0.5" value="1" data-input="calculate">
+            </div>
+        </div>
+        ${createCameraSelectsHTML(`drone-${droneCameraCount}`, droneDatabase, true)}
+    `;
+
+    container.appendChild(card);
+    calculateStorage();
+}
+
+// Remove drone camera
+function removeDroneCamera(id) {
+    const card = document.getElementById(`drone-camera-${id}`);
+    if (card) {
+        card.remove();
+        calculateStorage();
+    }
+}
+
+// Create camera card HTML (for A CAM, B CAM)
+function createCameraCardHTML(idPrefix, showRemove, database) {
+    return `
+        ${createCameraSelectsHTML(idPrefix, database)}
+    `;
+}
+
+// The empty first option of a camera select
+function placeholderOption(key) {
+    return `<option value="" data-i18n="${key}">${I18n.t(key)}</option>`;
+}
+
+// Create camera select dropdowns HTML
+function createCameraSelectsHTML(idPrefix, database, preferDJI = false) {
+    const brands = Object.keys(database);
+    // Sort to put DJI first for drone section
+    if (preferDJI) {
+        brands.sort((a, b) => a === 'DJI' ? -1 : b === 'DJI' ? 1 : 0);
+    }
+
+    return `
+        <div class="form-row">
+            <div class="form-group">
+                <label data-i18n="calc.camera.brand">${I18n.t('calc.camera.brand')}</label>
+                <select id="brand-${idPrefix}" data-input="models" data-camera="${idPrefix}" data-drone="${preferDJI}">
+                    ${placeholderOption('calc.camera.selectBrand')}
+                    ${brands.map(brand => `<option value="${brand}">${brand}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label data-i18n="calc.camera.model">${I18n.t('calc.camera.model')}</label>
+                <select id="model-${idPrefix}" data-input="codecs" data-camera="${idPrefix}" data-drone="${preferDJI}" disabled>
+                    ${placeholderOption('calc.camera.selectModel')}
+                </select>
+            </div>
+        </div>
+        <div class="form-row">
+            <div class="form-group">
+                <label data-i18n="calc.camera.codec">${I18n.t('calc.camera.codec')}</label>
+                <select id="codec-${idPrefix}" data-input="resolutions" data-camera="${idPrefix}" data-drone="${preferDJI}" disabled>
+                    ${placeholderOption('calc.camera.selectCodec')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label data-i18n="calc.camera.resolution">${I18n.t('calc.camera.resolution')}</label>
+                <select id="resolution-${idPrefix}" data-input="calculate" disabled>
+                    ${placeholderOption('calc.camera.selectResolution')}
+                </select>
+            </div>
+        </div>
+        <div class="form-row">
+            <div class="form-group">
+                <label data-i18n="calc.camera.frameRate">${I18n.t('calc.camera.frameRate')}</label>
+                <select id="fps-${idPrefix}" data-input="calculate" disabled>
+                    ${placeholderOption('calc.camera.selectFrameRate')}
+                </select>
+            </div>
+        </div>
+    `;
+}
+
+// Generic update functions for any camera ID
+function updateModelsForId(idPrefix, useDroneDb = false) {
+    const database = useDroneDb ? droneDatabase : cameraDatabase;
+    const brand = document.getElementById(`brand-${idPrefix}`).value;
+    const modelSelect = document.getElementById(`model-${idPrefix}`);
+    const codecSelect = document.getElementById(`codec-${idPrefix}`);
+    const resolutionSelect = document.getElementById(`resolution-${idPrefix}`);
+    const fpsSelect = document.getElementById(`fps-${idPrefix}`);
+
+    modelSelect.innerHTML = placeholderOption('calc.camera.selectModel');
+    codecSelect.innerHTML = placeholderOption('calc.camera.selectCodec');
+    resolutionSelect.innerHTML = placeholderOption('calc.camera.selectResolution');
+    fpsSelect.innerHTML = placeholderOption('calc.camera.selectFrameRate');
+
+    codecSelect.disabled = true;
+    resolutionSelect.disabled = true;
+    fpsSelect.disabled = true;
+
+    if (brand && database[brand]) {
+        modelSelect.disabled = false;
+        Object.keys(database[brand]).forEach(model => {
+            const option = document.createElement('option');
+            option.value = model;
+            option.textContent = model;
+            modelSelect.appendChild(option);
+        });
+    } else {
+        modelSelect.disabled = true;
+    }
+
+    calculateStorage();
+}
+
+function updateCodecsForId(idPrefix, useDroneDb = false) {
+    const database = useDroneDb ? droneDatabase : cameraDatabase;
+    const brand = document.getElementById(`brand-${idPrefix}`).value;
+    const model = document.getElementById(`model-${idPrefix}`).value;
+    const codecSelect = document.getElementById(`codec-${idPrefix}`);
+    const resolutionSelect = document.getElementById(`resolution-${idPrefix}`);
+    const fpsSelect = document.getElementById(`fps-${idPrefix}`);
+
+    codecSelect.innerHTML = placeholderOption('calc.camera.selectCodec');
+    resolutionSelect.innerHTML = placeholderOption('calc.camera.selectResolution');
+    fpsSelect.innerHTML = placeholderOption('calc.camera.selectFrameRate');
+
+    resolutionSelect.disabled = true;
+    fpsSelect.disabled = true;
+
+    if (brand && model && database[brand][model]) {
+        codecSelect.disabled = false;
+        const camera = database[brand][model];
+        Object.keys(camera.codecs).forEach(codec => {
+            const option = document.createElement('option');
+            option.value = codec;
+            option.textContent = codec;
+            codecSelect.appendChild(option);
+        });
+    } else {
+        codecSelect.disabled = true;
+    }
+
+    calculateStorage();
+}
+
+function updateResolutionsForId(idPrefix, useDroneDb = false) {
+    const database = useDroneDb ? droneDatabase : cameraDatabase;
+    const brand = document.getElementById(`brand-${idPrefix}`).value;
+    const model = document.getElementById(`model-${idPrefix}`).value;
+    const codec = document.getElementById(`codec-${idPrefix}`).value;
+    const resolutionSelect = document.getElementById(`resolution-${idPrefix}`);
+    const fpsSelect = document.getElementById(`fps-${idPrefix}`);
+
+    resolutionSelect.innerHTML = placeholderOption('calc.camera.selectResolution');
+    fpsSelect.innerHTML = placeholderOption('calc.camera.selectFrameRate');
+
+    fpsSelect.disabled = true;
+
+    if (brand && model && codec && database[brand][model].codecs[codec]) {
+        resolutionSelect.disabled = false;
+        const resolutions = database[brand][model].codecs[codec].resolutions;
+        resolutions.forEach(res => {
+            const option = document.createElement('option');
+            option.value = res;
+            option.textContent = res;
+            resolutionSelect.appendChild(option);
+        });
+
+        fpsSelect.disabled = false;
+        const maxFps = database[brand][model].maxFps;
+        frameRates.forEach(fps => {
+            if (fps <= maxFps) {
+                const option = document.createElement('option');
+                option.value = fps;
+                option.textContent = `${fps} fps`;
+                fpsSelect.appendChild(option);
+            }
+        });
+    } else {
+        resolutionSelect.disabled = true;
+    }
+
+    calculateStorage();
+}
+
+// Product examples database [bays][driveType]
+const driveExamples = {
+    1: {
+        0: { products: ['LaCie Rugged', 'WD My Passport', 'Seagate Backup Plus'] },
+        1: { products: ['G-Drive ArmorATD', 'LaCie Rugged', 'WD Black P10'] },
+        2: { products: ['Samsung T5', 'SanDisk Extreme Portable', 'Crucial X6'] },
+        3: { products: ['Samsung T7 Shield', 'SanDisk Extreme Pro', 'LaCie Rugged SSD'] },
+        4: { products: ['Samsung T9', 'LaCie Rugged SSD Pro', 'SanDisk Pro-G40'] }
+    },
+    2: {
+        0: { products: ['G-RAID 2', 'OWC Mercury Elite Dual', 'LaCie 2big RAID'] },
+        1: { products: ['G-RAID 2', 'OWC Mercury Elite Dual', 'LaCie 2big RAID'] },
+        2: { products: ['Glyph Atom RAID SSD', 'OWC Envoy Pro EX'] },
+        3: { products: ['OWC Envoy Pro FX', 'Sabrent Rocket XTRM'] },
+        4: { products: ['OWC ThunderBlade', 'Sabrent Rocket XTRM-Q'] }
+    },
+    4: {
+        0: { products: ['Symply WORKSPACE', 'ARECA ARC-8050T3-4', 'G-SPEED Shuttle'] },
+        1: { products: ['Symply WORKSPACE', 'ARECA ARC-8050T3-4', 'OWC ThunderBay 4'] },
+        2: { products: ['Symply SymplySPARK', 'ARECA ARC-8050T3-4', 'OWC ThunderBay 4'] },
+        3: { products: ['Symply SymplySPARK', 'ARECA ARC-4038ML', 'OWC Express 4M2'] },
+        4: { products: ['Symply SymplySPARK Pro', 'ARECA ARC-4038ML', 'OWC Express 4M2'] }
+    },
+    6: {
+        0: { products: ['Symply WORKSPACE XL', 'ARECA ARC-8050T3-6', 'G-SPEED Studio XL'] },
+        1: { products: ['Symply WORKSPACE XL', 'ARECA ARC-8050T3-6', 'Promise Pegasus R6'] },
+        2: { products: ['Symply SymplySPARK XL', 'ARECA ARC-8050T3-6', 'OWC ThunderBay 8'] },
+        3: { products: ['Symply SymplySPARK XL', 'ARECA ARC-8050T3-6M', 'Promise Pegasus J2i'] },
+        4: { products: ['Symply SymplySPARK Pro', 'ARECA ARC-8050T3-6M'] }
+    },
+    12: {
+        0: { products: ['Symply WORKSPACE 12', 'ARECA ARC-8050T3-12', 'Promise Pegasus R12'] },
+        1: { products: ['Symply WORKSPACE 12', 'ARECA ARC-8050T3-12', 'G-SPEED Studio XL'] },
+        2: { products: ['Symply LTO Edition', 'ARECA ARC-8050T3-12', 'Promise Pegasus R12'] },
+        3: { products: ['Symply PRO Series', 'ARECA ARC-8050T3-12M'] },
+        4: { products: ['Symply PRO Series', 'ARECA Enterprise Solutions'] }
+    }
+};
+
+// Update drive example display
+function updateDriveExample() {
+    const exampleEl = document.getElementById('drive-example');
+    if (!exampleEl) return;
+
+    const examples = driveExamples[selectedBays]?.[selectedDriveSpeed];
+    if (examples && examples.products) {
+        const productList = examples.products.map((p, i) =>
+            i === 0 ? `<strong>${p}</strong>` : p
+        ).join(', ');
+        exampleEl.innerHTML = productList;
+    } else {
+        exampleEl.innerHTML = `<em>${I18n.t('calc.drives.custom')}</em>`;
+    }
+}
+
+// Bay selector handling
+function initBaySelector() {
+    const bayOptions = document.querySelectorAll('.bay-option');
+    bayOptions.forEach(option => {
+        option.addEventListener('click', () => {
+            // Remove active class from all
+            bayOptions.forEach(opt => opt.classList.remove('active'));
+            // Add active class to clicked
+            option.classList.add('active');
+            // Update selected bays
+            selectedBays = parseInt(option.dataset.bays);
+            // Update RAID availability based on available bays
+            updateRaidAvailability();
+            // Update drive example
+            updateDriveExample();
+            // Recalculate
+            calculateStorage();
+        });
+    });
+}
+
+// Drive type selector handling
+function initDriveTypeSelector() {
+    const driveOptions = document.querySelectorAll('.drive-type-option');
+    driveOptions.forEach(option => {
+        option.addEventListener('click', () => {
+            // Remove active class from all
+            driveOptions.forEach(opt => opt.classList.remove('active'));
+            // Add active class to clicked
+            option.classList.add('active');
+            // Update selected drive speed
+            selectedDriveSpeed = parseInt(option.dataset.speed);
+            // Update drive example
+            updateDriveExample();
+            // Recalculate
+            calculateStorage();
+        });
+    });
+}
+
+// RAID selector handling
+function initRaidSelector() {
+    const raidOptions = document.querySelectorAll('.raid-option');
+    raidOptions.forEach(option => {
+        option.addEventListener('click', () => {
+            if (option.classList.contains('disabled')) return;
+            // Remove active class from all
+            raidOptions.forEach(opt => opt.classList.remove('active'));
+            // Add active class to clicked
+            option.classList.add('active');
+            // Update selected RAID
+            selectedRaid = parseInt(option.dataset.raid);
+            // Recalculate
+            calculateStorage();
+        });
+    });
+}
+
+// Update RAID availability based on bay count
+function updateRaidAvailability() {
+    const raidOptions = document.querySelectorAll('.raid-option');
+
+    raidOptions.forEach(option => {
+        const raidLevel = parseInt(option.dataset.raid);
+
+        if (!isRaidAvailable(raidLevel, selectedBays)) {
+            option.classList.add('disabled');
+            // If currently selected RAID is now disabled, reset to single
+            if (selectedRaid === raidLevel) {
+                selectedRaid = 0;
+                raidOptions.forEach(opt => opt.classList.remove('active'));
+                document.querySelector('.raid-option[data-raid="0"]').classList.add('active');
+            }
+        } else {
+            option.classList.remove('disabled');
+        }
+    });
+
+    // Update RAID 5 and RAID 6 usable percentages based on bay count
+    const raid5Usable = document.getElementById('raid5-usable');
+    const raid6Usable = document.getElementById('raid6-usable');
+
+    if (raid5Usable && isRaidAvailable(3, selectedBays)) {
+        raid5Usable.textContent = `${Math.round(raidUsableRatio(3, selectedBays) * 100)}%`;
+    }
+
+    if (raid6Usable && isRaidAvailable(4, selectedBays)) {
+        raid6Usable.textContent = `${Math.round(raidUsableRatio(4, selectedBays) * 100)}%`;
+    }
+}
+
+// A camera card's picks, with its section and shooting days and hours
+function getCameraInput(idPrefix, section, days, hours) {
+    const value = name => document.getElementById(`${name}-${idPrefix}`)?.value || '';
+    return {
+        brand: value('brand'),
+        model: value('model'),
+        codec: value('codec'),
+        resolution: value('resolution'),
+        fps: parseInt(value('fps')) || 24,
+        days: parseFloat(days) || 0,
+        hours: parseFloat(hours) || 0,
+        section,
+        drone: section === 'drone'
+    };
+}
+
+// Every active camera and the drive setup, as calculator-engine.js takes them
+function getEstimateInput() {
+    const cameras = [];
+
+    if (sectionStates.acam) {
+        cameras.push(getCameraInput('acam-camera', 'acam', document.getElementById('acam-days')?.value, document.getElementById('acam-hours')?.value));
+    }
+
+    if (sectionStates.bcam) {
+        cameras.push(getCameraInput('bcam-camera', 'bcam', document.getElementById('bcam-days')?.value, document.getElementById('bcam-hours')?.value));
+    }
+
+    if (sectionStates.additional) {
+        document.querySelectorAll('#additional-cameras-container .camera-card').forEach(card => {
+            const id = card.id.replace('additional-camera-', '');
+            cameras.push(getCameraInput(`additional-${id}`, 'additional', card.querySelector('.additional-days')?.value, card.querySelector('.additional-hours')?.value));
+        });
+    }
+
+    if (sectionStates.drone) {
+        document.querySelectorAll('#drone-cameras-container .camera-card').forEach(card => {
+            const id = card.id.replace('drone-camera-', '');
+            cameras.push(getCameraInput(`drone-${id}`, 'drone', card.querySelector('.drone-days')?.value, card.querySelector('.drone-hours')?.value));
+        });
+    }
+
+    return {
+        cameras,
+        bays: selectedBays,
+        driveType: selectedDriveSpeed,
+        raid: selectedRaid,
+        connection: document.getElementById('connection-type').value
+    };
+}
+
+function calculateStorage() {
+    showEstimate(estimateStorage(getEstimateInput()));
+}
+
+function showEstimate(estimate) {
+    document.getElementById('raw-storage').textContent = estimate.rawStorageTB.toFixed(2);
+    document.getElementById('safe-storage').textContent = estimate.safeStorageTB.toFixed(2);
+    document.getElementById('total-storage').textContent = estimate.totalStorageTB.toFixed(2);
+
+    const arraySpeedEl = document.getElementById('array-speed');
+    if (arraySpeedEl) {
+        const speedDisplay = estimate.connectionLimited
+            ? `${estimate.effectiveSpeed.toLocaleString()} MB/s <span style="font-size: 0.75rem; opacity: 0.7">${I18n.t('calc.drives.limited')}</span>`
+            : `${estimate.effectiveSpeed.toLocaleString()} MB/s`;
+        arraySpeedEl.innerHTML = speedDisplay;
+    }
+
+    document.getElementById('daily-transfer').textContent = formatTime(estimate.dailyTransferSeconds);
+    document.getElementById('total-transfer').textContent = formatTime(estimate.totalTransferSeconds);
+
+    document.getElementById('drive-cost').textContent = `€${estimate.driveCost.toLocaleString()}`;
+    document.getElementById('enclosure-cost').textContent = `€${estimate.enclosureCost.toLocaleString()}`;
+    document.getElementById('total-cost').textContent = `€${estimate.totalCost.toLocaleString()}`;
+}
+
+function formatTime(seconds) {
+    if (seconds < 60) {
+        return I18n.t('calc.time.seconds', { count: Math.round(seconds) });
+    } else if (seconds < 3600) {
+        return I18n.t('calc.time.minutes', { count: Math.round(seconds / 60) });
+    } else {
+        const hours = Math.floor(seconds / 3600);
+        const mins = Math.round((seconds % 3600) / 60);
+        return `${hours}h ${mins}m`;
+    }
+}
+
+// Saved configurations
+function getStoredConfigs() {
+    try {
+        return JSON.parse(localStorage.getItem('storageEstimatorConfigs')) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveConfig(slot) {
+    const config = {
+        bays: selectedBays,
+        driveType: selectedDriveSpeed,
+        raid: selectedRaid,
+        connection: document.getElementById('connection-type').value,
+        timestamp: Date.now()
+    };
+
+    const configs = getStoredConfigs();
+    configs[slot] = config;
+    localStorage.setItem('storageEstimatorConfigs', JSON.stringify(configs));
+    updateConfigSlots();
+}
+
+function loadConfig(slot) {
+    const configs = getStoredConfigs();
+    const config = configs[slot];
+    if (!config) return;
+
+    applyDriveSetup(config);
+}
+
+// Select bays, drive type, RAID and connection as a saved config or estimate has them
+function applyDriveSetup({ bays, driveType, raid, connection }) {
+    selectedBays = bays;
+    document.querySelectorAll('.bay-option').forEach(opt => {
+        opt.classList.toggle('active', parseInt(opt.dataset.bays) === bays);
+    });
+
+    selectedDriveSpeed = driveType;
+    document.querySelectorAll('.drive-type-option').forEach(opt => {
+        opt.classList.toggle('active', parseInt(opt.dataset.speed) === driveType);
+    });
+
+    selectedRaid = raid;
+    document.querySelectorAll('.raid-option').forEach(opt => {
+        opt.classList.toggle('active', parseInt(opt.dataset.raid) === raid);
+    });
+
+    if (connection) {
+        document.getElementById('connection-type').value = connection;
+    }
+
+    updateRaidAvailability();
+    updateDriveExample();
+    calculateStorage();
+}
+
+function deleteConfig(slot) {
+    const configs = getStoredConfigs();
+    delete configs[slot];
+    localStorage.setItem('storageEstimatorConfigs', JSON.stringify(configs));
+    updateConfigSlots();
+}
+
+function handleConfigSlot(slot) {
+    const configs = getStoredConfigs();
+    if (configs[slot]) {
+        loadConfig(slot);
+    } else {
+        saveConfig(slot);
+    }
+}
+
+function updateConfigSlots() {
+    const configs = getStoredConfigs();
+    document.querySelectorAll('.config-slot').forEach(slot => {
+        const slotNum = slot.dataset.slot;
+        const hasConfig = !!configs[slotNum];
+        slot.classList.toggle('has-config', hasConfig);
+
+        const label = slot.querySelector('.config-slot-label');
+        const actions = slot.querySelector('.config-actions');
+        const icon = slot.querySelector('.config-slot-icon');
+
+        if (hasConfig) {
+            const config = configs[slotNum];
+            const driveNames = ['HDD 5400', 'HDD 7200', 'SSD SATA', 'NVMe', 'NVMe Pro'];
+            I18n.setText(label, 'calc.configs.saved', { bays: config.bays, drive: driveNames[config.driveType] });
+            icon.textContent = '📁';
+            actions.style.display = 'flex';
+        } else {
+            I18n.setText(label, 'calc.configs.slot', { number: Number(slotNum) });
+            icon.textContent = '💾';
+            actions.style.display = 'none';
+        }
+    });
+}
+
+// Estimates saved on the server with the whole camera setup. This browser
+// remembers the ids it saved or opened; ?estimate=<id> opens a shared one.
+const ESTIMATES_KEY = 'storageEstimates';
+const MAX_SAVED_ESTIMATES = 50;
+let savedEstimates = [];
+let currentEstimateId = null;
+
+function getSavedEstimateIds() {
+    try {
+        return JSON.parse(localStorage.getItem(ESTIMATES_KEY)) || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function setSavedEstimateIds(ids) {
+    localStorage.setItem(ESTIMATES_KEY, JSON.stringify(ids.slice(0, MAX_SAVED_ESTIMATES)));
+}
+
+function rememberEstimate(id) {
+    setSavedEstimateIds([id, ...getSavedEstimateIds().filter(saved => saved !== id)]);
+}
+
+function forgetEstimate(id) {
+    setSavedEstimateIds(getSavedEstimateIds().filter(saved => saved !== id));
+    savedEstimates = savedEstimates.filter(estimate => estimate.id !== id);
+    renderEstimateList();
+}
+
+function showEstimateStatus(key, params = {}, isError = false) {
+    const status = document.getElementById('estimate-status');
+    I18n.setText(status, key, params);
+    status.classList.toggle('error', isError);
+}
+
+// The share link of an estimate, without the language so it opens in the reader's own
+function estimateLink(id) {
+    const url = new URL(window.location.pathname, window.location.origin);
+    url.searchParams.set('estimate', id);
+    return url.href;
+}
+
+// Keep the address bar on the open estimate so it can be copied from there too
+function showEstimateInUrl(id) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('estimate', id);
+    history.replaceState(null, '', url);
+}
+
+function renderEstimateList() {
+    const list = document.getElementById('estimate-list');
+    list.innerHTML = html`${savedEstimates.map(estimate => html`
+        <li class="estimate-item${estimate.id === currentEstimateId ? ' current' : ''}">
+            <span>
+                <span class="estimate-name">${estimate.production}</span>
+                <span class="estimate-meta">${I18n.t('calc.estimates.summary', {
+                    storage: estimate.totalStorageTB.toFixed(2),
+                    cost: estimate.totalCost.toLocaleString(I18n.language),
+                    date: new Date(`${estimate.created_at.replace(' ', 'T')}Z`).toLocaleDateString(I18n.language)
+                })}</span>
+            </span>
+            <span class="config-actions">
+                <button type="button" class="config-action-btn" data-action="load-estimate" data-id="${estimate.id}">${I18n.t('calc.estimates.load')}</button>
+                <button type="button" class="config-action-btn" data-action="copy-estimate-link" data-id="${estimate.id}">${I18n.t('calc.estimates.copy')}</button>
+                <button type="button" class="config-action-btn delete" data-action="forget-estimate" data-id="${estimate.id}" aria-label="${I18n.t('calc.estimates.remove')}">×</button>
+            </span>
+        </li>
+    `)}`;
+}
+
+async function loadEstimateList() {
+    const ids = getSavedEstimateIds();
+    if (ids.length === 0) {
+        savedEstimates = [];
+        renderEstimateList();
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/estimates?ids=${ids.map(encodeURIComponent).join(',')}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        savedEstimates = await response.json();
+    } catch (error) {
+        console.error('Error loading estimates:', error);
+        return;
+    }
+    // Forget estimates that are gone from the server
+    setSavedEstimateIds(ids.filter(id => savedEstimates.some(estimate => estimate.id === id)));
+    renderEstimateList();
+}
+
+// Pick a saved camera's brand, model, codec, resolution and frame rate in
+// turn, as each select is only filled once the one before it is set
+function applyCamera(idPrefix, camera) {
+    const drone = camera.section === 'drone';
+    const select = (name, value) => {
+        document.getElementById(`${name}-${idPrefix}`).value = value === null || value === undefined ? '' : value;
+    };
+
+    select('brand', camera.brand);
+    updateModelsForId(idPrefix, drone);
+    select('model', camera.model);
+    updateCodecsForId(idPrefix, drone);
+    select('codec', camera.codec);
+    updateResolutionsForId(idPrefix, drone);
+    select('resolution', camera.resolution);
+    select('fps', camera.fps);
+}
+
+// Put a saved estimate back on the page: sections, camera cards and drive setup
+function applyEstimateInput({ cameras, ...driveSetup }) {
+    const inSection = section => cameras.filter(camera => camera.section === section);
+
+    Object.keys(sectionStates).forEach(section => {
+        if (sectionStates[section] !== inSection(section).length > 0) {
+            toggleSection(section);
+        }
+    });
+
+    ['acam', 'bcam'].forEach(section => {
+        const [camera] = inSection(section);
+        if (!camera) return;
+        document.getElementById(`${section}-days`).value = camera.days;
+        document.getElementById(`${section}-hours`).value = camera.hours;
+        applyCamera(`${section}-camera`, camera);
+    });
+
+    if (sectionStates.additional) {
+        document.getElementById('additional-cameras-container').innerHTML = '';
+        additionalCameraCount = 0;
+        inSection('additional').forEach(camera => {
+            addAdditionalCamera();
+            const card = document.getElementById(`additional-camera-${additionalCameraCount}`);
+            card.querySelector('.additional-days').value = camera.days;
+            card.querySelector('.additional-hours').value = camera.hours;
+            applyCamera(`additional-${additionalCameraCount}`, camera);
+        });
+    }
+
+    if (sectionStates.drone) {
+        document.getElementById('drone-cameras-container').innerHTML = '';
+        droneCameraCount = 0;
+        inSection('drone').forEach(camera => {
+            addDroneCamera();
+            const card = document.getElementById(`drone-camera-${droneCameraCount}`);
+            card.querySelector('.drone-days').value = camera.days;
+            card.querySelector('.drone-hours').value = camera.hours;
+            applyCamera(`drone-${droneCameraCount}`, camera);
+        });
+    }
+
+    applyDriveSetup(driveSetup);
+}
+
+async function loadEstimate(id) {
+    try {
+        const response = await fetch(`/api/estimates/${encodeURIComponent(id)}`);
+        if (response.status === 404) {
+            showEstimateStatus('calc.estimates.notFound', {}, true);
+            return;
+        }
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const estimate = await response.json();
+
+        applyEstimateInput(estimate.input);
+        document.getElementById('estimate-production').value = estimate.production;
+        currentEstimateId = estimate.id;
+        rememberEstimate(estimate.id);
+        showEstimateInUrl(estimate.id);
+        showEstimateStatus('calc.estimates.loaded', { production: estimate.production });
+        loadEstimateList();
+    } catch (error) {
+        console.error('Error loading estimate:', error);
+        showEstimateStatus('calc.estimates.loadError', {}, true);
+    }
+}
+
+// The server works the estimate out again with calculator-engine.js and
+// keeps its figures with the setup
+async function saveEstimate(form) {
+    const submit = form.querySelector('[type="submit"]');
+    submit.disabled = true;
+    showEstimateStatus('calc.estimates.saving');
+
+    try {
+        const response = await fetch('/api/estimates', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ production: form.elements.production.value, ...getEstimateInput() })
+        });
+        const result = await response.json();
+        if (response.status === 429) {
+            showEstimateStatus('calc.estimates.tooMany', {}, true);
+            return;
+        }
+        if (!response.ok) throw new Error(result.error);
+
+        currentEstimateId = result.id;
+        rememberEstimate(result.id);
+        showEstimateInUrl(result.id);
+        showEstimate(result.result);
+        showEstimateStatus('calc.estimates.saved');
+        loadEstimateList();
+    } catch (error) {
+        // Also where the static site ends up, having no API
+        console.error('Error saving estimate:', error);
+        showEstimateStatus('calc.estimates.error', {}, true);
+    } finally {
+        submit.disabled = false;
+    }
+}
+
+async function copyEstimateLink(id) {
+    const link = estimateLink(id);
+    try {
+        await navigator.clipboard.writeText(link);
+        showEstimateStatus('calc.estimates.copied');
+    } catch (error) {
+        // Without clipboard access the link is shown to copy by hand
+        const status = document.getElementById('estimate-status');
+        delete status.dataset.i18n;
+        delete status.dataset.i18nParams;
+        status.classList.remove('error');
+        status.textContent = link;
+    }
+}
+
+// Match logo height to header content
+function matchLogoHeight() {
+    const headerContent = document.querySelector('.header-content');
+    const logoSvg = document.querySelector('.page-logo-svg');
+    if (headerContent && logoSvg) {
+        const height = headerContent.offsetHeight;
+        logoSvg.style.height = height + 'px';
+    }
+}
+
+// Controls name their handler in data-action (click) or data-input (input);
+// the Content-Security-Policy blocks inline handlers
+const slotOf = button => Number(button.closest('.config-slot').dataset.slot);
+
+const CLICK_ACTIONS = {
+    'toggle-calc-section': el => toggleCalcSection(el.dataset.section),
+    'toggle-section': el => toggleSection(el.dataset.section),
+    'add-camera': () => addAdditionalCamera(),
+    'remove-camera': el => removeAdditionalCamera(Number(el.dataset.id)),
+    'add-drone': () => addDroneCamera(),
+    'remove-drone': el => removeDroneCamera(Number(el.dataset.id)),
+    'config-slot': el => handleConfigSlot(slotOf(el)),
+    'load-config': el => loadConfig(slotOf(el)),
+    'delete-config': el => deleteConfig(slotOf(el)),
+    'download-pdf': () => downloadPDF(),
+    'load-estimate': el => loadEstimate(el.dataset.id),
+    'copy-estimate-link': el => copyEstimateLink(el.dataset.id),
+    'forget-estimate': el => forgetEstimate(el.dataset.id)
+};
+
+const INPUT_ACTIONS = {
+    'calculate': () => calculateStorage(),
+    'models': el => updateModelsForId(el.dataset.camera, el.dataset.drone === 'true'),
+    'codecs': el => updateCodecsForId(el.dataset.camera, el.dataset.drone === 'true'),
+    'resolutions': el => updateResolutionsForId(el.dataset.camera, el.dataset.drone === 'true')
+};
+
+// The innermost control wins, so a slot's Load button does not also click the slot
+document.addEventListener('click', (e) => {
+    const target = e.target.closest('[data-action]');
+    if (target && CLICK_ACTIONS[target.dataset.action]) {
+        CLICK_ACTIONS[target.dataset.action](target);
+    }
+});
+
+document.addEventListener('input', (e) => {
+    const target = e.target.closest('[data-input]');
+    if (target && INPUT_ACTIONS[target.dataset.input]) {
+        INPUT_ACTIONS[target.dataset.input](target);
+    }
+});
+
+// Initialize with one camera
+document.addEventListener('DOMContentLoaded', () => {
+    // Initialize all selectors
+    initBaySelector();
+    initDriveTypeSelector();
+    initRaidSelector();
+
+    // Initialize A CAM (always active)
+    addCameraToSection('acam');
+
+    // Initial updates
+    updateRaidAvailability();
+    updateDriveExample();
+    calculateStorage();
+    updateConfigSlots();
+
+    // Saved estimates, and the one a shared link points to
+    document.getElementById('estimate-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveEstimate(e.target);
+    });
+    loadEstimateList();
+    const sharedEstimate = new URLSearchParams(window.location.search).get('estimate');
+    if (sharedEstimate) {
+        loadEstimate(sharedEstimate);
+    }
+
+    // Match logo height to text content
+    matchLogoHeight();
+    window.addEventListener('resize', matchLogoHeight);
+
+    // Results and examples are rendered text; labels follow data-i18n
+    document.addEventListener('languagechange', () => {
+        updateDriveExample();
+        calculateStorage();
+        renderEstimateList();
+        matchLogoHeight();
+    });
+});
+
+// Simple noise generation for consistency with main site
+const canvas = document.getElementById('noise-canvas');
+const ctx = canvas.getContext('2d');
+
+function resize() {
+    canvas.width = window.innerWidth;
+    canvas.height = window.innerHeight;
+}
+
+function generateNoise() {
+    const imageData = ctx.createImageData(canvas.width, canvas.height);
+    const data = imageData.data;
+
+    for (let i = 0; i < data.length; i += 4) {
+        const value = Math.random() * 255;
+        data[i] = value;
+        data[i + 1] = value;
+        data[i + 2] = value;
+        data[i + 3] = 25;
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+}
+
+resize();
+generateNoise();
+
+window.addEventListener('resize', () => {
+    resize();
+    generateNoise();
+});
+
+// Subtle animation
+setInterval(generateNoise, 100);
+
+// Theme Toggle (B&W Mode) & Mobile Menu
+(function() {
+    // Theme Toggle
+    const themeToggle = document.getElementById('theme-toggle');
+    if (themeToggle) {
+        // Check for saved preference
+        const savedTheme = localStorage.getItem('theme');
+        if (savedTheme === 'light') {
+            document.body.classList.add('light-mode');
+            I18n.setText(themeToggle.querySelector('.theme-toggle-text'), 'theme.color');
+        }
+
+        themeToggle.addEventListener('click', () => {
+            document.body.classList.toggle('light-mode');
+            const isLightMode = document.body.classList.contains('light-mode');
+
+            // Update button text
+            I18n.setText(themeToggle.querySelector('.theme-toggle-text'), isLightMode ? 'theme.color' : 'theme.bw');
+
+            // Save preference
+            localStorage.setItem('theme', isLightMode ? 'light' : 'dark');
+        });
+    }
+
+    // Mobile Menu Toggle
+    const mobileMenuToggle = document.getElementById('mobile-menu-toggle');
+    const navLinks = document.getElementById('nav-links');
+
+    if (mobileMenuToggle && navLinks) {
+        mobileMenuToggle.addEventListener('click', () => {
+            mobileMenuToggle.classList.toggle('active');
+            navLinks.classList.toggle('active');
+            document.body.style.overflow = navLinks.classList.contains('active') ? 'hidden' : '';
+        });
+
+        // Close mobile menu when clicking a nav link
+        navLinks.querySelectorAll('a').forEach(link => {
+            link.addEventListener('click', () => {
+                mobileMenuToggle.classList.remove('active');
+                navLinks.classList.remove('active');
+                document.body.style.overflow = '';
+            });
+        });
+    }
+})();
+
+// PDF Download Function
+function downloadPDF() {
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF();
+    const t = I18n.t.bind(I18n);
+
+    // Colors
+    const accentColor = [212, 132, 90];
+    const textColor = [40, 40, 40];
+    const lightGray = [120, 120, 120];
+
+    let y = 20;
+    const leftMargin = 20;
+    const pageWidth = 210;
+    const contentWidth = pageWidth - 40;
+
+    // Header
+    doc.setFontSize(24);
+    doc.setTextColor(...textColor);
+    doc.text('BO&BO', leftMargin, y);
+    doc.setFontSize(10);
+    doc.setTextColor(...lightGray);
+    doc.text(t('calc.title'), leftMargin + 35, y);
+
+    y += 5;
+    doc.setDrawColor(...accentColor);
+    doc.setLineWidth(0.5);
+    doc.line(leftMargin, y, pageWidth - leftMargin, y);
+
+    y += 15;
+
+    // Date
+    doc.setFontSize(9);
+    doc.setTextColor(...lightGray);
+    const generated = new Date().toLocaleDateString(I18n.language === 'fi' ? 'fi-FI' : 'en-US', {
+        year: 'numeric', month: 'long', day: 'numeric'
+    });
+    doc.text(t('calc.pdf.generated', { date: generated }), leftMargin, y);
+
+    y += 15;
+
+    // Camera Setup Section
+    doc.setFontSize(14);
+    doc.setTextColor(...accentColor);
+    doc.text(t('calc.cameras.title'), leftMargin, y);
+    y += 8;
+
+    doc.setFontSize(10);
+    doc.setTextColor(...textColor);
+
+    // A CAM
+    if (!document.getElementById('acam-section').classList.contains('disabled')) {
+        const acamDays = document.getElementById('acam-days').value;
+        const acamHours = document.getElementById('acam-hours').value;
+        const acamContainer = document.getElementById('acam-camera-container');
+        const cameraCards = acamContainer.querySelectorAll('.camera-card');
+
+        doc.setFontSize(11);
+        doc.text('A CAM', leftMargin, y);
+        y += 6;
+        doc.setFontSize(9);
+        doc.setTextColor(...lightGray);
+        doc.text(t('calc.pdf.shooting', { days: acamDays, hours: acamHours }), leftMargin + 5, y);
+        y += 5;
+
+        cameraCards.forEach((card, idx) => {
+            const brand = card.querySelector('[id^="acam-brand"]')?.value || 'N/A';
+            const model = card.querySelector('[id^="acam-model"]')?.value || 'N/A';
+            const codec = card.querySelector('[id^="acam-codec"]')?.value || 'N/A';
+            const resolution = card.querySelector('[id^="acam-resolution"]')?.value || 'N/A';
+            const fps = card.querySelector('[id^="acam-fps"]')?.value || '24';
+
+            doc.text(t('calc.pdf.camera', { number: idx + 1, brand, model }), leftMargin + 5, y);
+            y += 4;
+            doc.text(t('calc.pdf.cameraDetails', { codec, resolution, fps }), leftMargin + 10, y);
+            y += 6;
+        });
+    }
+
+    // B CAM
+    if (!document.getElementById('bcam-section').classList.contains('disabled')) {
+        const bcamDays = document.getElementById('bcam-days').value;
+        const bcamHours = document.getElementById('bcam-hours').value;
+
+        doc.setFontSize(11);
+        doc.setTextColor(...textColor);
+        doc.text('B CAM', leftMargin, y);
+        y += 6;
+        doc.setFontSize(9);
+        doc.setTextColor(...lightGray);
+        doc.text(t('calc.pdf.shooting', { days: bcamDays, hours: bcamHours }), leftMargin + 5, y);
+        y += 8;
+    }
+
+    y += 5;
+
+    // Drive Configuration Section
+    doc.setFontSize(14);
+    doc.setTextColor(...accentColor);
+    doc.text(t('calc.drives.title'), leftMargin, y);
+    y += 8;
+
+    doc.setFontSize(10);
+    doc.setTextColor(...textColor);
+
+    // Get selected options
+    const selectedBay = document.querySelector('.bay-option.active .bay-label')?.textContent || 'N/A';
+    const selectedDriveType = document.querySelector('.drive-type-option.active .drive-type-label')?.textContent.replace('\n', ' ') || 'N/A';
+    const selectedRaid = document.querySelector('.raid-option.active .raid-label')?.textContent || 'N/A';
+    const driveCapacity = document.getElementById('drive-capacity-value')?.textContent || 'N/A';
+
+    doc.text(t('calc.pdf.enclosure', { value: selectedBay }), leftMargin, y);
+    y += 6;
+    doc.text(t('calc.pdf.driveType', { value: selectedDriveType }), leftMargin, y);
+    y += 6;
+    doc.text(t('calc.pdf.raid', { value: selectedRaid }), leftMargin, y);
+    y += 6;
+    doc.text(t('calc.pdf.capacity', { value: driveCapacity }), leftMargin, y);
+    y += 15;
+
+    // Results Section
+    doc.setFontSize(14);
+    doc.setTextColor(...accentColor);
+    doc.text(t('calc.pdf.storage'), leftMargin, y);
+    y += 8;
+
+    doc.setFontSize(10);
+    doc.setTextColor(...textColor);
+
+    const totalStorage = document.getElementById('total-storage')?.textContent || '0';
+    const storageUnit = document.getElementById('storage-unit')?.textContent || 'TB';
+    const drivesNeeded = document.getElementById('drives-needed')?.textContent || '0';
+    const usableCapacity = document.getElementById('usable-capacity')?.textContent || '0';
+    const capacityUnit = document.getElementById('capacity-unit')?.textContent || 'TB';
+
+    doc.setFontSize(12);
+    doc.text(t('calc.pdf.totalStorage', { value: `${totalStorage} ${storageUnit}` }), leftMargin, y);
+    y += 7;
+    doc.text(t('calc.pdf.drivesNeeded', { value: drivesNeeded }), leftMargin, y);
+    y += 7;
+    doc.text(t('calc.pdf.usable', { value: `${usableCapacity} ${capacityUnit}` }), leftMargin, y);
+    y += 12;
+
+    // Price Estimate
+    doc.setFontSize(14);
+    doc.setTextColor(...accentColor);
+    doc.text(t('calc.pdf.price'), leftMargin, y);
+    y += 8;
+
+    doc.setFontSize(10);
+    doc.setTextColor(...textColor);
+
+    const drivePrice = document.getElementById('drive-price')?.textContent || '€0';
+    const enclosurePrice = document.getElementById('enclosure-price')?.textContent || '€0';
+    const totalPrice = document.getElementById('total-price')?.textContent || '€0';
+
+    doc.text(t('calc.pdf.drives', { value: drivePrice }), leftMargin, y);
+    y += 6;
+    doc.text(t('calc.pdf.enclosure', { value: enclosurePrice }), leftMargin, y);
+    y += 6;
+    doc.setFontSize(12);
+    doc.text(t('calc.pdf.total', { value: totalPrice }), leftMargin, y);
+    y += 12;
+
+    // Transfer Time
+    doc.setFontSize(14);
+    doc.setTextColor(...accentColor);
+    doc.text(t('calc.transfer.title'), leftMargin, y);
+    y += 8;
+
+    doc.setFontSize(10);
+    doc.setTextColor(...textColor);
+
+    const dailyTransfer = document.getElementById('daily-transfer')?.textContent || '0';
+    const totalTransfer = document.getElementById('total-transfer')?.textContent || '0';
+
+    doc.text(t('calc.pdf.dailyTransfer', { value: dailyTransfer }), leftMargin, y);
+    y += 6;
+    doc.text(t('calc.pdf.totalTransfer', { value: totalTransfer }), leftMargin, y);
+    y += 20;
+
+    // Footer
+    doc.setFontSize(8);
+    doc.setTextColor(...lightGray);
+    doc.text(t('calc.pdf.disclaimer'), leftMargin, y);
+    y += 4;
+    doc.text(t('calc.pdf.footer'), leftMargin, y);
+
+    // Save the PDF
+    const date = new Date().toISOString().split('T')[0];
+    doc.save(t('calc.pdf.file', { date }));
+}
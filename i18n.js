@@ -0,0 +1,123 @@
+/**
+ * Finnish and English for the public site, the calculator and the
+ * server-rendered project pages.
+ *
+ * Each language has a string catalogue in locales/, keyed like "nav.work".
+ * Static markup names its key in data-i18n (text) or data-i18n-attr
+ * ("aria-label:nav.menu; content:meta.description" for attributes), with
+ * {placeholders} filled from a data-i18n-params JSON object; the English
+ * text stays in the markup for browsers without JavaScript. Scripts call
+ * I18n.t(key, params) for text they render and listen for "languagechange"
+ * on document to redraw it.
+ *
+ * The language comes from ?lang= in the URL (the address hreflang links
+ * point to), then the visitor's saved choice, then the browser.
+ */
+
+const I18n = {
+    LANGUAGES: ['en', 'fi'],
+    DEFAULT_LANGUAGE: 'en',
+    STORAGE_KEY: 'language',
+
+    catalogues: {},
+    language: 'en',
+
+    register(language, catalogue) {
+        this.catalogues[language] = catalogue;
+    },
+
+    isSupported(language) {
+        return this.LANGUAGES.includes(language);
+    },
+
+    // The string for key, falling back to English and then to the key itself
+    t(key, params = {}, language = this.language) {
+        const catalogue = this.catalogues[language] || {};
+        let text = catalogue[key];
+        if (text === undefined) text = (this.catalogues[this.DEFAULT_LANGUAGE] || {})[key];
+        if (text === undefined) return key;
+        return text.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? params[name] : match);
+    },
+
+    // "1 season" / "3 seasons": catalogues hold key.one and key.other
+    plural(key, count, language = this.language) {
+        return this.t(`${key}.${count === 1 ? 'one' : 'other'}`, { count }, language);
+    },
+
+    detect() {
+        const fromUrl = new URLSearchParams(window.location.search).get('lang');
+        if (this.isSupported(fromUrl)) return fromUrl;
+
+        const saved = localStorage.getItem(this.STORAGE_KEY);
+        if (this.isSupported(saved)) return saved;
+
+        const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+        return this.isSupported(browser) ? browser : this.DEFAULT_LANGUAGE;
+    },
+
+    // Translate every element under root that names a key
+    apply(root = document) {
+        const paramsOf = element => element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n, paramsOf(element));
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) element.setAttribute(attribute, this.t(key, paramsOf(element)));
+            });
+        });
+    },
+
+    // Give an element translated text that follows later language switches
+    setText(element, key, params) {
+        element.dataset.i18n = key;
+        if (params) {
+            element.dataset.i18nParams = JSON.stringify(params);
+        } else {
+            delete element.dataset.i18nParams;
+        }
+        element.textContent = this.t(key, params);
+    },
+
+    setLanguage(language) {
+        if (!this.isSupported(language) || language === this.language) return;
+
+        this.language = language;
+        document.documentElement.lang = language;
+        localStorage.setItem(this.STORAGE_KEY, language);
+
+        // A ?lang= left in the address would win over the new choice on reload
+        const url = new URL(window.location.href);
+        if (url.searchParams.has('lang')) {
+            url.searchParams.set('lang', language);
+            history.replaceState(history.state, '', url);
+        }
+
+        this.apply();
+        document.dispatchEvent(new CustomEvent('languagechange', { detail: { language } }));
+    }
+};
+
+if (typeof module !== 'undefined') {
+    // The server requires this file for the project pages
+    I18n.register('en', require('./locales/en'));
+    I18n.register('fi', require('./locales/fi'));
+    module.exports = I18n;
+} else {
+    // Set before any page script renders text
+    I18n.language = I18n.detect();
+    document.documentElement.lang = I18n.language;
+
+    document.addEventListener('DOMContentLoaded', () => {
+        I18n.apply();
+
+        // The switcher next to the theme toggle names the language it switches to
+        document.querySelectorAll('.language-toggle').forEach(toggle => {
+            toggle.addEventListener('click', () => {
+                I18n.setLanguage(I18n.language === 'fi' ? 'en' : 'fi');
+            });
+        });
+    });
+}
@@ -0,0 +1,249 @@
+// English strings for the public site, the calculator and the project pages.
+// Keys are shared with locales/fi.js; see i18n.js for how they are used.
+const I18N_EN = {
+    'meta.title': 'BO&BO | The D.I.T. Company',
+    'meta.description': 'BO&BO Digital Imaging - Technical precision from set to post for film and television production. Professional D.I.T. services in Helsinki, Finland.',
+
+    'nav.menu': 'Toggle menu',
+    'nav.home': 'Home',
+    'nav.services': 'Services',
+    'nav.work': 'Work',
+    'nav.team': 'Team',
+    'nav.contact': 'Contact',
+    'nav.calculator': 'Calculator',
+    'overlay.close': 'Close',
+
+    'theme.toggle': 'Toggle black and white mode',
+    'theme.bw': 'B&W',
+    'theme.color': 'Color',
+    'language.toggle': 'Switch to Finnish',
+    'language.switch': 'FI',
+
+    'hero.before': 'Technical precision from',
+    'hero.accent': 'set to post',
+    'hero.after': 'for film and television.',
+
+    'footer.contact': 'Contact',
+    'footer.location': 'Location',
+    'footer.follow': 'Follow',
+    'footer.city': 'Helsinki, Finland',
+
+    'services.intro': 'We manage the technical aspects of converting light into finished digital imagery. Your material is your most precious possession—we protect it.',
+    'services.data.title': 'Data Management',
+    'services.data.text': 'Secure and rapid footage transfer with continuously improved security protocols.',
+    'services.grade.title': 'First Light & Live Grade',
+    'services.grade.text': 'On-set color grading with looks preserved through post-production.',
+    'services.qc.title': 'Quality Control',
+    'services.qc.text': 'Material review using calibrated monitors to identify issues early.',
+    'services.dailies.title': 'Dailies Processing',
+    'services.dailies.text': 'Grading, syncing, and transcoding via our BOBO DAILIES system.',
+    'services.storage.title': 'Security & Storage',
+    'services.storage.text': 'Multi-location storage, fireproof safes, and LTO tape archival.',
+    'services.assistance.title': 'Technical Assistance',
+    'services.assistance.text': 'Live chroma keying, plate projection, and custom solutions.',
+    'services.equipment.title': 'Equipment',
+    'services.equipment.text': 'Custom-built D.I.T. kits for on-set color grading and dailies processing. Mobile systems for challenging locations.',
+    'availability.title': 'Availability',
+    'availability.intro': 'Free rental kits per day. Dates are only reserved once we confirm your inquiry.',
+    'availability.previous': 'Previous month',
+    'availability.next': 'Next month',
+    'availability.kit': 'Kit',
+    'availability.day': '{date}: {available} of {quantity} free',
+    'availability.free': 'Free',
+    'availability.partial': 'Partly booked',
+    'availability.booked': 'Booked',
+    'equipment.category.dit_cart': 'DIT Cart',
+    'equipment.category.monitor': 'Monitor',
+    'equipment.category.storage': 'Storage',
+    'equipment.category.portable_kit': 'Portable Kit',
+    'equipment.category.other': 'Other',
+
+    'work.title': 'Past Projects',
+    'work.intro': 'Feature films and productions we\'ve had the privilege to work on.',
+    'work.director': 'Director',
+    'work.partners': 'Production Partners',
+    'work.empty': 'No projects to display yet.',
+    'work.error': 'Unable to load projects.',
+
+    'category.feature_film': 'Feature Films',
+    'category.tv_series': 'TV Series',
+    'category.documentary': 'Documentaries',
+    'category.commercial': 'Commercials',
+
+    'type.feature_film': 'Feature Film',
+    'type.tv_series': 'TV Series',
+    'type.documentary': 'Documentary',
+    'type.commercial': 'Commercial',
+
+    'role.dop': 'Director of Photography',
+    'role.dit': 'D.I.T.',
+    'role.data_wrangler': 'Data Wrangler',
+    'role.colourist': 'Colourist',
+    'role.short.dop': 'DOP',
+    'role.short.dit': 'D.I.T.',
+    'role.short.data_wrangler': 'Data Wrangler',
+    'role.short.colourist': 'Colourist',
+
+    'project.seasons.one': '{count} season',
+    'project.seasons.other': '{count} seasons',
+    'project.episodes.one': '{count} episode',
+    'project.episodes.other': '{count} episodes',
+    'project.details': 'Details',
+    'project.trailer': 'Trailer',
+    'project.allProjects': 'All Projects',
+    'project.description': '{title} ({facts}). D.I.T. and data management by BO&BO.',
+    'project.notFound': 'Project not found',
+    'project.notFoundText': 'It may have been renamed or taken down.',
+    'project.seeAll': 'See all projects',
+
+    'trailer.unplayable': 'This clip can\'t be played here.',
+    'trailer.watchOn': 'Watch on {host}',
+
+    'team.intro': 'Dedicated professionals who ensure every frame is handled with care.',
+    'team.filmography': 'Filmography',
+    'team.noProjects': 'No credited projects yet.',
+    'team.error': 'Unable to load projects.',
+
+    'contact.email': 'Email',
+    'contact.phone': 'Phone',
+    'contact.address': 'Address',
+    'contact.city': '00880 Helsinki, Finland',
+
+    'inquiry.title': 'Production Inquiry',
+    'inquiry.intro': 'Tell us about your production and we will get back to you with availability and a quote.',
+    'inquiry.production': 'Production',
+    'inquiry.name': 'Your Name',
+    'inquiry.email': 'Email',
+    'inquiry.phone': 'Phone',
+    'inquiry.shootStart': 'Shoot Starts',
+    'inquiry.shootEnd': 'Shoot Ends',
+    'inquiry.location': 'Location',
+    'inquiry.cameras': 'Cameras',
+    'inquiry.camerasHint': 'e.g. 2 × ARRI Alexa 35, ARRIRAW 4.6K',
+    'inquiry.equipment': 'Kits to Book',
+    'inquiry.dataVolume': 'Expected Data Volume',
+    'inquiry.dataVolumeHint': 'e.g. 2 TB per day',
+    'inquiry.message': 'Anything Else',
+    'inquiry.send': 'Send Inquiry',
+    'inquiry.sending': 'Sending…',
+    'inquiry.sent': 'Thank you! We will get back to you soon.',
+    'inquiry.invalid': 'Please check the highlighted fields.',
+    'inquiry.tooMany': 'Too many inquiries from here. Please try again later or email info@bobodit.com.',
+    'inquiry.error': 'Sending failed. Please email us at info@bobodit.com.',
+
+    'calc.meta.title': 'Hard Drive Calculator | BO&BO',
+    'calc.meta.description': 'Hard Drive Calculator - Calculate storage requirements for your film production based on camera specs, shooting days, and drive configuration. Free tool by BO&BO.',
+    'calc.back': 'Back to Home',
+    'calc.title': 'Hard Drive Calculator',
+    'calc.intro': 'Calculate the storage requirements for your production based on camera specs, shooting days, and desired drive configuration.',
+    'calc.noteLabel': 'Note:',
+    'calc.note': 'This tool provides a preliminary estimate only. Actual storage needs may vary based on shooting conditions, codec settings, and other factors. Always verify your requirements with your D.I.T. or post-production team before committing to a purchase.',
+    'calc.collapse': 'Collapse',
+    'calc.expand': 'Expand',
+    'calc.active': 'Active',
+    'calc.inactive': 'Inactive',
+    'calc.remove': 'Remove',
+    'calc.shootingDays': 'Shooting Days',
+    'calc.hoursPerDay': 'Hours / Day',
+
+    'calc.cameras.title': 'Camera Setup',
+    'calc.cameras.main': 'Main',
+    'calc.cameras.secondary': 'Secondary',
+    'calc.cameras.additional': 'Additional Cameras',
+    'calc.cameras.add': '+ Add Camera',
+    'calc.cameras.aerial': 'Aerial',
+    'calc.drones.title': 'Drone / Aerial',
+    'calc.drones.add': '+ Add Drone',
+    'calc.drones.card': 'Drone {number}',
+
+    'calc.camera.brand': 'Brand',
+    'calc.camera.model': 'Model',
+    'calc.camera.codec': 'Codec',
+    'calc.camera.resolution': 'Resolution',
+    'calc.camera.frameRate': 'Frame Rate',
+    'calc.camera.selectBrand': 'Select Brand',
+    'calc.camera.selectModel': 'Select Model',
+    'calc.camera.selectCodec': 'Select Codec',
+    'calc.camera.selectResolution': 'Select Resolution',
+    'calc.camera.selectFrameRate': 'Select Frame Rate',
+
+    'calc.drives.title': 'Drive Configuration',
+    'calc.drives.priceDirection': '← Cheaper · More Expensive →',
+    'calc.drives.enclosure': 'Enclosure Size',
+    'calc.drives.bays': '{count} Bay',
+    'calc.drives.examples': 'Example products',
+    'calc.drives.custom': 'Custom/Enterprise solutions',
+    'calc.drives.type': 'Drive Type',
+    'calc.drives.redundancy': 'Redundancy Level',
+    'calc.drives.single': 'Single',
+    'calc.drives.connection': 'Connection Type',
+    'calc.drives.speed': 'Array Write Speed',
+    'calc.drives.limited': '(limited by connection)',
+
+    'calc.results.title': 'Results',
+    'calc.results.raw': 'Raw Data',
+    'calc.results.safe': 'With 20% Safety',
+    'calc.results.safeHint': 'For drive safety, file system overhead, and unexpected footage',
+    'calc.results.total': 'Total Drive Capacity Needed',
+
+    'calc.cost.title': 'Estimated Cost',
+    'calc.cost.drives': 'Drive Cost',
+    'calc.cost.enclosure': 'Enclosure Cost',
+    'calc.cost.total': 'Total Estimate',
+    'calc.cost.note': 'Prices are approximate and based on current market averages. Actual costs may vary.',
+
+    'calc.transfer.title': 'Transfer Time Estimate',
+    'calc.transfer.daily': 'Daily Transfer',
+    'calc.transfer.total': 'Total Project Transfer',
+    'calc.time.seconds': '{count} sec',
+    'calc.time.minutes': '{count} min',
+
+    'calc.configs.title': 'Save Configuration',
+    'calc.configs.slot': 'Slot {number}',
+    'calc.configs.saved': '{bays}-bay {drive}',
+    'calc.configs.load': 'Load',
+    'calc.configs.delete': 'Delete',
+    'calc.estimates.title': 'Saved Estimates',
+    'calc.estimates.production': 'Production name',
+    'calc.estimates.save': 'Save',
+    'calc.estimates.saving': 'Saving…',
+    'calc.estimates.saved': 'Saved. Anyone with the link can open this estimate.',
+    'calc.estimates.loaded': 'Opened “{production}”.',
+    'calc.estimates.notFound': 'That estimate does not exist anymore.',
+    'calc.estimates.loadError': 'The estimate could not be opened.',
+    'calc.estimates.error': 'The estimate could not be saved. Please try again.',
+    'calc.estimates.tooMany': 'Too many saved estimates from here. Please try again later.',
+    'calc.estimates.summary': '{storage} TB · €{cost} · {date}',
+    'calc.estimates.load': 'Open',
+    'calc.estimates.copy': 'Copy link',
+    'calc.estimates.copied': 'Link copied.',
+    'calc.estimates.remove': 'Remove from this list',
+
+    'calc.pdf.download': 'Download PDF',
+    'calc.pdf.generated': 'Generated: {date}',
+    'calc.pdf.shooting': '{days} shooting days, {hours} hours/day',
+    'calc.pdf.camera': 'Camera {number}: {brand} {model}',
+    'calc.pdf.cameraDetails': 'Codec: {codec}, Resolution: {resolution}, FPS: {fps}',
+    'calc.pdf.enclosure': 'Enclosure: {value}',
+    'calc.pdf.driveType': 'Drive Type: {value}',
+    'calc.pdf.raid': 'RAID Configuration: {value}',
+    'calc.pdf.capacity': 'Drive Capacity: {value}',
+    'calc.pdf.storage': 'Storage Requirements',
+    'calc.pdf.totalStorage': 'Total Storage Needed: {value}',
+    'calc.pdf.drivesNeeded': 'Drives Required: {value}',
+    'calc.pdf.usable': 'Usable Capacity: {value}',
+    'calc.pdf.price': 'Price Estimate',
+    'calc.pdf.drives': 'Drives: {value}',
+    'calc.pdf.total': 'Total: {value}',
+    'calc.pdf.dailyTransfer': 'Daily Transfer: {value}',
+    'calc.pdf.totalTransfer': 'Total Project Transfer: {value}',
+    'calc.pdf.disclaimer': 'This is an estimate only. Actual requirements may vary based on shooting conditions.',
+    'calc.pdf.footer': 'Generated by BO&BO Hard Drive Calculator - bobodit.com',
+    'calc.pdf.file': 'BOBO_Storage_Estimate_{date}.pdf'
+};
+
+if (typeof module !== 'undefined') {
+    module.exports = I18N_EN;
+} else {
+    I18n.register('en', I18N_EN);
+}
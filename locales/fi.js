@@ -0,0 +1,249 @@
+// Finnish strings for the public site, the calculator and the project pages.
+// Keys missing here fall back to locales/en.js.
+const I18N_FI = {
+    'meta.title': 'BO&BO | D.I.T.-yhtiö',
+    'meta.description': 'BO&BO Digital Imaging – teknistä tarkkuutta kuvauksista jälkituotantoon elokuva- ja televisiotuotannoille. Ammattimaiset D.I.T.-palvelut Helsingissä.',
+
+    'nav.menu': 'Avaa valikko',
+    'nav.home': 'Etusivu',
+    'nav.services': 'Palvelut',
+    'nav.work': 'Työt',
+    'nav.team': 'Tiimi',
+    'nav.contact': 'Yhteystiedot',
+    'nav.calculator': 'Laskuri',
+    'overlay.close': 'Sulje',
+
+    'theme.toggle': 'Vaihda mustavalkotilaan',
+    'theme.bw': 'MV',
+    'theme.color': 'Väri',
+    'language.toggle': 'Switch to English',
+    'language.switch': 'EN',
+
+    'hero.before': 'Teknistä tarkkuutta',
+    'hero.accent': 'kuvauksista jälkituotantoon',
+    'hero.after': 'elokuville ja televisiolle.',
+
+    'footer.contact': 'Yhteystiedot',
+    'footer.location': 'Sijainti',
+    'footer.follow': 'Seuraa',
+    'footer.city': 'Helsinki, Suomi',
+
+    'services.intro': 'Hoidamme kaikki tekniset vaiheet valosta valmiiksi digitaaliseksi kuvaksi. Materiaalisi on arvokkainta omaisuuttasi – me suojaamme sen.',
+    'services.data.title': 'Datanhallinta',
+    'services.data.text': 'Turvallinen ja nopea materiaalinsiirto jatkuvasti kehittyvin tietoturvakäytännöin.',
+    'services.grade.title': 'First Light ja live-värimäärittely',
+    'services.grade.text': 'Värimäärittely kuvauspaikalla, ja lookit säilyvät jälkituotantoon asti.',
+    'services.qc.title': 'Laadunvalvonta',
+    'services.qc.text': 'Materiaalin tarkastus kalibroiduilla monitoreilla, jotta ongelmat löytyvät ajoissa.',
+    'services.dailies.title': 'Dailies-käsittely',
+    'services.dailies.text': 'Värimäärittely, synkronointi ja transkoodaus BOBO DAILIES -järjestelmällämme.',
+    'services.storage.title': 'Tietoturva ja säilytys',
+    'services.storage.text': 'Säilytys useassa sijainnissa, paloturvalliset kassakaapit ja LTO-nauha-arkistointi.',
+    'services.assistance.title': 'Tekninen tuki',
+    'services.assistance.text': 'Live-chroma key, taustaprojisointi ja räätälöidyt ratkaisut.',
+    'services.equipment.title': 'Kalusto',
+    'services.equipment.text': 'Itse rakennetut D.I.T.-kalustot värimäärittelyyn ja dailies-käsittelyyn kuvauspaikalla. Liikuteltavat järjestelmät haastaviin kohteisiin.',
+    'availability.title': 'Saatavuus',
+    'availability.intro': 'Vapaat vuokrakalustot päivittäin. Päivät varataan vasta, kun olemme vahvistaneet tiedustelusi.',
+    'availability.previous': 'Edellinen kuukausi',
+    'availability.next': 'Seuraava kuukausi',
+    'availability.kit': 'Kalusto',
+    'availability.day': '{date}: {available}/{quantity} vapaana',
+    'availability.free': 'Vapaa',
+    'availability.partial': 'Osittain varattu',
+    'availability.booked': 'Varattu',
+    'equipment.category.dit_cart': 'DIT-kärry',
+    'equipment.category.monitor': 'Monitori',
+    'equipment.category.storage': 'Tallennus',
+    'equipment.category.portable_kit': 'Kannettava kalusto',
+    'equipment.category.other': 'Muu',
+
+    'work.title': 'Projekteja',
+    'work.intro': 'Elokuvia ja tuotantoja, joissa olemme saaneet olla mukana.',
+    'work.director': 'Ohjaaja',
+    'work.partners': 'Tuotantokumppanit',
+    'work.empty': 'Ei vielä näytettäviä projekteja.',
+    'work.error': 'Projektien lataaminen epäonnistui.',
+
+    'category.feature_film': 'Elokuvat',
+    'category.tv_series': 'TV-sarjat',
+    'category.documentary': 'Dokumentit',
+    'category.commercial': 'Mainokset',
+
+    'type.feature_film': 'Elokuva',
+    'type.tv_series': 'TV-sarja',
+    'type.documentary': 'Dokumentti',
+    'type.commercial': 'Mainos',
+
+    'role.dop': 'Kuvaaja',
+    'role.dit': 'D.I.T.',
+    'role.data_wrangler': 'Data wrangler',
+    'role.colourist': 'Värimäärittelijä',
+    'role.short.dop': 'Kuvaaja',
+    'role.short.dit': 'D.I.T.',
+    'role.short.data_wrangler': 'Data wrangler',
+    'role.short.colourist': 'Värimäärittelijä',
+
+    'project.seasons.one': '{count} kausi',
+    'project.seasons.other': '{count} kautta',
+    'project.episodes.one': '{count} jakso',
+    'project.episodes.other': '{count} jaksoa',
+    'project.details': 'Lisätiedot',
+    'project.trailer': 'Traileri',
+    'project.allProjects': 'Kaikki projektit',
+    'project.description': '{title} ({facts}). D.I.T. ja datanhallinta: BO&BO.',
+    'project.notFound': 'Projektia ei löytynyt',
+    'project.notFoundText': 'Se on ehkä nimetty uudelleen tai poistettu.',
+    'project.seeAll': 'Katso kaikki projektit',
+
+    'trailer.unplayable': 'Tätä videota ei voi toistaa täällä.',
+    'trailer.watchOn': 'Katso palvelussa {host}',
+
+    'team.intro': 'Omistautuneet ammattilaiset, jotka huolehtivat jokaisesta ruudusta.',
+    'team.filmography': 'Filmografia',
+    'team.noProjects': 'Ei vielä projekteja.',
+    'team.error': 'Projektien lataaminen epäonnistui.',
+
+    'contact.email': 'Sähköposti',
+    'contact.phone': 'Puhelin',
+    'contact.address': 'Osoite',
+    'contact.city': '00880 Helsinki, Suomi',
+
+    'inquiry.title': 'Tarjouspyyntö',
+    'inquiry.intro': 'Kerro tuotannostasi, niin palaamme asiaan saatavuuden ja tarjouksen kanssa.',
+    'inquiry.production': 'Tuotanto',
+    'inquiry.name': 'Nimesi',
+    'inquiry.email': 'Sähköposti',
+    'inquiry.phone': 'Puhelin',
+    'inquiry.shootStart': 'Kuvaukset alkavat',
+    'inquiry.shootEnd': 'Kuvaukset päättyvät',
+    'inquiry.location': 'Kuvauspaikka',
+    'inquiry.cameras': 'Kamerat',
+    'inquiry.camerasHint': 'esim. 2 × ARRI Alexa 35, ARRIRAW 4.6K',
+    'inquiry.equipment': 'Varattava kalusto',
+    'inquiry.dataVolume': 'Arvioitu datamäärä',
+    'inquiry.dataVolumeHint': 'esim. 2 Tt päivässä',
+    'inquiry.message': 'Muuta huomioitavaa',
+    'inquiry.send': 'Lähetä',
+    'inquiry.sending': 'Lähetetään…',
+    'inquiry.sent': 'Kiitos! Palaamme asiaan pian.',
+    'inquiry.invalid': 'Tarkista korostetut kentät.',
+    'inquiry.tooMany': 'Liian monta viestiä. Yritä myöhemmin uudelleen tai lähetä sähköpostia osoitteeseen info@bobodit.com.',
+    'inquiry.error': 'Lähetys epäonnistui. Lähetä sähköpostia osoitteeseen info@bobodit.com.',
+
+    'calc.meta.title': 'Kiintolevylaskuri | BO&BO',
+    'calc.meta.description': 'Kiintolevylaskuri – laske tuotantosi tallennustarve kameroiden, kuvauspäivien ja levykokoonpanon perusteella. BO&BO:n ilmainen työkalu.',
+    'calc.back': 'Takaisin etusivulle',
+    'calc.title': 'Kiintolevylaskuri',
+    'calc.intro': 'Laske tuotantosi tallennustarve kameroiden teknisten tietojen, kuvauspäivien ja halutun levykokoonpanon perusteella.',
+    'calc.noteLabel': 'Huom:',
+    'calc.note': 'Työkalu antaa vain alustavan arvion. Todellinen tallennustarve voi vaihdella kuvausolosuhteiden, koodekkiasetusten ja muiden tekijöiden mukaan. Varmista tarpeet aina D.I.T.:n tai jälkituotantotiimin kanssa ennen hankintoja.',
+    'calc.collapse': 'Pienennä',
+    'calc.expand': 'Laajenna',
+    'calc.active': 'Käytössä',
+    'calc.inactive': 'Ei käytössä',
+    'calc.remove': 'Poista',
+    'calc.shootingDays': 'Kuvauspäivät',
+    'calc.hoursPerDay': 'Tuntia / päivä',
+
+    'calc.cameras.title': 'Kamerat',
+    'calc.cameras.main': 'Pääkamera',
+    'calc.cameras.secondary': 'Kakkoskamera',
+    'calc.cameras.additional': 'Lisäkamerat',
+    'calc.cameras.add': '+ Lisää kamera',
+    'calc.cameras.aerial': 'Ilmakuvaus',
+    'calc.drones.title': 'Drooni / ilmakuvaus',
+    'calc.drones.add': '+ Lisää drooni',
+    'calc.drones.card': 'Drooni {number}',
+
+    'calc.camera.brand': 'Valmistaja',
+    'calc.camera.model': 'Malli',
+    'calc.camera.codec': 'Koodekki',
+    'calc.camera.resolution': 'Resoluutio',
+    'calc.camera.frameRate': 'Kuvataajuus',
+    'calc.camera.selectBrand': 'Valitse valmistaja',
+    'calc.camera.selectModel': 'Valitse malli',
+    'calc.camera.selectCodec': 'Valitse koodekki',
+    'calc.camera.selectResolution': 'Valitse resoluutio',
+    'calc.camera.selectFrameRate': 'Valitse kuvataajuus',
+
+    'calc.drives.title': 'Levykokoonpano',
+    'calc.drives.priceDirection': '← Edullisempi · Kalliimpi →',
+    'calc.drives.enclosure': 'Kotelon koko',
+    'calc.drives.bays': '{count}-paikkainen',
+    'calc.drives.examples': 'Esimerkkituotteita',
+    'calc.drives.custom': 'Räätälöidyt ratkaisut',
+    'calc.drives.type': 'Levytyyppi',
+    'calc.drives.redundancy': 'Vikasietoisuus',
+    'calc.drives.single': 'Yksi levy',
+    'calc.drives.connection': 'Liitäntä',
+    'calc.drives.speed': 'Kirjoitusnopeus',
+    'calc.drives.limited': '(liitäntä rajoittaa)',
+
+    'calc.results.title': 'Tulokset',
+    'calc.results.raw': 'Raakadata',
+    'calc.results.safe': '20 % varmuusvaralla',
+    'calc.results.safeHint': 'Levyjen turvamarginaali, tiedostojärjestelmän vaatima tila ja odottamaton lisämateriaali',
+    'calc.results.total': 'Levytilaa tarvitaan yhteensä',
+
+    'calc.cost.title': 'Kustannusarvio',
+    'calc.cost.drives': 'Levyt',
+    'calc.cost.enclosure': 'Kotelo',
+    'calc.cost.total': 'Arvio yhteensä',
+    'calc.cost.note': 'Hinnat ovat suuntaa antavia keskimääräisiä markkinahintoja. Todelliset kustannukset voivat vaihdella.',
+
+    'calc.transfer.title': 'Siirtoaika-arvio',
+    'calc.transfer.daily': 'Päivittäinen siirto',
+    'calc.transfer.total': 'Koko projektin siirto',
+    'calc.time.seconds': '{count} s',
+    'calc.time.minutes': '{count} min',
+
+    'calc.configs.title': 'Tallenna kokoonpano',
+    'calc.configs.slot': 'Paikka {number}',
+    'calc.configs.saved': '{bays}-paikkainen {drive}',
+    'calc.configs.load': 'Lataa',
+    'calc.configs.delete': 'Poista',
+    'calc.estimates.title': 'Tallennetut arviot',
+    'calc.estimates.production': 'Tuotannon nimi',
+    'calc.estimates.save': 'Tallenna',
+    'calc.estimates.saving': 'Tallennetaan…',
+    'calc.estimates.saved': 'Tallennettu. Kuka tahansa linkin saanut voi avata arvion.',
+    'calc.estimates.loaded': 'Avattu ”{production}”.',
+    'calc.estimates.notFound': 'Arviota ei ole enää olemassa.',
+    'calc.estimates.loadError': 'Arvion avaaminen epäonnistui.',
+    'calc.estimates.error': 'Arvion tallennus epäonnistui. Yritä uudelleen.',
+    'calc.estimates.tooMany': 'Liian monta tallennettua arviota. Yritä myöhemmin uudelleen.',
+    'calc.estimates.summary': '{storage} Tt · {cost} € · {date}',
+    'calc.estimates.load': 'Avaa',
+    'calc.estimates.copy': 'Kopioi linkki',
+    'calc.estimates.copied': 'Linkki kopioitu.',
+    'calc.estimates.remove': 'Poista listalta',
+
+    'calc.pdf.download': 'Lataa PDF',
+    'calc.pdf.generated': 'Luotu: {date}',
+    'calc.pdf.shooting': '{days} kuvauspäivää, {hours} tuntia/päivä',
+    'calc.pdf.camera': 'Kamera {number}: {brand} {model}',
+    'calc.pdf.cameraDetails': 'Koodekki: {codec}, resoluutio: {resolution}, FPS: {fps}',
+    'calc.pdf.enclosure': 'Kotelo: {value}',
+    'calc.pdf.driveType': 'Levytyyppi: {value}',
+    'calc.pdf.raid': 'RAID-kokoonpano: {value}',
+    'calc.pdf.capacity': 'Levyn koko: {value}',
+    'calc.pdf.storage': 'Tallennustarve',
+    'calc.pdf.totalStorage': 'Tallennustilaa tarvitaan: {value}',
+    'calc.pdf.drivesNeeded': 'Levyjä tarvitaan: {value}',
+    'calc.pdf.usable': 'Käytettävä tila: {value}',
+    'calc.pdf.price': 'Hinta-arvio',
+    'calc.pdf.drives': 'Levyt: {value}',
+    'calc.pdf.total': 'Yhteensä: {value}',
+    'calc.pdf.dailyTransfer': 'Päivittäinen siirto: {value}',
+    'calc.pdf.totalTransfer': 'Koko projektin siirto: {value}',
+    'calc.pdf.disclaimer': 'Tämä on vain arvio. Todellinen tarve voi vaihdella kuvausolosuhteiden mukaan.',
+    'calc.pdf.footer': 'Luotu BO&BO:n kiintolevylaskurilla - bobodit.com',
+    'calc.pdf.file': 'BOBO_tallennusarvio_{date}.pdf'
+};
+
+if (typeof module !== 'undefined') {
+    module.exports = I18N_FI;
+} else {
+    I18n.register('fi', I18N_FI);
+}
@@ -472,56 +472,202 @@ document.addEventListener('DOMContentLoaded', () => {
     magneticEquipment.addEventListener('mouseleave', handleMouseLeave);
 });
 
+// Deep links: the hash names the open overlay and, on Work, a selected project
+// and its trailer: #contact, #work/tuntematon-sotilas, #work/tuntematon-sotilas/trailer/2.
+// Changes go through history, so the back button closes what was opened instead
+// of leaving the site. Features listen for "routechange" and follow the route.
+const SiteRoute = {
+    current() {
+        const parts = window.location.hash.replace(/^#/, '').split('/').map(part => {
+            try {
+                return decodeURIComponent(part);
+            } catch (error) {
+                return '';
+            }
+        });
+        return {
+            overlay: parts[0] || null,
+            project: parts[1] || null,
+            clip: parts[1] && parts[2] === 'trailer' ? Math.max(1, parseInt(parts[3], 10) || 1) : null
+        };
+    },
+
+    toHash({ overlay = null, project = null, clip = null }) {
+        if (!overlay) return '';
+        const parts = [overlay];
+        if (project) {
+            parts.push(project);
+            if (clip) parts.push('trailer');
+            if (clip > 1) parts.push(clip);
+        }
+        return '#' + parts.map(part => encodeURIComponent(part)).join('/');
+    },
+
+    // Add a history entry for the route (or replace the current one) and apply it
+    go(route, { replace = false } = {}) {
+        const hash = this.toHash(route);
+        if (hash === this.toHash(this.current())) return;
+
+        const url = hash || window.location.pathname + window.location.search;
+        history[replace ? 'replaceState' : 'pushState'](null, '', url);
+        this.notify();
+    },
+
+    notify() {
+        document.dispatchEvent(new CustomEvent('routechange', { detail: this.current() }));
+    }
+};
+
+window.addEventListener('popstate', () => SiteRoute.notify());
+
 // Trailer Modal Functionality
 document.addEventListener('DOMContentLoaded', () => {
     const modal = document.getElementById('trailer-modal');
-    const iframe = document.getElementById('trailer-iframe');
+    const player = document.getElementById('trailer-player');
+    const clipList = document.getElementById('trailer-clips');
     const closeBtn = document.querySelector('.trailer-close');
-    const projectCards = document.querySelectorAll('.project-card');
 
-    // Convert YouTube URL to embed URL
-    function getEmbedUrl(url) {
-        const videoId = url.match(/(?:youtube\.com\/watch\?v=|youtu\.be\/)([^&]+)/);
-        if (videoId && videoId[1]) {
-            return `https://www.youtube.com/embed/${videoId[1]}?autoplay=1&rel=0`;
+    let clips = [];
+    let clipIndex = 0;
+    // Slug of the project whose clips are showing, when the modal was opened from a link
+    let openSlug = null;
+
+    function showFallback(url) {
+        const href = safeUrl(url);
+        player.innerHTML = html`
+            <div class="trailer-fallback">
+                <p>${I18n.t('trailer.unplayable')}</p>
+                ${href && html`<a href="${href}" target="_blank" rel="noopener" class="project-link">${I18n.t('trailer.watchOn', { host: new URL(href, window.location.href).hostname })}</a>`}
+            </div>
+        `;
+    }
+
+    function playClip(index) {
+        const clip = clips[index];
+        clipIndex = index;
+        const embed = getEmbed(clip.url);
+
+        if (!embed) {
+            showFallback(clip.url);
+        } else if (embed.type === 'video') {
+            player.innerHTML = html`<video src="${embed.src}" controls autoplay playsinline></video>`;
+            // Unreachable files and unsupported codecs fall back to a link
+            player.querySelector('video').addEventListener('error', () => showFallback(clip.url));
+        } else {
+            player.innerHTML = html`<iframe src="${embed.src}" frameborder="0" allowfullscreen allow="autoplay; fullscreen; picture-in-picture"></iframe>`;
+        }
+
+        clipList.querySelectorAll('.trailer-clip').forEach(button => {
+            button.classList.toggle('active', Number(button.dataset.index) === index);
+        });
+    }
+
+    function openModal(cardClips, index = 0) {
+        clips = cardClips;
+        clipList.innerHTML = html`${clips.map((clip, index) => html`
+            <button type="button" class="trailer-clip" data-index="${index}">${clip.label}</button>
+        `)}`;
+        clipList.hidden = clips.length < 2;
+
+        playClip(index);
+        modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    // The clips of a card: its trailer first, then any extra clips
+    function getCardClips(card) {
+        try {
+            return JSON.parse(card.dataset.clips);
+        } catch (error) {
+            return [];
         }
-        return url;
     }
 
-    // Open modal when clicking on project card poster
-    projectCards.forEach(card => {
-        const poster = card.querySelector('.project-poster');
-        poster.addEventListener('click', (e) => {
+    function findCard(slug) {
+        return document.querySelector(`.project-card[data-slug="${CSS.escape(slug)}"]`);
+    }
+
+    // Cards are rendered after the movies load, so listen on the document.
+    // Clicking a card selects it and plays its trailer; its own links open as usual.
+    // Cards without a slug (an older movies.json) just open the modal.
+    document.addEventListener('click', (e) => {
+        const card = e.target.closest('.project-card');
+        if (!card || e.target.closest('a')) return;
+
+        const cardClips = getCardClips(card);
+        if (card.dataset.slug) {
             e.preventDefault();
-            const trailerUrl = card.dataset.trailer;
-            if (trailerUrl) {
-                iframe.src = getEmbedUrl(trailerUrl);
-                modal.classList.add('active');
-                document.body.style.overflow = 'hidden';
-            }
-        });
+            SiteRoute.go({ overlay: 'work', project: card.dataset.slug, clip: cardClips.length > 0 ? 1 : null });
+        } else if (cardClips.length > 0) {
+            e.preventDefault();
+            openModal(cardClips);
+        }
+    });
+
+    // Switching clips replaces the history entry, so back still closes the modal
+    clipList.addEventListener('click', (e) => {
+        const button = e.target.closest('.trailer-clip');
+        if (!button) return;
+
+        const index = Number(button.dataset.index);
+        if (openSlug) {
+            SiteRoute.go({ overlay: 'work', project: openSlug, clip: index + 1 }, { replace: true });
+        } else {
+            playClip(index);
+        }
     });
 
     // Close modal
     function closeModal() {
         modal.classList.remove('active');
-        iframe.src = '';
-        document.body.style.overflow = '';
+        player.innerHTML = '';
+        openSlug = null;
+        // The Work overlay underneath still keeps the page from scrolling
+        document.body.style.overflow = document.querySelector('.overlay-panel.active') ? 'hidden' : '';
     }
 
-    closeBtn.addEventListener('click', closeModal);
+    // Closing goes back to the project without its trailer
+    function dismissModal() {
+        if (openSlug) {
+            SiteRoute.go({ overlay: 'work', project: openSlug });
+        } else {
+            closeModal();
+        }
+    }
+
+    // Play the trailer the URL points at, once its card has been rendered
+    document.addEventListener('routechange', (e) => {
+        const { overlay, project, clip } = e.detail;
+        const card = overlay === 'work' && project && clip ? findCard(project) : null;
+        const cardClips = card ? getCardClips(card) : [];
+        if (cardClips.length === 0) {
+            if (modal.classList.contains('active')) closeModal();
+            return;
+        }
+
+        const index = Math.min(clip, cardClips.length) - 1;
+        if (modal.classList.contains('active') && openSlug === project) {
+            if (index !== clipIndex) playClip(index);
+            return;
+        }
+        openSlug = project;
+        openModal(cardClips, index);
+    });
+
+    closeBtn.addEventListener('click', dismissModal);
 
     // Close on backdrop click
     modal.addEventListener('click', (e) => {
-        if (e.target === modal) {
-            closeModal();
+        if (e.target === modal || e.target.classList.contains('trailer-backdrop')) {
+            dismissModal();
         }
     });
 
-    // Close on escape key
+    // Close on escape key; the overlay underneath stays open
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape' && modal.classList.contains('active')) {
-            closeModal();
+            e.preventDefault();
+            dismissModal();
         }
     });
 });
@@ -719,33 +865,47 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // Show the overlay the URL names, if it isn't showing already
+    document.addEventListener('routechange', (e) => {
+        const panelId = e.detail.overlay;
+        const active = document.querySelector('.overlay-panel.active');
+        if (active && active.dataset.overlayPanel === panelId) return;
+
+        closeAllOverlays();
+        if (panelId) {
+            openOverlay(panelId);
+        }
+    });
+
     // Trigger clicks
     overlayTriggers.forEach(trigger => {
         trigger.addEventListener('click', (e) => {
             e.preventDefault();
-            const panelId = trigger.dataset.overlay;
-            closeAllOverlays();
-            openOverlay(panelId);
+            SiteRoute.go({ overlay: trigger.dataset.overlay });
         });
     });
 
+    function closeFromPage() {
+        SiteRoute.go({});
+    }
+
     // Logo close button clicks
     logoCloseButtons.forEach(button => {
-        button.addEventListener('click', closeAllOverlays);
+        button.addEventListener('click', closeFromPage);
     });
 
     // Logo click closes overlays
     if (logoLink) {
         logoLink.addEventListener('click', (e) => {
             e.preventDefault();
-            closeAllOverlays();
+            closeFromPage();
         });
     }
 
-    // Escape key closes overlays
+    // Escape key closes overlays, unless it just closed the trailer on top of one
     document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') {
-            closeAllOverlays();
+        if (e.key === 'Escape' && !e.defaultPrevented) {
+            closeFromPage();
         }
     });
 
@@ -766,61 +926,542 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 });
 
-// Load and render movies from JSON file
+// Load and render movies from the API, or from the published JSON file on static hosting
 document.addEventListener('DOMContentLoaded', async () => {
-    const projectsGrid = document.getElementById('projects-grid');
-    if (!projectsGrid) return;
+    const projectCategories = document.getElementById('project-categories');
+    if (!projectCategories) return;
 
-    try {
-        const response = await fetch('data/movies.json');
-        const movies = await response.json();
+    // Section order for the project types; headings come from the string catalogues
+    const categories = ['feature_film', 'tv_series', 'documentary', 'commercial'];
+
+    function renderSeriesInfo(movie) {
+        const parts = [];
+        if (movie.seasons) parts.push(I18n.plural('project.seasons', movie.seasons));
+        if (movie.episode_count) parts.push(I18n.plural('project.episodes', movie.episode_count));
+        return parts.join(' · ');
+    }
 
-        // Sort by year descending (latest first)
-        movies.sort((a, b) => (b.year || 0) - (a.year || 0));
+    // Credit groups in display order
+    const creditRoles = ['dop', 'dit', 'data_wrangler', 'colourist'];
 
-        if (movies.length === 0) {
-            projectsGrid.innerHTML = '<p style="grid-column: 1/-1; color: var(--text-tertiary);">No projects to display yet.</p>';
-            return;
+    // Credits grouped by role; falls back to the text fields in older movies.json files
+    function getCredits(movie) {
+        if (!movie.credits) {
+            return [
+                movie.dop && { label: I18n.t('role.dop'), names: [movie.dop] },
+                movie.bobo_crew && { label: 'BO&BO', names: [movie.bobo_crew] }
+            ].filter(Boolean);
         }
 
-        projectsGrid.innerHTML = movies.map(movie => `
-            <article class="project-card" ${movie.trailer_url ? `onclick="window.open('${movie.trailer_url}', '_blank')"` : ''}>
-                <div class="project-poster">
-                    <img src="${movie.poster_local || movie.poster_url || ''}"
+        return creditRoles
+            .map(role => ({
+                label: I18n.t(`role.${role}`),
+                names: movie.credits.filter(credit => credit.role === role).map(credit => credit.name)
+            }))
+            .filter(group => group.names.length > 0);
+    }
+
+    // Rendered card widths, matching .project-card in styles.css
+    const posterSizes = '(max-width: 640px) 200px, (max-width: 1024px) 240px, 280px';
+    const featuredPosterSizes = '(max-width: 640px) 280px, (max-width: 1024px) 340px, 400px';
+
+    // Processed uploads come in several widths and formats; remote URLs are a single image
+    function renderPoster(movie) {
+        const variants = movie.poster_variants || [];
+        if (variants.length === 0) {
+            return html`<img src="${safeUrl(movie.poster_local || movie.poster_url)}"
                          alt="${movie.title}"
-                         onerror="this.style.display='none'">
+                         loading="lazy">`;
+        }
+
+        const sizes = movie.featured ? featuredPosterSizes : posterSizes;
+        const srcset = format => variants
+            .filter(variant => variant.format === format)
+            .map(variant => `${safeUrl(variant.url)} ${Number(variant.width)}w`)
+            .join(', ');
+        const placeholder = safeUrl(movie.poster_placeholder, { allowDataImages: true });
+
+        return html`
+            ${placeholder && html`<div class="project-poster-placeholder" style="background-image: url('${placeholder}')"></div>`}
+            <picture>
+                <source type="image/avif" srcset="${srcset('avif')}" sizes="${sizes}">
+                <source type="image/webp" srcset="${srcset('webp')}" sizes="${sizes}">
+                <img src="${safeUrl(movie.poster_local)}"
+                     srcset="${srcset('jpeg')}"
+                     sizes="${sizes}"
+                     width="${movie.poster_width}"
+                     height="${movie.poster_height}"
+                     alt="${movie.title}"
+                     loading="lazy"
+                     decoding="async"
+                     class="progressive">
+            </picture>
+        `;
+    }
+
+    function renderLink(url, label) {
+        const href = safeUrl(url);
+        return href && html`<a href="${href}" target="_blank" rel="noopener" class="project-link">${label}</a>`;
+    }
+
+    // The trailer and any extra clips, in the order the trailer modal shows them
+    function getClips(movie) {
+        const clips = movie.trailer_url ? [{ label: I18n.t('project.trailer'), url: movie.trailer_url }] : [];
+        return clips.concat(movie.clips || []).filter(clip => safeUrl(clip.url));
+    }
+
+    function renderProjectCard(movie) {
+        const seriesInfo = movie.project_type === 'tv_series' ? renderSeriesInfo(movie) : '';
+        const clips = getClips(movie);
+
+        return html`
+            <article class="project-card${movie.featured ? ' featured' : ''}" ${movie.slug && html`data-slug="${movie.slug}"`} ${clips.length > 0 && html`data-clips="${JSON.stringify(clips)}"`}>
+                <div class="project-poster">
+                    ${renderPoster(movie)}
                     <div class="project-overlay">
                         <h3 class="project-overlay-title">${movie.title}</h3>
-                        <span class="project-overlay-year">${movie.year || ''}</span>
+                        <span class="project-overlay-year">${movie.year || ''}${seriesInfo ? ` · ${seriesInfo}` : ''}</span>
                         <div class="project-overlay-crew">
-                            ${movie.dop ? `
-                                <div class="project-crew-item">
-                                    <span class="project-crew-label">Director of Photography</span>
-                                    <span class="project-crew-value">${movie.dop}</span>
-                                </div>
-                            ` : ''}
-                            ${movie.bobo_crew ? `
+                            ${getCredits(movie).map(group => html`
                                 <div class="project-crew-item">
-                                    <span class="project-crew-label">BO&BO</span>
-                                    <span class="project-crew-value">${movie.bobo_crew}</span>
+                                    <span class="project-crew-label">${group.label}</span>
+                                    <span class="project-crew-value">${group.names.join(', ')}</span>
                                 </div>
-                            ` : ''}
+                            `)}
                         </div>
                         <div class="project-links">
-                            ${movie.imdb_url ? `<a href="${movie.imdb_url}" target="_blank" class="project-link" onclick="event.stopPropagation()">IMDB</a>` : ''}
-                            ${movie.tmdb_url ? `<a href="${movie.tmdb_url}" target="_blank" class="project-link" onclick="event.stopPropagation()">TMDB</a>` : ''}
-                            ${movie.trailer_url ? `<a href="${movie.trailer_url}" target="_blank" class="project-link" onclick="event.stopPropagation()">Trailer</a>` : ''}
+                            ${movie.slug && html`<a href="/projects/${encodeURIComponent(movie.slug)}${I18n.language === I18n.DEFAULT_LANGUAGE ? '' : `?lang=${I18n.language}`}" class="project-link">${I18n.t('project.details')}</a>`}
+                            ${renderLink(movie.imdb_url, 'IMDB')}
+                            ${renderLink(movie.tmdb_url, 'TMDB')}
+                            ${renderLink(movie.trailer_url, I18n.t('project.trailer'))}
                         </div>
                     </div>
                 </div>
             </article>
-        `).join('');
+        `;
+    }
+
+    // Highlight the project the URL names and bring it into view
+    let selectedSlug = null;
+    function selectProject(slug) {
+        const card = slug && projectCategories.querySelector(`.project-card[data-slug="${CSS.escape(slug)}"]`);
+        if (slug === selectedSlug && card && card.classList.contains('selected')) return;
+
+        projectCategories.querySelectorAll('.project-card.selected').forEach(selected => selected.classList.remove('selected'));
+        selectedSlug = slug;
+        if (card) {
+            card.classList.add('selected');
+            card.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'center' });
+        }
+    }
+
+    document.addEventListener('routechange', (e) => {
+        selectProject(e.detail.overlay === 'work' ? e.detail.project : null);
+    });
+
+    // load and error do not bubble, so listen in the capture phase
+    projectCategories.addEventListener('load', (e) => {
+        if (e.target.matches('img.progressive')) {
+            e.target.classList.add('loaded');
+        }
+    }, true);
+    projectCategories.addEventListener('error', (e) => {
+        if (e.target.tagName === 'IMG') {
+            e.target.style.display = 'none';
+        }
+    }, true);
+
+    // The API is only available when server.js is running. It translates titles
+    // and synopses itself; the static copy carries them as title_fi and so on.
+    async function fetchMovies(language) {
+        try {
+            const response = await fetch(`/api/movies?lang=${encodeURIComponent(language)}`);
+            if (response.ok) {
+                return await response.json();
+            }
+        } catch (error) {
+            // Fall through to the static copy
+        }
+
+        const response = await fetch('data/movies.json');
+        const movies = await response.json();
+        if (language === I18n.DEFAULT_LANGUAGE) return movies;
+        return movies.map(movie => Object.assign(movie, {
+            title: movie[`title_${language}`] || movie.title,
+            synopsis: movie[`synopsis_${language}`] || movie.synopsis
+        }));
+    }
 
+    async function loadProjects() {
+        try {
+            const movies = await fetchMovies(I18n.language);
+
+            // Movies arrive in the order set in the admin panel
+            if (movies.length === 0) {
+                projectCategories.innerHTML = html`<p style="color: var(--text-tertiary);">${I18n.t('work.empty')}</p>`;
+                return;
+            }
+
+            projectCategories.innerHTML = html`${categories.map(type => {
+                const projects = movies.filter(movie => (movie.project_type || 'feature_film') === type);
+                if (projects.length === 0) return '';
+
+                return html`
+                    <section class="project-category" data-project-type="${type}">
+                        <h4 class="work-category">${I18n.t(`category.${type}`)}</h4>
+                        <div class="projects-grid">
+                            ${projects.map(renderProjectCard)}
+                        </div>
+                    </section>
+                `;
+            })}`;
+
+            // A linked project or trailer can be shown now that its card exists
+            SiteRoute.notify();
+
+        } catch (error) {
+            console.error('Error loading movies:', error);
+            // Fallback to static content if API fails
+            projectCategories.innerHTML = html`<p style="color: var(--text-tertiary);">${I18n.t('work.error')}</p>`;
+        }
+    }
+
+    document.addEventListener('languagechange', loadProjects);
+    await loadProjects();
+});
+
+// Load and render the team from the API, or from the published JSON file on static hosting
+document.addEventListener('DOMContentLoaded', async () => {
+    const teamGrid = document.getElementById('team-grid');
+    if (!teamGrid) return;
+
+    async function fetchTeam() {
+        try {
+            const response = await fetch('/api/team');
+            if (response.ok) {
+                return await response.json();
+            }
+        } catch (error) {
+            // Fall through to the static copy
+        }
+
+        const response = await fetch('data/team.json');
+        if (!response.ok) throw new Error('No team data');
+        return response.json();
+    }
+
+    // The static team.json embeds projects; the API serves them per member
+    async function fetchProjects(member) {
+        if (member.projects) return member.projects;
+        const response = await fetch(`/api/team/${member.id}/projects?lang=${I18n.language}`);
+        return response.json();
+    }
+
+    function getInitials(name) {
+        return name.split(/\s+/).map(part => part[0]).join('').slice(0, 2).toUpperCase();
+    }
+
+    function renderMember(member) {
+        const photo = safeUrl(member.photo);
+        return html`
+            <div class="team-member" data-member-id="${member.id}">
+                <div class="team-photo${photo ? '' : ' placeholder'}">
+                    ${photo
+                        ? html`<img loading="lazy" decoding="async" src="${photo}" alt="${member.name}">`
+                        : html`<span class="placeholder-initials">${getInitials(member.name)}</span>`}
+                    <div class="tv-effects">
+                        <div class="tv-noise"></div>
+                        <div class="tv-scanlines"></div>
+                        <div class="tv-vignette"></div>
+                    </div>
+                </div>
+                <h3>${member.name}</h3>
+                <span class="team-role">${member.role || ''}</span>
+                <button class="team-filmography-toggle" aria-expanded="false" data-i18n="team.filmography">${I18n.t('team.filmography')}</button>
+                <div class="team-filmography" hidden></div>
+            </div>
+        `;
+    }
+
+    function renderFilmography(member, projects) {
+        const list = projects.length > 0
+            ? html`<ul class="team-filmography-list">
+                ${projects.map(project => html`
+                    <li>
+                        <span>${project.title}${project.role ? ` · ${I18n.t(`role.short.${project.role}`)}` : ''}</span>
+                        <span class="team-filmography-year">${project.year || ''}</span>
+                    </li>
+                `)}
+            </ul>`
+            : html`<p class="team-bio" data-i18n="team.noProjects">${I18n.t('team.noProjects')}</p>`;
+
+        return html`${member.bio && html`<p class="team-bio">${member.bio}</p>`}${list}`;
+    }
+
+    let team;
+    try {
+        team = await fetchTeam();
     } catch (error) {
-        console.error('Error loading movies:', error);
-        // Fallback to static content if API fails
-        projectsGrid.innerHTML = '<p style="grid-column: 1/-1; color: var(--text-tertiary);">Unable to load projects.</p>';
+        // Keep the hand-written team markup
+        return;
+    }
+    if (team.length === 0) return;
+
+    teamGrid.innerHTML = html`${team.map(renderMember)}`;
+
+    async function loadFilmography(memberEl) {
+        const panel = memberEl.querySelector('.team-filmography');
+        const member = team.find(m => String(m.id) === memberEl.dataset.memberId);
+        try {
+            panel.innerHTML = renderFilmography(member, await fetchProjects(member));
+            panel.dataset.loaded = 'true';
+        } catch (error) {
+            console.error('Error loading filmography:', error);
+            panel.innerHTML = html`<p class="team-bio" data-i18n="team.error">${I18n.t('team.error')}</p>`;
+        }
+    }
+
+    // Expand a member to show their filmography, loading it on first open
+    teamGrid.addEventListener('click', (e) => {
+        const toggle = e.target.closest('.team-filmography-toggle');
+        if (!toggle) return;
+
+        const memberEl = toggle.closest('.team-member');
+        const panel = memberEl.querySelector('.team-filmography');
+        const expanded = toggle.getAttribute('aria-expanded') === 'true';
+
+        toggle.setAttribute('aria-expanded', String(!expanded));
+        panel.hidden = expanded;
+        if (expanded || panel.dataset.loaded) return;
+
+        loadFilmography(memberEl);
+    });
+
+    // Project titles and roles are translated, so open filmographies are
+    // loaded again and closed ones on their next opening
+    document.addEventListener('languagechange', () => {
+        teamGrid.querySelectorAll('.team-filmography[data-loaded]').forEach(panel => {
+            delete panel.dataset.loaded;
+            if (!panel.hidden) loadFilmography(panel.closest('.team-member'));
+        });
+    });
+});
+
+// Production inquiry form on the Contact overlay
+document.addEventListener('DOMContentLoaded', () => {
+    const form = document.getElementById('inquiry-form');
+    if (!form) return;
+
+    const status = document.getElementById('inquiry-status');
+    const submit = form.querySelector('.inquiry-submit');
+    const shootStart = form.elements.shoot_start;
+    const shootEnd = form.elements.shoot_end;
+    const equipmentField = document.getElementById('inquiry-equipment');
+    const equipmentOptions = document.getElementById('inquiry-equipment-options');
+    let kits = [];
+
+    function showStatus(key, isError = false) {
+        I18n.setText(status, key);
+        status.classList.toggle('error', isError);
+    }
+
+    function clearErrors() {
+        form.querySelectorAll('.inquiry-error').forEach(error => { error.textContent = ''; });
+        form.querySelectorAll('.invalid').forEach(field => field.classList.remove('invalid'));
+    }
+
+    // Errors from the server are keyed by field name
+    function showFieldErrors(errors) {
+        Object.entries(errors).forEach(([field, message]) => {
+            const error = form.querySelector(`[data-error-for="${field}"]`);
+            if (error) error.textContent = message;
+            const input = form.elements[field];
+            // Checkbox groups come back as a list and are marked through their fieldset
+            if (input && input.classList) input.classList.add('invalid');
+        });
+        const first = form.querySelector('.invalid');
+        if (first) first.focus();
+    }
+
+    // Kits visitors can ask for, keeping what is ticked when the language changes
+    function renderKits() {
+        const checked = new FormData(form).getAll('equipment');
+        equipmentOptions.innerHTML = html`${kits.map(kit => html`
+            <label class="inquiry-kit">
+                <input type="checkbox" name="equipment" value="${kit.id}" ${checked.includes(String(kit.id)) && html`checked`}>
+                <span>${kit.name}</span>
+                <span class="inquiry-kit-category">${I18n.t(`equipment.category.${kit.category}`)}</span>
+            </label>
+        `)}`;
+    }
+
+    async function loadKits() {
+        try {
+            const response = await fetch('/api/equipment');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            kits = await response.json();
+        } catch (error) {
+            // Without the API there is nothing to pick; the fieldset stays hidden
+            return;
+        }
+        equipmentField.hidden = kits.length === 0;
+        renderKits();
     }
+
+    loadKits();
+    document.addEventListener('languagechange', renderKits);
+
+    // The shoot cannot end before it starts
+    shootStart.addEventListener('change', () => {
+        shootEnd.min = shootStart.value;
+    });
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        clearErrors();
+
+        const data = new FormData(form);
+        const body = Object.fromEntries(data);
+        body.equipment = data.getAll('equipment').map(Number);
+        body.language = I18n.language;
+
+        submit.disabled = true;
+        showStatus('inquiry.sending');
+        try {
+            const response = await fetch('/api/inquiries', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            if (response.ok) {
+                form.reset();
+                shootEnd.min = '';
+                showStatus('inquiry.sent');
+                return;
+            }
+
+            const result = await response.json();
+            if (response.status === 429) {
+                showStatus('inquiry.tooMany', true);
+            } else if (result.errors) {
+                showFieldErrors(result.errors);
+                showStatus('inquiry.invalid', true);
+            } else {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            // Also where the static site ends up, having no API
+            console.error('Error sending inquiry:', error);
+            showStatus('inquiry.error', true);
+        } finally {
+            submit.disabled = false;
+        }
+    });
+});
+
+// Equipment availability calendar on the Services overlay, a month at a time
+document.addEventListener('DOMContentLoaded', () => {
+    const calendar = document.getElementById('availability');
+    if (!calendar) return;
+
+    const table = document.getElementById('availability-table');
+    const monthLabel = document.getElementById('availability-month');
+    const previous = calendar.querySelector('.availability-step[data-step="-1"]');
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const firstMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+    let month = firstMonth;
+    let availability = null;
+
+    // Local YYYY-MM-DD; toISOString would give the day before east of UTC
+    function isoDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    function monthDays() {
+        const count = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+        return Array.from({ length: count }, (_, index) => new Date(month.getFullYear(), month.getMonth(), index + 1));
+    }
+
+    function dayClass(day, available, quantity) {
+        const state = available === 0 ? 'booked' : available < quantity ? 'partial' : 'free';
+        return day < today ? `${state} past` : state;
+    }
+
+    function render() {
+        const days = monthDays();
+        monthLabel.textContent = month.toLocaleDateString(I18n.language, { month: 'long', year: 'numeric' });
+        previous.disabled = month <= firstMonth;
+
+        // Kits with more than one unit show how many are free
+        table.innerHTML = html`
+            <thead>
+                <tr>
+                    <th scope="col">${I18n.t('availability.kit')}</th>
+                    ${days.map(day => html`<th scope="col" class="${day.getDay() % 6 === 0 ? 'weekend' : ''}">${day.getDate()}</th>`)}
+                </tr>
+            </thead>
+            <tbody>
+                ${availability.equipment.map(item => html`
+                    <tr>
+                        <th scope="row">
+                            ${item.name}
+                            <span class="availability-category">${I18n.t(`equipment.category.${item.category}`)}</span>
+                        </th>
+                        ${item.available.map((available, index) => html`<td class="${dayClass(days[index], available, item.quantity)}" title="${I18n.t('availability.day', {
+                            date: days[index].toLocaleDateString(I18n.language, { weekday: 'short', day: 'numeric', month: 'numeric' }),
+                            available,
+                            quantity: item.quantity
+                        })}">${item.quantity > 1 ? available : ''}</td>`)}
+                    </tr>
+                `)}
+            </tbody>
+        `;
+    }
+
+    async function load() {
+        const requested = month;
+        const days = monthDays();
+        try {
+            const response = await fetch(`/api/availability?from=${isoDate(days[0])}&to=${isoDate(days[days.length - 1])}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const result = await response.json();
+            // A later click may already have moved on to another month
+            if (requested !== month) return;
+            availability = result;
+        } catch (error) {
+            // The static site has no API; the calendar stays hidden
+            console.error('Error loading availability:', error);
+            calendar.hidden = true;
+            return;
+        }
+        calendar.hidden = availability.equipment.length === 0;
+        render();
+    }
+
+    calendar.querySelectorAll('.availability-step').forEach(button => {
+        button.addEventListener('click', () => {
+            month = new Date(month.getFullYear(), month.getMonth() + Number(button.dataset.step), 1);
+            load();
+        });
+    });
+
+    document.addEventListener('languagechange', () => {
+        if (availability) render();
+    });
+
+    load();
+});
+
+// Partner logos fall back to the partner's name when the image is missing.
+// decode() also settles for images that failed before this script ran.
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('.partner-logo img').forEach(img => {
+        img.decode().catch(() => {
+            img.style.display = 'none';
+            img.nextElementSibling.style.display = 'block';
+        });
+    });
 });
 
 // Theme Toggle (Black & White Mode)
@@ -832,7 +1473,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const savedTheme = localStorage.getItem('theme');
     if (savedTheme === 'light') {
         document.body.classList.add('light-mode');
-        themeToggle.querySelector('.theme-toggle-text').textContent = 'Color';
+        I18n.setText(themeToggle.querySelector('.theme-toggle-text'), 'theme.color');
     }
 
     themeToggle.addEventListener('click', () => {
@@ -840,7 +1481,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const isLightMode = document.body.classList.contains('light-mode');
 
         // Update button text
-        themeToggle.querySelector('.theme-toggle-text').textContent = isLightMode ? 'Color' : 'B&W';
+        I18n.setText(themeToggle.querySelector('.theme-toggle-text'), isLightMode ? 'theme.color' : 'theme.bw');
 
         // Save preference
         localStorage.setItem('theme', isLightMode ? 'light' : 'dark');
@@ -864,3 +1505,6 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 });
+
+// Open whatever the URL links to, now that every feature above is listening
+document.addEventListener('DOMContentLoaded', () => SiteRoute.notify());
@@ -0,0 +1,76 @@
+/**
+ * Safe HTML rendering shared by the public site and the admin panel.
+ *
+ * Build markup with the html`` tag: every interpolated value is escaped
+ * unless it is itself the result of html``, so database fields can never
+ * inject tags or attributes. Links and image sources go through safeUrl,
+ * which only lets http(s) and same-site URLs through. Event handlers are
+ * attached with addEventListener, never inline (the server's
+ * Content-Security-Policy blocks inline script). The server renders its
+ * pages with the same helpers.
+ */
+
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+}
+
+// Arrays are joined, null/undefined/false render nothing, everything else is escaped
+function renderValue(value) {
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, index) => {
+        markup += renderValue(value) + strings[index + 1];
+    });
+    return new SafeHtml(markup);
+}
+
+// The URL if it is http(s) or relative to this site, otherwise ''.
+// Pass { allowDataImages: true } for image sources that may be data:image/ URIs.
+function safeUrl(value, { allowDataImages = false } = {}) {
+    if (value === null || value === undefined || value === '') return '';
+    const text = String(value).trim();
+
+    let url;
+    try {
+        url = new URL(text, typeof window !== 'undefined' ? window.location.href : 'http://localhost/');
+    } catch (error) {
+        return '';
+    }
+    if (url.protocol === 'http:' || url.protocol === 'https:') {
+        return text;
+    }
+    if (allowDataImages && /^data:image\/(png|jpeg|gif|webp|avif);base64,[A-Za-z0-9+/]+=*$/i.test(text)) {
+        return text;
+    }
+    return '';
+}
+
+// The server requires this file; browsers load it as a plain script
+if (typeof module !== 'undefined') {
+    module.exports = { SafeHtml, html, escapeHtml, safeUrl };
+}
@@ -0,0 +1,21 @@
+// Apply pending schema migrations to movies.db, or list them with --dry-run
+// Usage: npm run migrate [-- --dry-run]
+const path = require('path');
+const Database = require('better-sqlite3');
+const { runMigrations, getSchemaVersion } = require('../server/migrate');
+
+const dryRun = process.argv.includes('--dry-run');
+const db = new Database(process.env.DATABASE_PATH || path.join(__dirname, '..', 'movies.db'));
+
+try {
+    const pending = runMigrations(db, { dryRun });
+    if (pending.length === 0) {
+        console.log('No pending migrations');
+    }
+    console.log(`Schema version ${getSchemaVersion(db)}${dryRun ? ' (dry run, nothing changed)' : ''}`);
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+} finally {
+    db.close();
+}
@@ -0,0 +1,11 @@
+// Regenerate data/movies.json and data/team.json from movies.db for the static site
+// Usage: npm run publish:static
+const path = require('path');
+const Database = require('better-sqlite3');
+const { publishStaticData } = require('../server/publish');
+
+const db = new Database(process.env.DATABASE_PATH || path.join(__dirname, '..', 'movies.db'), { fileMustExist: true });
+const result = publishStaticData(db);
+db.close();
+
+console.log(`Published ${result.count} movies and ${result.team_count} team members to ${path.relative(process.cwd(), result.path)}`);
@@ -4,13 +4,75 @@ const multer = require('multer');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const { createAuth } = require('./server/auth');
+const { runMigrations } = require('./server/migrate');
+const { publishStaticData } = require('./server/publish');
+const { createTeam } = require('./server/team');
+const { createTransfer } = require('./server/transfer');
+const { createPosterMirror } = require('./server/mirror');
+const { createMetadata } = require('./server/metadata');
+const { createRevisions, recordRevision, ensureBaseline } = require('./server/revisions');
+const { createTrash, trashMovie } = require('./server/trash');
+const { processPoster, removePosterFiles, isUploadedPoster, attachPosterVariants, POSTER_COLUMNS, NO_POSTER } = require('./server/posters');
+const { promoteScheduled, ACTIVE_CONDITION, VISIBLE_CONDITION, MOVIE_ORDER } = require('./server/visibility');
+const { buildMovieFilter } = require('./server/search');
+const { STATUSES } = require('./server/constants');
+const { validateMovie, hasErrors, sendErrors } = require('./server/validation');
+const { securityHeaders } = require('./server/security');
+const { createPeople, attachCredits, saveCredits, parseCredits, creditsFromText, migrateLegacyCredits } = require('./server/people');
+const { attachClips, parseClips, saveClips } = require('./server/clips');
+const { assignSlug, assignMissingSlugs } = require('./server/slugs');
+const { parseLanguage, localizeMovies } = require('./server/translations');
+const { createPages } = require('./server/pages');
+const { createInquiries } = require('./server/inquiries');
+const { createEquipment } = require('./server/equipment');
+const { createEstimates } = require('./server/estimates');
+const { createTransport } = require('./server/mail');
 
 const app = express();
-const PORT = 3000;
+const PORT = Number(process.env.PORT) || 3000;
+
+// The SQLite database; DATABASE_PATH points elsewhere, as the tests do
+const DATABASE_PATH = process.env.DATABASE_PATH || path.join(__dirname, 'movies.db');
+
+// How often remote posters are copied locally; 0 turns the job off
+const POSTER_MIRROR_INTERVAL_HOURS = process.env.POSTER_MIRROR_INTERVAL_HOURS !== undefined
+    ? Number(process.env.POSTER_MIRROR_INTERVAL_HOURS)
+    : 6;
+
+// Public address of the site, for canonical links, link previews and the sitemap
+const SITE_URL = process.env.SITE_URL || 'https://bobodit.com';
+
+// Inquiry notifications: MAIL_TRANSPORT=file (the default) writes them to
+// MAIL_OUTBOX, MAIL_TRANSPORT=smtp sends them through SMTP_HOST
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'file';
+const MAIL_OUTBOX = process.env.MAIL_OUTBOX || path.join(__dirname, 'outbox');
+const MAIL_FROM = process.env.MAIL_FROM || 'BO&BO website <website@bobodit.com>';
+const INQUIRY_EMAIL = process.env.INQUIRY_EMAIL || 'info@bobodit.com';
+
+// Days a deleted movie stays in the trash before it is purged; 0 keeps it until emptied
+const TRASH_RETENTION_DAYS = process.env.TRASH_RETENTION_DAYS !== undefined
+    ? Number(process.env.TRASH_RETENTION_DAYS)
+    : 30;
+
+// Behind a reverse proxy, set TRUST_PROXY (e.g. "loopback") so rate limits
+// see each visitor's address instead of the proxy's
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', process.env.TRUST_PROXY);
+}
 
 // Middleware
-app.use(cors());
+app.use(securityHeaders);
+app.use(cors({ exposedHeaders: ['X-Total-Count'] }));
 app.use(express.json());
+
+// Never serve the database, server-side code or mail as static files
+app.use((req, res, next) => {
+    if (/\.db(-journal|-wal|-shm)?$/i.test(req.path) || req.path.startsWith('/server/') || req.path.startsWith('/outbox/')) {
+        return res.status(404).end();
+    }
+    next();
+});
 app.use(express.static('.'));
 
 // Ensure uploads directory exists
@@ -22,19 +84,10 @@ if (!fs.existsSync(uploadsDir)) {
 // Serve uploaded files
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, uploadsDir);
-    },
-    filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, uniqueSuffix + path.extname(file.originalname));
-    }
-});
-
+// Configure multer for file uploads; posters are kept in memory until
+// processPoster has written the resized variants
 const upload = multer({
-    storage: storage,
+    storage: multer.memoryStorage(),
     limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
     fileFilter: (req, file, cb) => {
         const allowedTypes = /jpeg|jpg|png|webp/;
@@ -48,131 +101,351 @@ const upload = multer({
 });
 
 // Initialize SQLite database
-const db = new Database(path.join(__dirname, 'movies.db'));
-
-// Create tables
-db.exec(`
-    CREATE TABLE IF NOT EXISTS movies (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        title TEXT NOT NULL,
-        year INTEGER,
-        poster_url TEXT,
-        poster_local TEXT,
-        dop TEXT,
-        bobo_crew TEXT,
-        imdb_url TEXT,
-        tmdb_url TEXT,
-        trailer_url TEXT,
-        production_company TEXT,
-        synopsis TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-`);
+const db = new Database(DATABASE_PATH);
+
+// Bring the schema up to date; refuse to start on a half-migrated database
+try {
+    runMigrations(db);
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+// Authentication
+const auth = createAuth(db);
+const { requireAuth, optionalAuth, requireRole } = auth;
+app.use('/api', auth.router);
+
+// People and credits
+const people = createPeople(db, auth);
+app.use('/api', people.router);
+
+// Team members and their filmographies
+const team = createTeam(db, auth);
+app.use('/api', team.router);
+
+// Movie import and export
+const transfer = createTransfer(db, auth);
+app.use('/api', transfer.router);
+
+// Local copies of remote posters
+const posterMirror = createPosterMirror(db, auth);
+app.use('/api', posterMirror.router);
+
+// Change history of each movie
+const revisions = createRevisions(db, auth);
+app.use('/api', revisions.router);
+
+// Deleted movies waiting to be restored or purged
+const trash = createTrash(db, auth, { retentionDays: TRASH_RETENTION_DAYS });
+app.use('/api', trash.router);
+
+// Movie details looked up from TMDB and IMDb links
+const metadata = createMetadata(auth);
+app.use('/api', metadata.router);
+
+// Production inquiries from the contact form
+const inquiries = createInquiries(db, auth, {
+    transport: createTransport(MAIL_TRANSPORT, {
+        directory: MAIL_OUTBOX,
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 25,
+        secure: process.env.SMTP_SECURE === 'true',
+        username: process.env.SMTP_USERNAME,
+        password: process.env.SMTP_PASSWORD
+    }),
+    from: MAIL_FROM,
+    to: INQUIRY_EMAIL,
+    siteUrl: SITE_URL
+});
+app.use('/api', inquiries.router);
+
+// Rental kit inventory, bookings and the public availability calendar
+const equipment = createEquipment(db, auth);
+app.use('/api', equipment.router);
+
+// Storage calculator estimates saved under a shareable id
+const estimates = createEstimates(db);
+app.use('/api', estimates.router);
+
+// Server-rendered project pages and the sitemap
+const pages = createPages(db, { siteUrl: SITE_URL });
+app.use(pages.router);
+
+// Fetch a newly set poster_url without waiting for the next scheduled run
+function mirrorPosterSoon(movie) {
+    if (POSTER_MIRROR_INTERVAL_HOURS > 0 && movie.poster_url && !movie.poster_local) {
+        posterMirror.run().catch(error => console.error('Poster mirror failed:', error.message));
+    }
+}
+
+// Credits from the request: a credits array, or the legacy dop/bobo_crew
+// text. Credits are null when the body has neither, so an update keeps them.
+function parseRequestCredits(body) {
+    if (body.credits !== undefined) {
+        return parseCredits(db, body.credits);
+    }
+    if (body.dop === undefined && body.bobo_crew === undefined) {
+        return { credits: null };
+    }
+    return { credits: creditsFromText(body.dop, body.bobo_crew) };
+}
 
 // API Routes
 
-// Get all movies
-app.get('/api/movies', (req, res) => {
+// Get all movies. Supports ?q= search, ?year_from=, ?year_to=, ?type=, ?company=
+// and ?limit=/&offset= paging. The body stays a plain array of movies; the
+// total before paging is sent in the X-Total-Count header, which CORS exposes.
+// ?lang=fi gives titles and synopses in Finnish where they have been translated.
+// Signed-in users see every status and may filter with ?status=
+app.get('/api/movies', optionalAuth, (req, res) => {
     try {
-        const movies = db.prepare('SELECT * FROM movies ORDER BY year DESC, title ASC').all();
-        res.json(movies);
+        promoteScheduled(db);
+
+        const filter = buildMovieFilter(req.query);
+        if (filter.error) {
+            return res.status(400).json({ error: filter.error });
+        }
+        const { language, error: languageError } = parseLanguage(req.query.lang);
+        if (languageError) {
+            return res.status(400).json({ error: languageError });
+        }
+
+        const { conditions, params } = filter;
+        if (!req.user) {
+            conditions.push(VISIBLE_CONDITION);
+        } else {
+            conditions.push(ACTIVE_CONDITION);
+            if (req.query.status) {
+                if (!STATUSES.includes(req.query.status)) {
+                    return res.status(400).json({ error: `Status must be one of: ${STATUSES.join(', ')}` });
+                }
+                conditions.push('status = ?');
+                params.push(req.query.status);
+            }
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const total = db.prepare(`SELECT COUNT(*) as count FROM movies ${where}`).get(...params).count;
+
+        let sql = `SELECT * FROM movies ${where} ORDER BY ${MOVIE_ORDER}`;
+        if (filter.limit !== null) {
+            sql += ' LIMIT ? OFFSET ?';
+            params.push(filter.limit, filter.offset);
+        }
+
+        const movies = attachPosterVariants(attachClips(db, attachCredits(db, db.prepare(sql).all(...params))));
+        res.set('X-Total-Count', String(total));
+        res.set('Content-Language', language);
+        res.json(localizeMovies(movies, language));
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get single movie
-app.get('/api/movies/:id', (req, res) => {
+// Get single movie; takes ?lang= like the list
+app.get('/api/movies/:id', optionalAuth, (req, res) => {
     try {
-        const movie = db.prepare('SELECT * FROM movies WHERE id = ?').get(req.params.id);
+        promoteScheduled(db);
+        const { language, error: languageError } = parseLanguage(req.query.lang);
+        if (languageError) {
+            return res.status(400).json({ error: languageError });
+        }
+        const where = `id = ? AND ${req.user ? ACTIVE_CONDITION : VISIBLE_CONDITION}`;
+        const movie = db.prepare(`SELECT * FROM movies WHERE ${where}`).get(req.params.id);
         if (!movie) {
             return res.status(404).json({ error: 'Movie not found' });
         }
-        res.json(movie);
+        res.set('Content-Language', language);
+        res.json(localizeMovies(attachPosterVariants(attachClips(db, attachCredits(db, [movie]))), language)[0]);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
 // Create movie
-app.post('/api/movies', upload.single('poster'), (req, res) => {
+app.post('/api/movies', requireAuth, upload.single('poster'), async (req, res) => {
     try {
-        const { title, year, poster_url, dop, bobo_crew, imdb_url, tmdb_url, trailer_url, production_company, synopsis } = req.body;
+        const { values: movie, errors } = validateMovie(req.body);
+        const crew = parseRequestCredits(req.body);
+        if (crew.error) {
+            errors.credits = crew.error;
+        }
+        const extras = req.body.clips !== undefined ? parseClips(req.body.clips) : { clips: [] };
+        if (extras.error) {
+            errors.clips = extras.error;
+        }
+        if (hasErrors(errors)) {
+            return sendErrors(res, errors);
+        }
 
-        const poster_local = req.file ? `/uploads/posters/${req.file.filename}` : null;
+        let poster = NO_POSTER;
+        if (req.file) {
+            try {
+                poster = await processPoster(req.file.buffer);
+            } catch (error) {
+                return sendErrors(res, { poster: `Could not process poster image: ${error.message}` });
+            }
+        }
 
         const stmt = db.prepare(`
-            INSERT INTO movies (title, year, poster_url, poster_local, dop, bobo_crew, imdb_url, tmdb_url, trailer_url, production_company, synopsis)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            INSERT INTO movies (title, year, poster_url, ${POSTER_COLUMNS.join(', ')}, imdb_url, tmdb_url, trailer_url, production_company, synopsis, title_fi, synopsis_fi, project_type, seasons, episode_count, status, publish_at, featured, sort_position)
+            VALUES (?, ?, ?, ${POSTER_COLUMNS.map(() => '?').join(', ')}, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, (SELECT COALESCE(MAX(sort_position), -1) + 1 FROM movies))
         `);
 
-        const result = stmt.run(title, year || null, poster_url || null, poster_local, dop || null, bobo_crew || null, imdb_url || null, tmdb_url || null, trailer_url || null, production_company || null, synopsis || null);
+        let result;
+        try {
+            result = db.transaction(() => {
+                const inserted = stmt.run(movie.title, movie.year, movie.poster_url, ...POSTER_COLUMNS.map(column => poster[column]), movie.imdb_url, movie.tmdb_url, movie.trailer_url, movie.production_company, movie.synopsis, movie.title_fi, movie.synopsis_fi, movie.project_type, movie.seasons, movie.episode_count, movie.status, movie.publish_at, movie.featured);
+                saveCredits(db, inserted.lastInsertRowid, crew.credits || []);
+                saveClips(db, inserted.lastInsertRowid, extras.clips);
+                assignSlug(db, inserted.lastInsertRowid);
+                recordRevision(db, inserted.lastInsertRowid, 'create', req.user);
+                return inserted;
+            })();
+        } catch (error) {
+            removePosterFiles(poster);
+            throw error;
+        }
 
         const newMovie = db.prepare('SELECT * FROM movies WHERE id = ?').get(result.lastInsertRowid);
-        res.status(201).json(newMovie);
+        mirrorPosterSoon(newMovie);
+        res.status(201).json(attachPosterVariants(attachClips(db, attachCredits(db, [newMovie])))[0]);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Update movie
-app.put('/api/movies/:id', upload.single('poster'), (req, res) => {
+// Reorder movies: body is { ids: [...] } in the new display order, starting from the top
+app.put('/api/movies/order', requireAuth, (req, res) => {
     try {
-        const { title, year, poster_url, dop, bobo_crew, imdb_url, tmdb_url, trailer_url, production_company, synopsis } = req.body;
+        const { ids } = req.body || {};
+        if (!Array.isArray(ids) || ids.length === 0) {
+            return sendErrors(res, { ids: 'ids must be a non-empty array of movie ids' });
+        }
+        if (!ids.every(id => Number.isInteger(id) && id > 0)) {
+            return sendErrors(res, { ids: 'Movie ids must be positive whole numbers' });
+        }
+        if (new Set(ids).size !== ids.length) {
+            return sendErrors(res, { ids: 'Each movie can only be listed once' });
+        }
 
-        const existingMovie = db.prepare('SELECT * FROM movies WHERE id = ?').get(req.params.id);
+        const active = db.prepare(`SELECT id FROM movies WHERE ${ACTIVE_CONDITION} ORDER BY ${MOVIE_ORDER}`).all().map(row => row.id);
+        const unknown = ids.filter(id => !active.includes(id));
+        if (unknown.length > 0) {
+            return sendErrors(res, { ids: `Unknown or trashed movie ids: ${unknown.join(', ')}` });
+        }
+
+        // The listed movies go first; the rest keep their relative order after them
+        const rest = active.filter(id => !ids.includes(id));
+
+        const setPosition = db.prepare('UPDATE movies SET sort_position = ? WHERE id = ?');
+        const reorder = db.transaction(() => {
+            [...ids, ...rest].forEach((id, index) => setPosition.run(index, id));
+        });
+        reorder();
+
+        const movies = db.prepare(`SELECT * FROM movies WHERE ${ACTIVE_CONDITION} ORDER BY ${MOVIE_ORDER}`).all();
+        res.json(attachPosterVariants(movies));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Update movie
+app.put('/api/movies/:id', requireAuth, upload.single('poster'), async (req, res) => {
+    try {
+        const existingMovie = db.prepare(`SELECT * FROM movies WHERE id = ? AND ${ACTIVE_CONDITION}`).get(req.params.id);
         if (!existingMovie) {
             return res.status(404).json({ error: 'Movie not found' });
         }
 
-        let poster_local = existingMovie.poster_local;
+        const { values: movie, errors } = validateMovie(Object.assign({ status: existingMovie.status }, req.body));
+        const crew = parseRequestCredits(req.body);
+        if (crew.error) {
+            errors.credits = crew.error;
+        }
+        // Without clips in the body the movie keeps the ones it has
+        const extras = req.body.clips !== undefined ? parseClips(req.body.clips) : null;
+        if (extras && extras.error) {
+            errors.clips = extras.error;
+        }
+        if (hasErrors(errors)) {
+            return sendErrors(res, errors);
+        }
+
+        let poster = existingMovie;
         if (req.file) {
-            // Delete old poster if exists
-            if (existingMovie.poster_local) {
-                const oldPath = path.join(__dirname, existingMovie.poster_local);
-                if (fs.existsSync(oldPath)) {
-                    fs.unlinkSync(oldPath);
-                }
+            try {
+                poster = await processPoster(req.file.buffer);
+            } catch (error) {
+                return sendErrors(res, { poster: `Could not process poster image: ${error.message}` });
             }
-            poster_local = `/uploads/posters/${req.file.filename}`;
+        } else if (movie.poster_url !== existingMovie.poster_url && !isUploadedPoster(existingMovie)) {
+            // A mirrored copy of the old URL is stale; the mirror job fetches the new one
+            poster = NO_POSTER;
         }
+        const posterReplaced = poster !== existingMovie;
 
         const stmt = db.prepare(`
             UPDATE movies
-            SET title = ?, year = ?, poster_url = ?, poster_local = ?, dop = ?, bobo_crew = ?,
+            SET title = ?, year = ?, poster_url = ?, ${POSTER_COLUMNS.map(column => `${column} = ?`).join(', ')},
                 imdb_url = ?, tmdb_url = ?, trailer_url = ?, production_company = ?, synopsis = ?,
-                updated_at = CURRENT_TIMESTAMP
+                title_fi = ?, synopsis_fi = ?, project_type = ?, seasons = ?, episode_count = ?, status = ?, publish_at = ?,
+                featured = ?, updated_at = CURRENT_TIMESTAMP
             WHERE id = ?
         `);
 
-        stmt.run(title, year || null, poster_url || null, poster_local, dop || null, bobo_crew || null, imdb_url || null, tmdb_url || null, trailer_url || null, production_company || null, synopsis || null, req.params.id);
+        try {
+            db.transaction(() => {
+                ensureBaseline(db, existingMovie.id);
+                stmt.run(movie.title, movie.year, movie.poster_url, ...POSTER_COLUMNS.map(column => poster[column]), movie.imdb_url, movie.tmdb_url, movie.trailer_url, movie.production_company, movie.synopsis, movie.title_fi, movie.synopsis_fi, movie.project_type, movie.seasons, movie.episode_count, movie.status, movie.publish_at, movie.featured, req.params.id);
+                if (crew.credits) {
+                    saveCredits(db, existingMovie.id, crew.credits);
+                }
+                if (extras) {
+                    saveClips(db, existingMovie.id, extras.clips);
+                }
+                recordRevision(db, existingMovie.id, 'update', req.user);
+            })();
+        } catch (error) {
+            if (posterReplaced) removePosterFiles(poster);
+            throw error;
+        }
+
+        // Only drop the old files once the new poster is saved
+        if (posterReplaced) {
+            removePosterFiles(existingMovie);
+        }
 
         const updatedMovie = db.prepare('SELECT * FROM movies WHERE id = ?').get(req.params.id);
-        res.json(updatedMovie);
+        mirrorPosterSoon(updatedMovie);
+        res.json(attachPosterVariants(attachClips(db, attachCredits(db, [updatedMovie])))[0]);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Delete movie
-app.delete('/api/movies/:id', (req, res) => {
+// Delete movie: it goes to the trash and can be restored until it is purged
+app.delete('/api/movies/:id', requireAuth, requireRole('admin'), (req, res) => {
     try {
-        const movie = db.prepare('SELECT * FROM movies WHERE id = ?').get(req.params.id);
+        const movie = db.prepare(`SELECT * FROM movies WHERE id = ? AND ${ACTIVE_CONDITION}`).get(req.params.id);
         if (!movie) {
             return res.status(404).json({ error: 'Movie not found' });
         }
 
-        // Delete poster file if exists
-        if (movie.poster_local) {
-            const posterPath = path.join(__dirname, movie.poster_local);
-            if (fs.existsSync(posterPath)) {
-                fs.unlinkSync(posterPath);
-            }
-        }
+        trashMovie(db, movie, req.user);
+        res.json({ message: 'Movie moved to trash' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        db.prepare('DELETE FROM movies WHERE id = ?').run(req.params.id);
-        res.json({ message: 'Movie deleted successfully' });
+// Regenerate data/movies.json and data/team.json for the static deployment
+app.post('/api/publish', requireAuth, (req, res) => {
+    try {
+        const result = publishStaticData(db);
+        res.json({ message: `Published ${result.count} movies and ${result.team_count} team members`, count: result.count, team_count: result.team_count, published_at: result.published_at });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -185,6 +458,7 @@ if (movieCount.count === 0) {
         {
             title: 'Tuntematon Sotilas',
             year: 2017,
+            featured: true,
             poster_url: 'https://image.tmdb.org/t/p/w500/vOipe2myi26UNfY1ufV8Ywlwqbe.jpg',
             dop: 'Mika Orasmaa',
             bobo_crew: 'Matti Kuusniemi (DIT)',
@@ -257,16 +531,32 @@ if (movieCount.count === 0) {
     ];
 
     const insertStmt = db.prepare(`
-        INSERT INTO movies (title, year, poster_url, dop, bobo_crew, trailer_url, production_company)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO movies (title, year, poster_url, dop, bobo_crew, trailer_url, production_company, featured, sort_position)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
-    for (const movie of seedMovies) {
-        insertStmt.run(movie.title, movie.year, movie.poster_url, movie.dop, movie.bobo_crew, movie.trailer_url, movie.production_company);
-    }
+    seedMovies.forEach((movie, index) => {
+        insertStmt.run(movie.title, movie.year, movie.poster_url, movie.dop, movie.bobo_crew, movie.trailer_url, movie.production_company, movie.featured ? 1 : 0, index);
+    });
     console.log('Database seeded with initial movies');
 }
 
+// Turn free-text dop and bobo_crew values into people and credits
+const migratedCredits = migrateLegacyCredits(db);
+if (migratedCredits > 0) {
+    console.log(`Created credits for ${migratedCredits} movies from their crew text`);
+}
+
+const sluggedMovies = assignMissingSlugs(db);
+if (sluggedMovies > 0) {
+    console.log(`Created URL slugs for ${sluggedMovies} movies`);
+}
+
+if (POSTER_MIRROR_INTERVAL_HOURS > 0) {
+    posterMirror.start(POSTER_MIRROR_INTERVAL_HOURS);
+}
+trash.start();
+
 // Start server
 app.listen(PORT, () => {
     console.log(`Server running at http://localhost:${PORT}`);
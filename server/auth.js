@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const express = require('express');
+const { USER_ROLES } = require('./constants');
+const { SCHEMAS, validate, hasErrors, sendErrors } = require('./validation');
+
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS, 10) || 12;
+
+// Passwords are stored as "scrypt$<salt>$<hash>", both hex encoded
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function createAuth(db) {
+    const findUserByName = db.prepare('SELECT * FROM users WHERE username = ?');
+    const findSession = db.prepare(`
+        SELECT users.id, users.username, users.role, sessions.expires_at
+        FROM sessions JOIN users ON users.id = sessions.user_id
+        WHERE sessions.token = ? AND sessions.expires_at > datetime('now')
+    `);
+    const insertSession = db.prepare(`
+        INSERT INTO sessions (token, user_id, expires_at)
+        VALUES (?, ?, datetime('now', ?))
+    `);
+    const deleteSession = db.prepare('DELETE FROM sessions WHERE token = ?');
+    const purgeSessions = db.prepare("DELETE FROM sessions WHERE expires_at <= datetime('now')");
+    const insertUser = db.prepare('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)');
+    const publicUser = db.prepare('SELECT id, username, role, created_at FROM users WHERE id = ?');
+
+    function createUser(username, password, role = 'editor') {
+        if (!USER_ROLES.includes(role)) {
+            throw new Error(`Unknown role: ${role}`);
+        }
+        const result = insertUser.run(username, hashPassword(password), role);
+        return publicUser.get(result.lastInsertRowid);
+    }
+
+    // Create the first admin from the environment so a fresh install is usable
+    const userCount = db.prepare('SELECT COUNT(*) as count FROM users').get();
+    if (userCount.count === 0) {
+        if (process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD) {
+            createUser(process.env.ADMIN_USERNAME, process.env.ADMIN_PASSWORD, 'admin');
+            console.log(`Created admin user "${process.env.ADMIN_USERNAME}"`);
+        } else {
+            console.warn('No users exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin.');
+        }
+    }
+
+    function getToken(req) {
+        const header = req.get('Authorization') || '';
+        const match = header.match(/^Bearer\s+(\S+)$/i);
+        return match ? match[1] : null;
+    }
+
+    function getSessionUser(req) {
+        const token = getToken(req);
+        const session = token ? findSession.get(token) : null;
+        return session ? { id: session.id, username: session.username, role: session.role } : null;
+    }
+
+    // Attach req.user for a valid session, otherwise respond 401
+    function requireAuth(req, res, next) {
+        req.user = getSessionUser(req);
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        next();
+    }
+
+    // Attach req.user when a valid session is sent, but never reject the request
+    function optionalAuth(req, res, next) {
+        req.user = getSessionUser(req);
+        next();
+    }
+
+    function requireRole(role) {
+        return (req, res, next) => {
+            if (!req.user || (req.user.role !== role && req.user.role !== 'admin')) {
+                return res.status(403).json({ error: 'Insufficient permissions' });
+            }
+            next();
+        };
+    }
+
+    const router = express.Router();
+
+    // Log in and receive a session token
+    router.post('/auth/login', (req, res) => {
+        try {
+            const { username, password } = req.body || {};
+            const user = username ? findUserByName.get(username) : null;
+            if (!user || !password || !verifyPassword(password, user.password_hash)) {
+                return res.status(401).json({ error: 'Invalid username or password' });
+            }
+
+            purgeSessions.run();
+            const token = crypto.randomBytes(32).toString('hex');
+            insertSession.run(token, user.id, `+${SESSION_TTL_HOURS} hours`);
+            const session = findSession.get(token);
+
+            res.json({
+                token,
+                expires_at: session.expires_at,
+                user: { id: user.id, username: user.username, role: user.role }
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Log out the current session
+    router.post('/auth/logout', requireAuth, (req, res) => {
+        deleteSession.run(getToken(req));
+        res.json({ message: 'Logged out' });
+    });
+
+    // Current user, used by the admin panel to check its session
+    router.get('/auth/me', requireAuth, (req, res) => {
+        res.json(req.user);
+    });
+
+    // List users
+    router.get('/users', requireAuth, requireRole('admin'), (req, res) => {
+        try {
+            const users = db.prepare('SELECT id, username, role, created_at FROM users ORDER BY username').all();
+            res.json(users);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Create user
+    router.post('/users', requireAuth, requireRole('admin'), (req, res) => {
+        try {
+            const { values, errors } = validate(SCHEMAS.user, req.body);
+            if (hasErrors(errors)) {
+                return sendErrors(res, errors);
+            }
+            if (findUserByName.get(values.username)) {
+                return res.status(409).json({ error: 'Username already exists' });
+            }
+            res.status(201).json(createUser(values.username, values.password, values.role || 'editor'));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Delete user
+    router.delete('/users/:id', requireAuth, requireRole('admin'), (req, res) => {
+        try {
+            if (Number(req.params.id) === req.user.id) {
+                return res.status(400).json({ error: 'You cannot delete your own account' });
+            }
+            const result = db.prepare('DELETE FROM users WHERE id = ?').run(req.params.id);
+            if (result.changes === 0) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+            db.prepare('DELETE FROM sessions WHERE user_id = ?').run(req.params.id);
+            res.json({ message: 'User deleted successfully' });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return { router, requireAuth, optionalAuth, requireRole, createUser };
+}
+
+module.exports = { createAuth, hashPassword, verifyPassword };
@@ -0,0 +1,62 @@
+const { SCHEMAS, validate, hasErrors } = require('./validation');
+
+// Clips are the videos shown after a movie's trailer_url in the trailer
+// modal: behind the scenes, showreel excerpts and the like
+function attachClips(db, movies) {
+    if (movies.length === 0) return movies;
+
+    const ids = movies.map(movie => movie.id);
+    const rows = db.prepare(`
+        SELECT movie_id, label, url FROM clips
+        WHERE movie_id IN (${ids.map(() => '?').join(', ')})
+        ORDER BY position, id
+    `).all(...ids);
+
+    const byMovie = new Map(ids.map(id => [Number(id), []]));
+    for (const row of rows) {
+        byMovie.get(row.movie_id).push({ label: row.label, url: row.url });
+    }
+    return movies.map(movie => Object.assign(movie, { clips: byMovie.get(Number(movie.id)) }));
+}
+
+// Validate clips sent by a client: [{ label, url }]
+function parseClips(value) {
+    let clips = value;
+    if (typeof clips === 'string') {
+        try {
+            clips = JSON.parse(clips);
+        } catch (error) {
+            return { error: 'Clips must be valid JSON' };
+        }
+    }
+    if (!Array.isArray(clips)) {
+        return { error: 'Clips must be an array' };
+    }
+
+    const parsed = [];
+    for (const [index, clip] of clips.entries()) {
+        const { values, errors } = validate(SCHEMAS.clip, clip && typeof clip === 'object' ? clip : {});
+        if (hasErrors(errors)) {
+            return { error: `Clip ${index + 1}: ${Object.values(errors).join('; ')}` };
+        }
+        parsed.push(values);
+    }
+    return { clips: parsed };
+}
+
+// "Label: url, Label: url" for showing clip changes
+function describeClips(clips = []) {
+    return clips.map(clip => `${clip.label}: ${clip.url}`).join(', ');
+}
+
+// Replace all clips of a movie
+function saveClips(db, movieId, clips) {
+    const insert = db.prepare('INSERT INTO clips (movie_id, label, url, position) VALUES (?, ?, ?, ?)');
+
+    db.transaction(() => {
+        db.prepare('DELETE FROM clips WHERE movie_id = ?').run(movieId);
+        clips.forEach((clip, index) => insert.run(movieId, clip.label, clip.url, index));
+    })();
+}
+
+module.exports = { attachClips, parseClips, describeClips, saveClips };
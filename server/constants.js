@@ -0,0 +1,23 @@
+// Allowed values shared by the routes and their helpers
+const PROJECT_TYPES = ['feature_film', 'tv_series', 'commercial', 'documentary'];
+const STATUSES = ['draft', 'scheduled', 'published'];
+const CREDIT_ROLES = ['dop', 'dit', 'data_wrangler', 'colourist'];
+const USER_ROLES = ['editor', 'admin'];
+const INQUIRY_STATUSES = ['new', 'contacted', 'booked', 'declined'];
+const EQUIPMENT_CATEGORIES = ['dit_cart', 'monitor', 'storage', 'portable_kit', 'other'];
+
+// Where a camera sits on the storage calculator page
+const CAMERA_SECTIONS = ['acam', 'bcam', 'additional', 'drone'];
+
+// Languages of the public site; titles and synopses in the others live in
+// columns named after the language, like title_fi
+const LANGUAGES = ['en', 'fi'];
+const DEFAULT_LANGUAGE = 'en';
+
+// Movie columns editors set directly, as exported and tracked in revisions
+const MOVIE_FIELDS = [
+    'title', 'year', 'project_type', 'seasons', 'episode_count', 'status', 'publish_at', 'featured',
+    'production_company', 'synopsis', 'title_fi', 'synopsis_fi', 'imdb_url', 'tmdb_url', 'trailer_url', 'poster_url'
+];
+
+module.exports = { PROJECT_TYPES, STATUSES, CREDIT_ROLES, USER_ROLES, INQUIRY_STATUSES, EQUIPMENT_CATEGORIES, CAMERA_SECTIONS, LANGUAGES, DEFAULT_LANGUAGE, MOVIE_FIELDS };
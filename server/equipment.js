@@ -0,0 +1,415 @@
+const express = require('express');
+const { EQUIPMENT_CATEGORIES } = require('./constants');
+const { SCHEMAS, validate, hasErrors, sendErrors } = require('./validation');
+const { parseFlag } = require('./fields');
+
+// Longest date range one booking or one availability request may cover
+const MAX_RANGE_DAYS = 366;
+
+// Days of availability served when no ?to= is given
+const DEFAULT_AVAILABILITY_DAYS = 42;
+
+const AVAILABILITY_RANGE = {
+    from: { type: 'date', label: 'From' },
+    to: { type: 'date', label: 'To' }
+};
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function addDays(date, count) {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + count);
+    return day.toISOString().slice(0, 10);
+}
+
+// Every YYYY-MM-DD day from start to end, both included
+function eachDay(start, end) {
+    const days = [];
+    for (let day = start; day <= end; day = addDays(day, 1)) {
+        days.push(day);
+    }
+    return days;
+}
+
+// Counted from the dates, so a range of centuries is refused without walking it
+function dayCount(start, end) {
+    return (Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / 86400000 + 1;
+}
+
+function checkRange(start, end, field) {
+    if (end < start) {
+        return { [field]: 'The end date must be on or after the start date' };
+    }
+    if (dayCount(start, end) > MAX_RANGE_DAYS) {
+        return { [field]: `A date range can cover at most ${MAX_RANGE_DAYS} days` };
+    }
+    return {};
+}
+
+// Units booked per item and day between start and end, as
+// Map(equipment_id => Map(day => units)). excludeId leaves out a booking
+// that is being changed.
+function bookedUnits(db, start, end, { equipmentId = null, excludeId = null } = {}) {
+    const bookings = db.prepare(`
+        SELECT equipment_id, quantity, start_date, end_date FROM bookings
+        WHERE start_date <= ? AND end_date >= ?
+            AND (? IS NULL OR equipment_id = ?)
+            AND (? IS NULL OR id != ?)
+    `).all(end, start, equipmentId, equipmentId, excludeId, excludeId);
+
+    const usage = new Map();
+    for (const booking of bookings) {
+        if (!usage.has(booking.equipment_id)) usage.set(booking.equipment_id, new Map());
+        const days = usage.get(booking.equipment_id);
+        const from = booking.start_date > start ? booking.start_date : start;
+        const to = booking.end_date < end ? booking.end_date : end;
+        for (const day of eachDay(from, to)) {
+            days.set(day, (days.get(day) || 0) + booking.quantity);
+        }
+    }
+    return usage;
+}
+
+// Days on which quantity more units of item would be more than it has
+function findConflicts(db, item, { quantity, start_date, end_date }, excludeId = null) {
+    const booked = bookedUnits(db, start_date, end_date, { equipmentId: item.id, excludeId }).get(item.id) || new Map();
+    return eachDay(start_date, end_date)
+        .map(date => ({ equipment_id: item.id, equipment_name: item.name, date, available: item.quantity - (booked.get(date) || 0) }))
+        .filter(day => day.available < quantity);
+}
+
+// "2025-06-01, 2025-06-02 and 3 more days"
+function describeDays(conflicts) {
+    const dates = [...new Set(conflicts.map(conflict => conflict.date))];
+    const shown = dates.slice(0, 3).join(', ');
+    return dates.length > 3 ? `${shown} and ${dates.length - 3} more days` : shown;
+}
+
+function sendConflicts(res, conflicts) {
+    const names = [...new Set(conflicts.map(conflict => conflict.equipment_name))].join(', ');
+    return res.status(409).json({ error: `${names} is already booked on ${describeDays(conflicts)}`, conflicts });
+}
+
+// Kits picked on the inquiry form, as ids of public equipment
+function parseRequestedEquipment(db, value) {
+    if (value === undefined || value === null || value === '') {
+        return { ids: [] };
+    }
+    const ids = [...new Set([].concat(value).map(Number))];
+    if (ids.some(id => !Number.isInteger(id) || id < 1)) {
+        return { error: 'Equipment must be a list of equipment ids' };
+    }
+    if (ids.length > 0) {
+        const found = db.prepare(`SELECT COUNT(*) AS count FROM equipment WHERE public = 1 AND id IN (${ids.map(() => '?').join(', ')})`).get(...ids);
+        if (found.count !== ids.length) {
+            return { error: 'Some of the requested equipment cannot be booked' };
+        }
+    }
+    return { ids };
+}
+
+function saveRequestedEquipment(db, inquiryId, ids) {
+    const insert = db.prepare('INSERT OR IGNORE INTO inquiry_equipment (inquiry_id, equipment_id) VALUES (?, ?)');
+    ids.forEach(id => insert.run(inquiryId, id));
+}
+
+// Attach the kits each inquiry asked for as equipment: [{ id, name }]
+function attachRequestedEquipment(db, inquiries) {
+    if (inquiries.length === 0) return inquiries;
+
+    const ids = inquiries.map(inquiry => inquiry.id);
+    const rows = db.prepare(`
+        SELECT inquiry_equipment.inquiry_id, equipment.id, equipment.name
+        FROM inquiry_equipment JOIN equipment ON equipment.id = inquiry_equipment.equipment_id
+        WHERE inquiry_equipment.inquiry_id IN (${ids.map(() => '?').join(', ')})
+        ORDER BY equipment.name
+    `).all(...ids);
+
+    const byInquiry = new Map(ids.map(id => [Number(id), []]));
+    for (const row of rows) {
+        byInquiry.get(row.inquiry_id).push({ id: row.id, name: row.name });
+    }
+    return inquiries.map(inquiry => Object.assign(inquiry, { equipment: byInquiry.get(Number(inquiry.id)) }));
+}
+
+// Equipment in category order; visitors only see public items and not
+// their serial numbers or notes
+function listEquipment(db, { includePrivate = false } = {}) {
+    const items = includePrivate
+        ? db.prepare('SELECT * FROM equipment ORDER BY name').all()
+        : db.prepare('SELECT id, name, category, quantity FROM equipment WHERE public = 1 ORDER BY name').all();
+    return items.sort((a, b) => EQUIPMENT_CATEGORIES.indexOf(a.category) - EQUIPMENT_CATEGORIES.indexOf(b.category));
+}
+
+function createEquipment(db, { requireAuth, optionalAuth, requireRole }) {
+    function findItem(id) {
+        return db.prepare('SELECT * FROM equipment WHERE id = ?').get(id);
+    }
+
+    function findBooking(id) {
+        return db.prepare(`
+            SELECT bookings.*, equipment.name AS equipment_name
+            FROM bookings JOIN equipment ON equipment.id = bookings.equipment_id
+            WHERE bookings.id = ?
+        `).get(id);
+    }
+
+    // A booking body checked against the schema, its dates and what it refers to
+    function parseBooking(body) {
+        const { values, errors } = validate(SCHEMAS.booking, body);
+        values.quantity = values.quantity || 1;
+        if (values.start_date && values.end_date) {
+            Object.assign(errors, checkRange(values.start_date, values.end_date, 'end_date'));
+        }
+        if (values.equipment_id && !findItem(values.equipment_id)) {
+            errors.equipment_id = 'Equipment not found';
+        }
+        if (values.inquiry_id && !db.prepare('SELECT id FROM inquiries WHERE id = ?').get(values.inquiry_id)) {
+            errors.inquiry_id = 'Inquiry not found';
+        }
+        return { values, errors };
+    }
+
+    // Days from today on which more units are booked than quantity leaves
+    function overbookedDays(item, quantity) {
+        const last = db.prepare('SELECT MAX(end_date) AS day FROM bookings WHERE equipment_id = ? AND end_date >= ?').get(item.id, today());
+        if (!last.day) return [];
+        return findConflicts(db, { ...item, quantity }, { quantity: 0, start_date: today(), end_date: last.day });
+    }
+
+    const router = express.Router();
+
+    // Signed-in users also see private items, serial numbers and notes
+    router.get('/equipment', optionalAuth, (req, res) => {
+        try {
+            res.json(listEquipment(db, { includePrivate: !!req.user }));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Items are public unless public is sent as false
+    router.post('/equipment', requireAuth, (req, res) => {
+        try {
+            const { values, errors } = validate(SCHEMAS.equipment, req.body);
+            if (hasErrors(errors)) {
+                return sendErrors(res, errors);
+            }
+
+            const result = db.prepare(`
+                INSERT INTO equipment (name, category, quantity, serial_numbers, notes, public)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `).run(values.name, values.category, values.quantity, values.serial_numbers, values.notes, req.body.public === undefined ? 1 : parseFlag(req.body.public));
+
+            res.status(201).json(findItem(result.lastInsertRowid));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Fewer units than are already booked is refused with the days it would overbook
+    router.put('/equipment/:id', requireAuth, (req, res) => {
+        try {
+            const item = findItem(req.params.id);
+            if (!item) {
+                return res.status(404).json({ error: 'Equipment not found' });
+            }
+            const { values, errors } = validate(SCHEMAS.equipment, req.body);
+            if (hasErrors(errors)) {
+                return sendErrors(res, errors);
+            }
+            const overbooked = overbookedDays(item, values.quantity);
+            if (overbooked.length > 0) {
+                return res.status(409).json({
+                    error: `${item.name} has more units booked on ${describeDays(overbooked)} than a quantity of ${values.quantity} allows`,
+                    conflicts: overbooked
+                });
+            }
+
+            db.prepare(`
+                UPDATE equipment
+                SET name = ?, category = ?, quantity = ?, serial_numbers = ?, notes = ?, public = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(values.name, values.category, values.quantity, values.serial_numbers, values.notes, req.body.public === undefined ? item.public : parseFlag(req.body.public), item.id);
+
+            res.json(findItem(item.id));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Takes the item's bookings and inquiry requests with it
+    router.delete('/equipment/:id', requireAuth, requireRole('admin'), (req, res) => {
+        try {
+            const item = findItem(req.params.id);
+            if (!item) {
+                return res.status(404).json({ error: 'Equipment not found' });
+            }
+
+            db.transaction(() => {
+                db.prepare('DELETE FROM bookings WHERE equipment_id = ?').run(item.id);
+                db.prepare('DELETE FROM inquiry_equipment WHERE equipment_id = ?').run(item.id);
+                db.prepare('DELETE FROM equipment WHERE id = ?').run(item.id);
+            })();
+            res.json({ message: 'Equipment deleted' });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Bookings that have not ended before ?from= (default today), soonest
+    // first; ?equipment_id= shows one item
+    router.get('/bookings', requireAuth, (req, res) => {
+        try {
+            const { values, errors } = validate(AVAILABILITY_RANGE, { from: req.query.from });
+            if (hasErrors(errors)) {
+                return sendErrors(res, errors);
+            }
+            const bookings = db.prepare(`
+                SELECT bookings.*, equipment.name AS equipment_name
+                FROM bookings JOIN equipment ON equipment.id = bookings.equipment_id
+                WHERE bookings.end_date >= ? AND (? IS NULL OR bookings.equipment_id = ?)
+                ORDER BY bookings.start_date, bookings.id
+            `).all(values.from || today(), req.query.equipment_id || null, req.query.equipment_id || null);
+            res.json(bookings);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // 409 with the clashing days when not enough units are free
+    router.post('/bookings', requireAuth, (req, res) => {
+        try {
+            const { values, errors } = parseBooking(req.body);
+            if (hasErrors(errors)) {
+                return sendErrors(res, errors);
+            }
+            const conflicts = findConflicts(db, findItem(values.equipment_id), values);
+            if (conflicts.length > 0) {
+                return sendConflicts(res, conflicts);
+            }
+
+            const result = db.prepare(`
+                INSERT INTO bookings (equipment_id, quantity, start_date, end_date, production, notes, inquiry_id, username)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(values.equipment_id, values.quantity, values.start_date, values.end_date, values.production, values.notes, values.inquiry_id, req.user.username);
+
+            res.status(201).json(findBooking(result.lastInsertRowid));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    router.put('/bookings/:id', requireAuth, (req, res) => {
+        try {
+            const booking = findBooking(req.params.id);
+            if (!booking) {
+                return res.status(404).json({ error: 'Booking not found' });
+            }
+            const { values, errors } = parseBooking(req.body);
+            if (hasErrors(errors)) {
+                return sendErrors(res, errors);
+            }
+            const conflicts = findConflicts(db, findItem(values.equipment_id), values, booking.id);
+            if (conflicts.length > 0) {
+                return sendConflicts(res, conflicts);
+            }
+
+            db.prepare(`
+                UPDATE bookings
+                SET equipment_id = ?, quantity = ?, start_date = ?, end_date = ?, production = ?, notes = ?, inquiry_id = ?
+                WHERE id = ?
+            `).run(values.equipment_id, values.quantity, values.start_date, values.end_date, values.production, values.notes, values.inquiry_id, booking.id);
+
+            res.json(findBooking(booking.id));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    router.delete('/bookings/:id', requireAuth, (req, res) => {
+        try {
+            const result = db.prepare('DELETE FROM bookings WHERE id = ?').run(req.params.id);
+            if (result.changes === 0) {
+                return res.status(404).json({ error: 'Booking not found' });
+            }
+            res.json({ message: 'Booking deleted' });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Book every kit an inquiry asked for over its shoot dates; all or nothing
+    router.post('/inquiries/:id/bookings', requireAuth, (req, res) => {
+        try {
+            const [inquiry] = attachRequestedEquipment(db, db.prepare('SELECT * FROM inquiries WHERE id = ?').all(req.params.id));
+            if (!inquiry) {
+                return res.status(404).json({ error: 'Inquiry not found' });
+            }
+            if (!inquiry.shoot_start) {
+                return res.status(400).json({ error: 'The inquiry has no shoot dates' });
+            }
+            if (inquiry.equipment.length === 0) {
+                return res.status(400).json({ error: 'The inquiry did not ask for any equipment' });
+            }
+
+            const dates = { quantity: 1, start_date: inquiry.shoot_start, end_date: inquiry.shoot_end || inquiry.shoot_start };
+            const rangeErrors = checkRange(dates.start_date, dates.end_date, 'shoot_end');
+            if (hasErrors(rangeErrors)) {
+                return sendErrors(res, rangeErrors);
+            }
+            const items = inquiry.equipment.map(requested => findItem(requested.id));
+            const conflicts = items.flatMap(item => findConflicts(db, item, dates));
+            if (conflicts.length > 0) {
+                return sendConflicts(res, conflicts);
+            }
+
+            const insert = db.prepare(`
+                INSERT INTO bookings (equipment_id, quantity, start_date, end_date, production, inquiry_id, username)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `);
+            const ids = db.transaction(() => items.map(item => insert.run(
+                item.id, dates.quantity, dates.start_date, dates.end_date, inquiry.production, inquiry.id, req.user.username
+            ).lastInsertRowid))();
+
+            res.status(201).json(ids.map(findBooking));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Free units of each public item per day, for the calendar on the site.
+    // available[i] is for the i-th day from ?from= (default today) to ?to=.
+    router.get('/availability', (req, res) => {
+        try {
+            const { values, errors } = validate(AVAILABILITY_RANGE, req.query);
+            const from = values.from || today();
+            const to = values.to || addDays(from, DEFAULT_AVAILABILITY_DAYS - 1);
+            Object.assign(errors, hasErrors(errors) ? {} : checkRange(from, to, 'to'));
+            if (hasErrors(errors)) {
+                return sendErrors(res, errors);
+            }
+
+            const days = eachDay(from, to);
+            const usage = bookedUnits(db, from, to);
+            res.json({
+                from,
+                to,
+                equipment: listEquipment(db).map(item => {
+                    const booked = usage.get(item.id) || new Map();
+                    return Object.assign(item, {
+                        available: days.map(day => Math.max(0, item.quantity - (booked.get(day) || 0)))
+                    });
+                })
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return { router };
+}
+
+module.exports = { createEquipment, parseRequestedEquipment, saveRequestedEquipment, attachRequestedEquipment };
@@ -0,0 +1,135 @@
+const express = require('express');
+const crypto = require('crypto');
+const { SCHEMAS, validate, hasErrors, sendErrors } = require('./validation');
+const { rateLimit } = require('./rate-limit');
+const { estimateStorage } = require('../calculator-engine');
+
+// A production with more cameras than this is not a calculator job
+const MAX_CAMERAS = 30;
+
+// Most estimates one GET /estimates?ids= looks up
+const MAX_LISTED = 50;
+
+// Cameras of an estimate: a JSON array (or a string of one) of camera setups
+function parseCameras(value) {
+    let cameras = value === undefined ? [] : value;
+    if (typeof cameras === 'string') {
+        try {
+            cameras = JSON.parse(cameras);
+        } catch (error) {
+            return { error: 'Cameras must be valid JSON' };
+        }
+    }
+    if (!Array.isArray(cameras)) {
+        return { error: 'Cameras must be an array' };
+    }
+    if (cameras.length > MAX_CAMERAS) {
+        return { error: `An estimate can have at most ${MAX_CAMERAS} cameras` };
+    }
+
+    const parsed = [];
+    for (const [index, camera] of cameras.entries()) {
+        const { values, errors } = validate(SCHEMAS.estimateCamera, camera && typeof camera === 'object' ? camera : {});
+        if (hasErrors(errors)) {
+            return { error: `Camera ${index + 1}: ${Object.values(errors).join('; ')}` };
+        }
+        values.drone = values.section === 'drone';
+        parsed.push(values);
+    }
+    return { cameras: parsed };
+}
+
+function toEstimate(row) {
+    return {
+        id: row.id,
+        production: row.production,
+        input: JSON.parse(row.input),
+        result: JSON.parse(row.result),
+        created_at: row.created_at
+    };
+}
+
+// Estimates are worked out here with the same engine as the calculator page
+// and kept under a random id that anyone with the link can open. There is
+// no list of all estimates; the page remembers the ids it saved.
+function createEstimates(db, { limit = { windowMs: 60 * 60 * 1000, max: 30 } } = {}) {
+    const router = express.Router();
+
+    router.post('/estimates', rateLimit({ ...limit, message: 'Too many saved estimates, please try again later' }), (req, res) => {
+        try {
+            const { values, errors } = validate(SCHEMAS.estimate, req.body);
+            const cameras = parseCameras(req.body.cameras);
+            if (cameras.error) {
+                errors.cameras = cameras.error;
+            }
+            if (hasErrors(errors)) {
+                return sendErrors(res, errors);
+            }
+
+            const input = {
+                cameras: cameras.cameras,
+                bays: values.bays,
+                driveType: values.driveType,
+                raid: values.raid,
+                connection: values.connection
+            };
+            let result;
+            try {
+                result = estimateStorage(input);
+            } catch (error) {
+                if (!(error instanceof RangeError)) throw error;
+                return res.status(400).json({ error: error.message });
+            }
+
+            const id = crypto.randomBytes(9).toString('base64url');
+            db.prepare('INSERT INTO estimates (id, production, input, result) VALUES (?, ?, ?, ?)')
+                .run(id, values.production, JSON.stringify(input), JSON.stringify(result));
+
+            res.status(201).json(toEstimate(db.prepare('SELECT * FROM estimates WHERE id = ?').get(id)));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Summaries of the estimates named in ?ids=a,b,c, newest first; ids
+    // that no longer exist are left out
+    router.get('/estimates', (req, res) => {
+        try {
+            const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+            if (ids.length === 0) {
+                return res.status(400).json({ error: 'Name the estimates to list in ?ids=' });
+            }
+            if (ids.length > MAX_LISTED) {
+                return res.status(400).json({ error: `At most ${MAX_LISTED} estimates can be listed at once` });
+            }
+
+            const rows = db.prepare(`SELECT * FROM estimates WHERE id IN (${ids.map(() => '?').join(', ')}) ORDER BY created_at DESC, rowid DESC`).all(...ids);
+            res.json(rows.map(toEstimate).map(estimate => ({
+                id: estimate.id,
+                production: estimate.production,
+                cameras: estimate.input.cameras.length,
+                totalStorageTB: estimate.result.totalStorageTB,
+                totalCost: estimate.result.totalCost,
+                created_at: estimate.created_at
+            })));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    router.get('/estimates/:id', (req, res) => {
+        try {
+            const row = db.prepare('SELECT * FROM estimates WHERE id = ?').get(req.params.id);
+            if (!row) {
+                return res.status(404).json({ error: 'Estimate not found' });
+            }
+            res.json(toEstimate(row));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return { router };
+}
+
+module.exports = { createEstimates };
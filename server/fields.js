@@ -0,0 +1,44 @@
+const { PROJECT_TYPES, STATUSES } = require('./constants');
+
+// Resolve the project type and series-only fields from a request body
+function parseProjectType(body) {
+    const project_type = body.project_type || 'feature_film';
+    if (!PROJECT_TYPES.includes(project_type)) {
+        return { error: `Project type must be one of: ${PROJECT_TYPES.join(', ')}` };
+    }
+    const isSeries = project_type === 'tv_series';
+    return {
+        project_type,
+        seasons: isSeries ? (body.seasons || null) : null,
+        episode_count: isSeries ? (body.episode_count || null) : null
+    };
+}
+
+// Resolve the publishing status and optional publish time from a request body;
+// errors name the field they belong to
+function parseStatus(body) {
+    const status = body.status || 'draft';
+    if (!STATUSES.includes(status)) {
+        return { field: 'status', error: `Status must be one of: ${STATUSES.join(', ')}` };
+    }
+
+    let publish_at = null;
+    if (body.publish_at) {
+        const date = new Date(body.publish_at);
+        if (isNaN(date.getTime())) {
+            return { field: 'publish_at', error: 'Publish time is not a valid date' };
+        }
+        publish_at = date.toISOString();
+    }
+    if (status === 'scheduled' && !publish_at) {
+        return { field: 'publish_at', error: 'Scheduled projects need a publish time' };
+    }
+    return { status, publish_at };
+}
+
+// Checkbox and JSON style booleans stored as 0/1
+function parseFlag(value) {
+    return ['1', 'true', 'on', 'yes', true, 1].includes(value) ? 1 : 0;
+}
+
+module.exports = { parseProjectType, parseStatus, parseFlag };
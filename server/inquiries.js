@@ -0,0 +1,150 @@
+const express = require('express');
+const { INQUIRY_STATUSES, LANGUAGES } = require('./constants');
+const { SCHEMAS, validate, hasErrors, sendErrors } = require('./validation');
+const { rateLimit } = require('./rate-limit');
+const { parseRequestedEquipment, saveRequestedEquipment, attachRequestedEquipment } = require('./equipment');
+
+const INQUIRY_FIELDS = ['production', 'name', 'email', 'phone', 'shoot_start', 'shoot_end', 'location', 'cameras', 'data_volume', 'message'];
+
+// Hidden from people by the contact form; anything in it was filled in by a bot
+const HONEYPOT_FIELD = 'website';
+
+// Plain-text notification for whoever answers inquiries
+function describeInquiry(inquiry, siteUrl) {
+    const dates = [inquiry.shoot_start, inquiry.shoot_end].filter(Boolean).join(' – ');
+    const lines = [
+        `New production inquiry #${inquiry.id}`,
+        '',
+        `Production: ${inquiry.production}`,
+        `Contact: ${inquiry.name} <${inquiry.email}>`,
+        inquiry.phone && `Phone: ${inquiry.phone}`,
+        dates && `Shoot dates: ${dates}`,
+        inquiry.location && `Location: ${inquiry.location}`,
+        inquiry.cameras && `Cameras: ${inquiry.cameras}`,
+        inquiry.data_volume && `Expected data: ${inquiry.data_volume}`,
+        inquiry.equipment.length > 0 && `Equipment: ${inquiry.equipment.map(item => item.name).join(', ')}`,
+        inquiry.message && `\n${inquiry.message}`,
+        '',
+        `Manage inquiries: ${new URL('/admin.html', siteUrl).href}`
+    ];
+    return lines.filter(line => line !== null && line !== undefined && line !== false).join('\n');
+}
+
+// Inquiries are stored first and mailed after; a failed notification is
+// logged and the inquiry is still in the admin panel
+function createInquiries(db, { requireAuth, requireRole }, { transport, from, to, siteUrl, limit = { windowMs: 60 * 60 * 1000, max: 5 } }) {
+    function findInquiry(id) {
+        return db.prepare('SELECT * FROM inquiries WHERE id = ?').get(id);
+    }
+
+    function withEquipment(inquiries) {
+        return attachRequestedEquipment(db, inquiries);
+    }
+
+    function notify(inquiry) {
+        const message = {
+            from,
+            to,
+            replyTo: inquiry.email,
+            subject: `Inquiry: ${inquiry.production}`,
+            text: describeInquiry(inquiry, siteUrl)
+        };
+        transport.send(message).catch(error => {
+            console.error(`Inquiry #${inquiry.id} notification failed:`, error.message);
+        });
+    }
+
+    const router = express.Router();
+
+    // Sent by the contact form; limited per visitor to keep floods out
+    router.post('/inquiries', rateLimit({ ...limit, message: 'Too many inquiries, please try again later or email us' }), (req, res) => {
+        try {
+            // Bots get the same answer as people so they do not learn to skip the field
+            if (req.body[HONEYPOT_FIELD]) {
+                return res.status(201).json({ received: true });
+            }
+
+            const { values, errors } = validate(SCHEMAS.inquiry, req.body);
+            if (values.shoot_start && values.shoot_end && values.shoot_end < values.shoot_start) {
+                errors.shoot_end = 'Shoot end must be on or after the shoot start';
+            }
+            const equipment = parseRequestedEquipment(db, req.body.equipment);
+            if (equipment.error) {
+                errors.equipment = equipment.error;
+            }
+            if (hasErrors(errors)) {
+                return sendErrors(res, errors);
+            }
+            const language = LANGUAGES.includes(req.body.language) ? req.body.language : null;
+
+            const id = db.transaction(() => {
+                const result = db.prepare(`
+                    INSERT INTO inquiries (${INQUIRY_FIELDS.join(', ')}, language)
+                    VALUES (${INQUIRY_FIELDS.map(() => '?').join(', ')}, ?)
+                `).run(...INQUIRY_FIELDS.map(field => values[field]), language);
+                saveRequestedEquipment(db, result.lastInsertRowid, equipment.ids);
+                return result.lastInsertRowid;
+            })();
+
+            notify(withEquipment([findInquiry(id)])[0]);
+            res.status(201).json({ received: true });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Newest first with the kits each asked for; ?status= shows one status
+    router.get('/inquiries', requireAuth, (req, res) => {
+        try {
+            const { status } = req.query;
+            if (status && !INQUIRY_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `Status must be one of: ${INQUIRY_STATUSES.join(', ')}` });
+            }
+            const inquiries = status
+                ? db.prepare('SELECT * FROM inquiries WHERE status = ? ORDER BY id DESC').all(status)
+                : db.prepare('SELECT * FROM inquiries ORDER BY id DESC').all();
+            res.json(withEquipment(inquiries));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    router.put('/inquiries/:id/status', requireAuth, (req, res) => {
+        try {
+            if (!findInquiry(req.params.id)) {
+                return res.status(404).json({ error: 'Inquiry not found' });
+            }
+            const { values, errors } = validate(SCHEMAS.inquiryStatus, req.body);
+            if (hasErrors(errors)) {
+                return sendErrors(res, errors);
+            }
+
+            db.prepare('UPDATE inquiries SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(values.status, req.params.id);
+            res.json(withEquipment([findInquiry(req.params.id)])[0]);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // For spam that got past the honeypot; bookings made from it are kept
+    router.delete('/inquiries/:id', requireAuth, requireRole('admin'), (req, res) => {
+        try {
+            const inquiry = findInquiry(req.params.id);
+            if (!inquiry) {
+                return res.status(404).json({ error: 'Inquiry not found' });
+            }
+            db.transaction(() => {
+                db.prepare('DELETE FROM inquiry_equipment WHERE inquiry_id = ?').run(inquiry.id);
+                db.prepare('UPDATE bookings SET inquiry_id = NULL WHERE inquiry_id = ?').run(inquiry.id);
+                db.prepare('DELETE FROM inquiries WHERE id = ?').run(inquiry.id);
+            })();
+            res.json({ message: 'Inquiry deleted' });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return { router };
+}
+
+module.exports = { createInquiries };
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Header values come from visitors; a line break would let them add headers
+function headerValue(value) {
+    return String(value).replace(/[\r\n]+/g, ' ').trim();
+}
+
+// Non-ASCII headers (Finnish production names) as RFC 2047 encoded words
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+// The bare address of "Name <name@example.com>"
+function addressOf(value) {
+    const match = /<([^>]+)>/.exec(value);
+    return (match ? match[1] : value).trim();
+}
+
+// SMTP lines may be at most 1000 octets with the CRLF
+const MAX_LINE_OCTETS = 998;
+
+// A { from, to, replyTo, subject, text } message as the text of an email. The
+// body goes as 8bit UTF-8, or as base64 where eightBit is false: for SMTP
+// servers without 8BITMIME and for lines too long to send as they are.
+function formatMessage(message, { date = new Date(), eightBit = true } = {}) {
+    const domain = addressOf(message.from).split('@')[1] || os.hostname();
+    const headers = [
+        `From: ${headerValue(message.from)}`,
+        `To: ${[].concat(message.to).map(headerValue).join(', ')}`,
+        message.replyTo && `Reply-To: ${headerValue(message.replyTo)}`,
+        `Subject: ${encodeHeader(headerValue(message.subject))}`,
+        `Date: ${date.toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        `Content-Transfer-Encoding: ${eightBit ? '8bit' : 'base64'}`
+    ].filter(Boolean);
+
+    const text = message.text.replace(/\r?\n/g, '\r\n');
+    const body = eightBit ? text : (Buffer.from(text).toString('base64').match(/.{1,76}/g) || []).join('\r\n');
+    return `${headers.join('\r\n')}\r\n\r\n${body}\r\n`;
+}
+
+function hasLongLines(text) {
+    return text.split(/\r?\n/).some(line => Buffer.byteLength(line) > MAX_LINE_OCTETS);
+}
+
+// Writes each message to an .eml file in directory, for development and for
+// servers without a mail relay
+function createFileTransport({ directory }) {
+    let count = 0;
+    return {
+        async send(message) {
+            await fs.promises.mkdir(directory, { recursive: true });
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const file = path.join(directory, `${stamp}-${++count}.eml`);
+            await fs.promises.writeFile(file, formatMessage(message));
+            return { file };
+        }
+    };
+}
+
+// Replies from an SMTP server, one per call; multi-line replies ("250-...")
+// are joined into one
+function createReplyReader(socket) {
+    let buffer = '';
+    let lines = [];
+    let failure = null;
+    const replies = [];
+    const waiting = [];
+
+    socket.on('data', chunk => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, end).replace(/\r$/, '');
+            buffer = buffer.slice(end + 1);
+            lines.push(line);
+            if (line[3] === '-') continue;
+
+            const reply = { code: Number(line.slice(0, 3)), text: lines.map(part => part.slice(4)).join('\n') };
+            lines = [];
+            if (waiting.length > 0) {
+                waiting.shift().resolve(reply);
+            } else {
+                replies.push(reply);
+            }
+        }
+    });
+
+    const fail = error => {
+        failure = failure || error;
+        waiting.splice(0).forEach(pending => pending.reject(failure));
+    };
+    socket.on('error', fail);
+    socket.on('close', () => fail(new Error('SMTP server closed the connection')));
+
+    return () => {
+        if (replies.length > 0) return Promise.resolve(replies.shift());
+        if (failure) return Promise.reject(failure);
+        return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    };
+}
+
+// Sends through an SMTP server: plain, or TLS from the start with secure
+// (usually port 465), with AUTH PLAIN when a username is given
+function createSmtpTransport({ host, port = 25, secure = false, username, password, timeoutMs = 10000 }) {
+    if (!host) {
+        throw new Error('The smtp mail transport needs SMTP_HOST');
+    }
+
+    return {
+        async send(message) {
+            const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+            socket.setEncoding('utf8');
+            socket.setTimeout(timeoutMs, () => socket.destroy(new Error('SMTP server timed out')));
+            const nextReply = createReplyReader(socket);
+
+            const expect = async (command, codes) => {
+                if (command !== null) socket.write(`${command}\r\n`);
+                const reply = await nextReply();
+                if (![].concat(codes).includes(reply.code)) {
+                    const step = command === null ? 'greeting' : command.split(' ')[0];
+                    throw new Error(`SMTP ${step} refused: ${reply.code} ${reply.text}`);
+                }
+                return reply;
+            };
+
+            try {
+                await expect(null, 220);
+                const greeting = await expect(`EHLO ${os.hostname()}`, 250);
+                // Every line after the first names an extension the server supports
+                const extensions = greeting.text.split('\n').slice(1).map(line => line.split(' ')[0].toUpperCase());
+                const eightBit = extensions.includes('8BITMIME') && !hasLongLines(message.text);
+                if (username) {
+                    await expect(`AUTH PLAIN ${Buffer.from(`\0${username}\0${password || ''}`).toString('base64')}`, 235);
+                }
+                await expect(`MAIL FROM:<${addressOf(message.from)}>${eightBit ? ' BODY=8BITMIME' : ''}`, 250);
+                for (const recipient of [].concat(message.to)) {
+                    await expect(`RCPT TO:<${addressOf(recipient)}>`, [250, 251]);
+                }
+                await expect('DATA', 354);
+                // Lines starting with a dot get another so none ends the message early
+                await expect(`${formatMessage(message, { eightBit }).replace(/^\./gm, '..')}.`, 250);
+                await expect('QUIT', 221);
+            } finally {
+                socket.end();
+            }
+            return { host };
+        }
+    };
+}
+
+const TRANSPORTS = {
+    file: createFileTransport,
+    smtp: createSmtpTransport
+};
+
+// A transport by name, as set in MAIL_TRANSPORT
+function createTransport(name, options) {
+    if (!TRANSPORTS[name]) {
+        throw new Error(`Unknown mail transport "${name}"; use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    return TRANSPORTS[name](options);
+}
+
+module.exports = { createTransport, createFileTransport, createSmtpTransport, formatMessage };
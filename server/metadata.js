@@ -0,0 +1,140 @@
+const express = require('express');
+const { isHostOf } = require('./validation');
+
+function lookupError(message, status) {
+    return Object.assign(new Error(message), { status });
+}
+
+// Which title a TMDB or IMDb link points at
+function parseLink(link) {
+    let url;
+    try {
+        url = new URL(String(link).trim());
+    } catch (error) {
+        return null;
+    }
+
+    const tmdb = isHostOf(url.hostname, 'themoviedb.org') && url.pathname.match(/^\/(movie|tv)\/(\d+)/);
+    if (tmdb) {
+        return { source: 'tmdb', kind: tmdb[1], id: tmdb[2] };
+    }
+    const imdb = isHostOf(url.hostname, 'imdb.com') && url.pathname.match(/\/title\/(tt\d+)/);
+    if (imdb) {
+        return { source: 'imdb', id: imdb[1] };
+    }
+    return null;
+}
+
+// Looks titles up through the TMDB API; IMDb links are resolved with /find.
+// baseUrl and imageBaseUrl can point at a local mock.
+function createTmdbProvider({
+    apiKey = process.env.TMDB_API_KEY,
+    baseUrl = process.env.TMDB_BASE_URL || 'https://api.themoviedb.org/3',
+    imageBaseUrl = process.env.TMDB_IMAGE_BASE_URL || 'https://image.tmdb.org/t/p/w500',
+    fetch: fetchJson = globalThis.fetch
+} = {}) {
+    async function get(pathname, params = {}) {
+        const url = new URL(baseUrl.replace(/\/+$/, '') + pathname);
+        url.searchParams.set('api_key', apiKey);
+        for (const [key, value] of Object.entries(params)) {
+            url.searchParams.set(key, value);
+        }
+
+        let response;
+        try {
+            response = await fetchJson(url, { headers: { Accept: 'application/json' }, signal: AbortSignal.timeout(10000) });
+        } catch (error) {
+            throw lookupError(`TMDB could not be reached: ${error.cause ? error.cause.message : error.message}`, 502);
+        }
+        if (response.status === 404) {
+            throw lookupError('TMDB has no entry for this link', 404);
+        }
+        if (!response.ok) {
+            throw lookupError(`TMDB responded with HTTP ${response.status}`, 502);
+        }
+        return response.json();
+    }
+
+    function toFields(kind, details) {
+        const date = kind === 'tv' ? details.first_air_date : details.release_date;
+        const company = (details.production_companies || [])[0];
+        const imdbId = details.imdb_id || (details.external_ids || {}).imdb_id;
+
+        const fields = {
+            title: kind === 'tv' ? details.name : details.title,
+            year: date ? Number(date.slice(0, 4)) : null,
+            synopsis: details.overview || null,
+            production_company: company ? company.name : null,
+            poster_url: details.poster_path ? `${imageBaseUrl.replace(/\/+$/, '')}${details.poster_path}` : null,
+            tmdb_url: `https://www.themoviedb.org/${kind}/${details.id}`,
+            imdb_url: imdbId ? `https://www.imdb.com/title/${imdbId}/` : null
+        };
+        if (kind === 'tv') {
+            Object.assign(fields, {
+                project_type: 'tv_series',
+                seasons: details.number_of_seasons || null,
+                episode_count: details.number_of_episodes || null
+            });
+        }
+        return fields;
+    }
+
+    return {
+        name: 'tmdb',
+        configError: apiKey ? null : 'Metadata lookup is not configured: set TMDB_API_KEY',
+
+        async lookup(link) {
+            let { kind, id } = link;
+            if (link.source === 'imdb') {
+                const found = await get(`/find/${id}`, { external_source: 'imdb_id' });
+                const movie = (found.movie_results || [])[0];
+                const tv = (found.tv_results || [])[0];
+                if (!movie && !tv) {
+                    throw lookupError('TMDB has no entry for this IMDb title', 404);
+                }
+                kind = movie ? 'movie' : 'tv';
+                id = (movie || tv).id;
+            }
+
+            const details = await get(`/${kind}/${id}`, { append_to_response: 'external_ids' });
+            return toFields(kind, details);
+        }
+    };
+}
+
+const PROVIDERS = {
+    tmdb: createTmdbProvider
+};
+
+function createProvider(name = process.env.METADATA_PROVIDER || 'tmdb') {
+    if (!PROVIDERS[name]) {
+        throw new Error(`Unknown metadata provider: ${name}`);
+    }
+    return PROVIDERS[name]();
+}
+
+function createMetadata({ requireAuth }, provider = createProvider()) {
+    const router = express.Router();
+
+    // Suggested movie fields for a TMDB or IMDb link; nothing is saved
+    router.get('/metadata/lookup', requireAuth, async (req, res) => {
+        try {
+            const link = parseLink(req.query.url || '');
+            if (!link) {
+                return res.status(400).json({ error: 'Paste a TMDB (themoviedb.org/movie/... or /tv/...) or IMDb (imdb.com/title/tt...) link' });
+            }
+            if (provider.configError) {
+                return res.status(503).json({ error: provider.configError });
+            }
+
+            const fields = await provider.lookup(link);
+            res.json({ provider: provider.name, fields });
+        } catch (error) {
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    return { router };
+}
+
+module.exports = { createMetadata, createProvider, createTmdbProvider, parseLink, PROVIDERS };
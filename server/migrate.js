@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Migration files are named "<version>_<name>.js" and export up(db, helpers)
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .map(file => file.match(/^(\d+)_(\w+)\.js$/))
+        .filter(Boolean)
+        .map(match => ({
+            version: Number(match[1]),
+            name: match[2],
+            file: match[0],
+            up: require(path.join(dir, match[0])).up
+        }))
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (typeof migration.up !== 'function') {
+            throw new Error(`Migration ${migration.file} does not export an up() function`);
+        }
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new Error(`Two migrations share version ${migration.version}: ${migrations[index - 1].file} and ${migration.file}`);
+        }
+    });
+    return migrations;
+}
+
+function createVersionTable(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+function getSchemaVersion(db) {
+    const table = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'").get();
+    if (!table) return 0;
+    return db.prepare('SELECT COALESCE(MAX(version), 0) as version FROM schema_version').get().version;
+}
+
+// Helpers handed to every migration
+function createHelpers(db) {
+    return {
+        // Databases created before migrations existed may already have the column
+        addColumnIfMissing(table, column, definition) {
+            const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+            if (!columns.some(c => c.name === column)) {
+                db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            }
+        }
+    };
+}
+
+// Thrown at the end of a dry run so better-sqlite3 rolls everything back
+class DryRunRollback extends Error {}
+
+// Apply every pending migration in order, each in its own transaction. A failing
+// migration is rolled back and stops the run, leaving earlier ones applied.
+// A dry run executes all of them in one transaction and rolls it back, so errors
+// still surface but the database is left untouched.
+function runMigrations(db, { dryRun = false, dir = MIGRATIONS_DIR, log = console.log } = {}) {
+    const migrations = loadMigrations(dir);
+    const helpers = createHelpers(db);
+    const pending = [];
+
+    function applyPending() {
+        createVersionTable(db);
+
+        const applied = new Set(db.prepare('SELECT version FROM schema_version').all().map(row => row.version));
+        const known = new Set(migrations.map(migration => migration.version));
+        const unknown = [...applied].filter(version => !known.has(version));
+        if (unknown.length > 0) {
+            throw new Error(`Database has migrations this code does not know about: ${unknown.join(', ')}`);
+        }
+
+        const record = db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)');
+        for (const migration of migrations.filter(m => !applied.has(m.version))) {
+            try {
+                db.transaction(() => {
+                    migration.up(db, helpers);
+                    record.run(migration.version, migration.name);
+                })();
+            } catch (error) {
+                throw new Error(`Migration ${migration.file} failed and was rolled back: ${error.message}`, { cause: error });
+            }
+            pending.push({ version: migration.version, name: migration.name });
+            log(`${dryRun ? 'Would apply' : 'Applied'} migration ${migration.file}`);
+        }
+    }
+
+    if (!dryRun) {
+        applyPending();
+        return pending;
+    }
+
+    try {
+        db.transaction(() => {
+            applyPending();
+            throw new DryRunRollback();
+        })();
+    } catch (error) {
+        if (!(error instanceof DryRunRollback)) throw error;
+    }
+    return pending;
+}
+
+module.exports = { runMigrations, getSchemaVersion, loadMigrations, MIGRATIONS_DIR };
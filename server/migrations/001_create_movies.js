@@ -0,0 +1,21 @@
+// The original movie catalogue table
+exports.up = (db) => {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS movies (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            title TEXT NOT NULL,
+            year INTEGER,
+            poster_url TEXT,
+            poster_local TEXT,
+            dop TEXT,
+            bobo_crew TEXT,
+            imdb_url TEXT,
+            tmdb_url TEXT,
+            trailer_url TEXT,
+            production_company TEXT,
+            synopsis TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+};
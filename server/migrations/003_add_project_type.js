@@ -0,0 +1,6 @@
+// Project type, with season and episode counts for TV series
+exports.up = (db, { addColumnIfMissing }) => {
+    addColumnIfMissing('movies', 'project_type', "TEXT NOT NULL DEFAULT 'feature_film'");
+    addColumnIfMissing('movies', 'seasons', 'INTEGER');
+    addColumnIfMissing('movies', 'episode_count', 'INTEGER');
+};
@@ -0,0 +1,5 @@
+// Draft / scheduled / published status; existing rows stay published
+exports.up = (db, { addColumnIfMissing }) => {
+    addColumnIfMissing('movies', 'status', "TEXT NOT NULL DEFAULT 'published'");
+    addColumnIfMissing('movies', 'publish_at', 'TEXT');
+};
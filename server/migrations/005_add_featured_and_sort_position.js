@@ -0,0 +1,5 @@
+// Featured flag and manual sort order
+exports.up = (db, { addColumnIfMissing }) => {
+    addColumnIfMissing('movies', 'featured', 'INTEGER NOT NULL DEFAULT 0');
+    addColumnIfMissing('movies', 'sort_position', 'INTEGER');
+};
@@ -0,0 +1,31 @@
+// Full-text index over the searchable movie columns, kept in sync by triggers
+exports.up = (db) => {
+    db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS movies_fts USING fts5(
+            title, dop, bobo_crew, production_company, synopsis,
+            content = 'movies', content_rowid = 'id',
+            tokenize = 'unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS movies_fts_insert AFTER INSERT ON movies BEGIN
+            INSERT INTO movies_fts (rowid, title, dop, bobo_crew, production_company, synopsis)
+            VALUES (new.id, new.title, new.dop, new.bobo_crew, new.production_company, new.synopsis);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS movies_fts_delete AFTER DELETE ON movies BEGIN
+            INSERT INTO movies_fts (movies_fts, rowid, title, dop, bobo_crew, production_company, synopsis)
+            VALUES ('delete', old.id, old.title, old.dop, old.bobo_crew, old.production_company, old.synopsis);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS movies_fts_update
+        AFTER UPDATE OF title, dop, bobo_crew, production_company, synopsis ON movies BEGIN
+            INSERT INTO movies_fts (movies_fts, rowid, title, dop, bobo_crew, production_company, synopsis)
+            VALUES ('delete', old.id, old.title, old.dop, old.bobo_crew, old.production_company, old.synopsis);
+            INSERT INTO movies_fts (rowid, title, dop, bobo_crew, production_company, synopsis)
+            VALUES (new.id, new.title, new.dop, new.bobo_crew, new.production_company, new.synopsis);
+        END;
+    `);
+
+    // Index rows that existed before the index did
+    db.exec("INSERT INTO movies_fts (movies_fts) VALUES ('rebuild')");
+};
@@ -0,0 +1,16 @@
+// Team members shown on the public site, optionally linked to a person
+exports.up = (db) => {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS team_members (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            role TEXT,
+            photo TEXT,
+            bio TEXT,
+            person_id INTEGER REFERENCES people(id) ON DELETE SET NULL,
+            sort_position INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+};
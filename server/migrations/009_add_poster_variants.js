@@ -0,0 +1,9 @@
+// Processed posters: original size, a blurred placeholder and the resized variants
+exports.up = (db) => {
+    db.exec(`
+        ALTER TABLE movies ADD COLUMN poster_width INTEGER;
+        ALTER TABLE movies ADD COLUMN poster_height INTEGER;
+        ALTER TABLE movies ADD COLUMN poster_placeholder TEXT;
+        ALTER TABLE movies ADD COLUMN poster_variants TEXT;
+    `);
+};
@@ -0,0 +1,9 @@
+// Local copies of remote posters: where they came from, when, and their checksum
+exports.up = (db) => {
+    db.exec(`
+        ALTER TABLE movies ADD COLUMN poster_checksum TEXT;
+        ALTER TABLE movies ADD COLUMN poster_mirrored_from TEXT;
+        ALTER TABLE movies ADD COLUMN poster_fetched_at TEXT;
+        ALTER TABLE movies ADD COLUMN poster_fetch_error TEXT;
+    `);
+};
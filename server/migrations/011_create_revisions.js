@@ -0,0 +1,17 @@
+// Snapshots of each change to a movie; kept when the movie is deleted
+exports.up = (db) => {
+    db.exec(`
+        CREATE TABLE revisions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            movie_id INTEGER NOT NULL,
+            action TEXT NOT NULL,
+            snapshot TEXT NOT NULL,
+            reverted_from INTEGER REFERENCES revisions(id),
+            user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            username TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX revisions_movie ON revisions (movie_id, id);
+    `);
+};
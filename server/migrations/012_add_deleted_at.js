@@ -0,0 +1,7 @@
+// Deleted movies stay in the table, in the trash, until they are purged
+exports.up = (db) => {
+    db.exec(`
+        ALTER TABLE movies ADD COLUMN deleted_at DATETIME;
+        CREATE INDEX movies_deleted_at ON movies (deleted_at);
+    `);
+};
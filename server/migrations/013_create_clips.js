@@ -0,0 +1,15 @@
+// Extra videos for a movie (behind the scenes, showreel excerpts) shown
+// next to its trailer_url in the trailer modal
+exports.up = (db) => {
+    db.exec(`
+        CREATE TABLE clips (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            movie_id INTEGER NOT NULL REFERENCES movies(id) ON DELETE CASCADE,
+            label TEXT NOT NULL,
+            url TEXT NOT NULL,
+            position INTEGER NOT NULL DEFAULT 0
+        );
+
+        CREATE INDEX clips_movie ON clips (movie_id, position);
+    `);
+};
@@ -0,0 +1,8 @@
+// Stable URL names for movies, used in deep links like /#work/tuntematon-sotilas.
+// Existing rows get theirs from assignMissingSlugs when the server starts.
+exports.up = (db) => {
+    db.exec(`
+        ALTER TABLE movies ADD COLUMN slug TEXT;
+        CREATE UNIQUE INDEX movies_slug ON movies (slug);
+    `);
+};
@@ -0,0 +1,39 @@
+// Finnish titles and synopses next to the English ones, and a search index
+// that covers both
+exports.up = (db) => {
+    db.exec(`
+        ALTER TABLE movies ADD COLUMN title_fi TEXT;
+        ALTER TABLE movies ADD COLUMN synopsis_fi TEXT;
+
+        DROP TRIGGER movies_fts_insert;
+        DROP TRIGGER movies_fts_delete;
+        DROP TRIGGER movies_fts_update;
+        DROP TABLE movies_fts;
+
+        CREATE VIRTUAL TABLE movies_fts USING fts5(
+            title, title_fi, dop, bobo_crew, production_company, synopsis, synopsis_fi,
+            content = 'movies', content_rowid = 'id',
+            tokenize = 'unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER movies_fts_insert AFTER INSERT ON movies BEGIN
+            INSERT INTO movies_fts (rowid, title, title_fi, dop, bobo_crew, production_company, synopsis, synopsis_fi)
+            VALUES (new.id, new.title, new.title_fi, new.dop, new.bobo_crew, new.production_company, new.synopsis, new.synopsis_fi);
+        END;
+
+        CREATE TRIGGER movies_fts_delete AFTER DELETE ON movies BEGIN
+            INSERT INTO movies_fts (movies_fts, rowid, title, title_fi, dop, bobo_crew, production_company, synopsis, synopsis_fi)
+            VALUES ('delete', old.id, old.title, old.title_fi, old.dop, old.bobo_crew, old.production_company, old.synopsis, old.synopsis_fi);
+        END;
+
+        CREATE TRIGGER movies_fts_update
+        AFTER UPDATE OF title, title_fi, dop, bobo_crew, production_company, synopsis, synopsis_fi ON movies BEGIN
+            INSERT INTO movies_fts (movies_fts, rowid, title, title_fi, dop, bobo_crew, production_company, synopsis, synopsis_fi)
+            VALUES ('delete', old.id, old.title, old.title_fi, old.dop, old.bobo_crew, old.production_company, old.synopsis, old.synopsis_fi);
+            INSERT INTO movies_fts (rowid, title, title_fi, dop, bobo_crew, production_company, synopsis, synopsis_fi)
+            VALUES (new.id, new.title, new.title_fi, new.dop, new.bobo_crew, new.production_company, new.synopsis, new.synopsis_fi);
+        END;
+    `);
+
+    db.exec("INSERT INTO movies_fts (movies_fts) VALUES ('rebuild')");
+};
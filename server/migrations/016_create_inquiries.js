@@ -0,0 +1,24 @@
+// Production inquiries sent from the contact form
+exports.up = (db) => {
+    db.exec(`
+        CREATE TABLE inquiries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            production TEXT NOT NULL,
+            name TEXT NOT NULL,
+            email TEXT NOT NULL,
+            phone TEXT,
+            shoot_start DATE,
+            shoot_end DATE,
+            location TEXT,
+            cameras TEXT,
+            data_volume TEXT,
+            message TEXT,
+            language TEXT,
+            status TEXT NOT NULL DEFAULT 'new',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX inquiries_status ON inquiries (status, id);
+    `);
+};
@@ -0,0 +1,38 @@
+// Rental equipment, the date ranges it is booked for, and the kits each
+// inquiry asks for. Dates are inclusive YYYY-MM-DD days.
+exports.up = (db) => {
+    db.exec(`
+        CREATE TABLE equipment (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            category TEXT NOT NULL DEFAULT 'other',
+            quantity INTEGER NOT NULL DEFAULT 1,
+            serial_numbers TEXT,
+            notes TEXT,
+            public INTEGER NOT NULL DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE bookings (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            equipment_id INTEGER NOT NULL REFERENCES equipment(id) ON DELETE CASCADE,
+            quantity INTEGER NOT NULL DEFAULT 1,
+            start_date DATE NOT NULL,
+            end_date DATE NOT NULL,
+            production TEXT,
+            notes TEXT,
+            inquiry_id INTEGER REFERENCES inquiries(id) ON DELETE SET NULL,
+            username TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX bookings_equipment ON bookings (equipment_id, start_date, end_date);
+
+        CREATE TABLE inquiry_equipment (
+            inquiry_id INTEGER NOT NULL REFERENCES inquiries(id) ON DELETE CASCADE,
+            equipment_id INTEGER NOT NULL REFERENCES equipment(id) ON DELETE CASCADE,
+            PRIMARY KEY (inquiry_id, equipment_id)
+        );
+    `);
+};
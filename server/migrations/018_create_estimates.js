@@ -0,0 +1,14 @@
+// Storage calculator estimates saved under a production name. The id is a
+// random token that doubles as the share link, so it is not a counter.
+// input and result are JSON: what was asked and what estimateStorage() said.
+exports.up = (db) => {
+    db.exec(`
+        CREATE TABLE estimates (
+            id TEXT PRIMARY KEY,
+            production TEXT NOT NULL,
+            input TEXT NOT NULL,
+            result TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+};
@@ -0,0 +1,175 @@
+const express = require('express');
+const { processPoster, removePosterFiles, POSTER_COLUMNS } = require('./posters');
+const { ACTIVE_CONDITION } = require('./visibility');
+
+const MAX_POSTER_BYTES = 10 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 15000;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function fetchError(message, retryable) {
+    return Object.assign(new Error(message), { retryable });
+}
+
+// Download one image; network errors, 5xx and 429 are worth retrying, anything else is not
+async function download(fetchImage, url) {
+    let response;
+    try {
+        response = await fetchImage(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    } catch (error) {
+        throw fetchError(`Could not fetch: ${error.cause ? error.cause.message : error.message}`, true);
+    }
+
+    if (!response.ok) {
+        throw fetchError(`HTTP ${response.status}`, response.status >= 500 || response.status === 429);
+    }
+    const type = response.headers.get('content-type') || '';
+    if (!type.startsWith('image/')) {
+        throw fetchError(`Not an image (${type || 'no content type'})`, false);
+    }
+    if (Number(response.headers.get('content-length')) > MAX_POSTER_BYTES) {
+        throw fetchError('Image is larger than 10 MB', false);
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > MAX_POSTER_BYTES) {
+        throw fetchError('Image is larger than 10 MB', false);
+    }
+    return buffer;
+}
+
+// Copies remote poster_url images into uploads/posters so cards no longer
+// depend on the remote host. fetch can be swapped for a stub in tests, and
+// posters ({ outputDir, urlPrefix }) sends the files elsewhere.
+function createPosterMirror(db, { requireAuth }, {
+    fetch: fetchImage = globalThis.fetch,
+    attempts = 3,
+    retryDelayMs = 2000,
+    posters = {},
+    log = console.log
+} = {}) {
+    const PENDING_CONDITION = `poster_url IS NOT NULL AND poster_local IS NULL AND ${ACTIVE_CONDITION}`;
+    const findPending = db.prepare(`SELECT id FROM movies WHERE ${PENDING_CONDITION} ORDER BY id`);
+    const findPendingMovie = db.prepare(`SELECT id, title, poster_url FROM movies WHERE id = ? AND ${PENDING_CONDITION}`);
+    // Only write if nobody changed the poster while we were downloading
+    const saveMirror = db.prepare(`
+        UPDATE movies SET ${POSTER_COLUMNS.map(column => `${column} = ?`).join(', ')}
+        WHERE id = ? AND poster_url = ? AND poster_local IS NULL
+    `);
+    const saveError = db.prepare(`
+        UPDATE movies SET poster_fetch_error = ?
+        WHERE id = ? AND poster_url = ? AND poster_local IS NULL
+    `);
+
+    async function fetchWithRetry(url) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await download(fetchImage, url);
+            } catch (error) {
+                if (!error.retryable || attempt >= attempts) throw error;
+                await sleep(retryDelayMs * 2 ** (attempt - 1));
+            }
+        }
+    }
+
+    async function mirrorMovie(movie) {
+        const url = movie.poster_url;
+        let poster;
+        try {
+            if (!/^https?:\/\//i.test(url)) {
+                throw fetchError('Only http and https poster URLs can be mirrored', false);
+            }
+            poster = await processPoster(await fetchWithRetry(url), posters);
+        } catch (error) {
+            saveError.run(error.message, movie.id, url);
+            return { id: movie.id, title: movie.title, poster_url: url, error: error.message };
+        }
+
+        Object.assign(poster, { poster_mirrored_from: url, poster_fetched_at: new Date().toISOString() });
+        const result = saveMirror.run(...POSTER_COLUMNS.map(column => poster[column]), movie.id, url);
+        if (result.changes === 0) {
+            removePosterFiles(poster);
+        }
+        return { id: movie.id, title: movie.title, poster_url: url };
+    }
+
+    // Mirror every remote poster without a local copy, one at a time
+    async function mirrorPending() {
+        const results = [];
+        for (const { id } of findPending.all()) {
+            // Re-read each movie, it may have changed while earlier ones downloaded
+            const movie = findPendingMovie.get(id);
+            if (movie) {
+                results.push(await mirrorMovie(movie));
+            }
+        }
+
+        const failed = results.filter(result => result.error);
+        if (results.length > 0) {
+            log(`Mirrored ${results.length - failed.length} posters, ${failed.length} failed`);
+        }
+        return { mirrored: results.length - failed.length, failed };
+    }
+
+    let running = null;
+    let queued = null;
+
+    // Only one run at a time. Calls made during a run share a single follow-up
+    // run, so posters changed meanwhile are not missed.
+    function run() {
+        if (running) {
+            if (!queued) {
+                queued = running.catch(() => {}).then(() => {
+                    queued = null;
+                    return run();
+                });
+            }
+            return queued;
+        }
+        running = mirrorPending().finally(() => {
+            running = null;
+        });
+        return running;
+    }
+
+    function listBroken() {
+        return db.prepare(`
+            SELECT id, title, poster_url, poster_fetch_error FROM movies
+            WHERE poster_fetch_error IS NOT NULL AND poster_local IS NULL AND ${ACTIVE_CONDITION}
+            ORDER BY title
+        `).all();
+    }
+
+    // Run now and then every few hours; the timer does not keep the process alive
+    function start(intervalHours) {
+        const runLogged = () => run().catch(error => console.error('Poster mirror failed:', error.message));
+        runLogged();
+        setInterval(runLogged, intervalHours * 60 * 60 * 1000).unref();
+    }
+
+    const router = express.Router();
+
+    // Remote posters that could not be downloaded
+    router.get('/posters/broken', requireAuth, (req, res) => {
+        try {
+            res.json(listBroken());
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Mirror pending posters now and wait for the result
+    router.post('/posters/mirror', requireAuth, async (req, res) => {
+        try {
+            res.json(await run());
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return { router, run, start, listBroken };
+}
+
+module.exports = { createPosterMirror };
@@ -0,0 +1,298 @@
+const express = require('express');
+const { SafeHtml, html, escapeHtml, safeUrl } = require('../safe-html');
+const { getEmbed } = require('../video-embed');
+const I18n = require('../i18n');
+const { CREDIT_ROLES, LANGUAGES, DEFAULT_LANGUAGE } = require('./constants');
+const { attachCredits } = require('./people');
+const { attachClips } = require('./clips');
+const { attachPosterVariants } = require('./posters');
+const { parseLanguage, localizeMovies } = require('./translations');
+const { promoteScheduled, VISIBLE_CONDITION, MOVIE_ORDER } = require('./visibility');
+
+// og:locale wants a region
+const OG_LOCALES = { en: 'en_US', fi: 'fi_FI' };
+
+// Search engines cut descriptions off around here
+const DESCRIPTION_LENGTH = 160;
+
+function truncate(text, length) {
+    if (text.length <= length) return text;
+    return text.slice(0, length - 1).replace(/\s+\S*$/, '') + '…';
+}
+
+// JSON-LD goes into a script element as is; escaping "<" keeps "</script>" in a
+// synopsis from ending it early
+function jsonLd(data) {
+    return new SafeHtml(JSON.stringify(data, null, 4).replace(/</g, '\\u003c'));
+}
+
+// Same groups and order as the cards on the Work overlay
+function groupCredits(credits, language) {
+    return CREDIT_ROLES
+        .map(role => ({
+            label: I18n.t(`role.${role}`, {}, language),
+            names: credits.filter(credit => credit.role === role).map(credit => credit.name)
+        }))
+        .filter(group => group.names.length > 0);
+}
+
+// The trailer first, then the extra clips, as in the trailer modal
+function getClips(movie, language) {
+    const clips = movie.trailer_url ? [{ label: I18n.t('project.trailer', {}, language), url: movie.trailer_url }] : [];
+    return clips.concat(movie.clips).filter(clip => safeUrl(clip.url));
+}
+
+// The address of a page in a language; the default language has no ?lang=
+function languageUrl(url, language) {
+    return language === DEFAULT_LANGUAGE ? url : `${url}?lang=${language}`;
+}
+
+function createPages(db, { siteUrl }) {
+    const absoluteUrl = value => new URL(value, siteUrl).href;
+
+    function findProject(slug, language) {
+        promoteScheduled(db);
+        const movie = db.prepare(`SELECT * FROM movies WHERE slug = ? AND ${VISIBLE_CONDITION}`).get(slug);
+        return movie ? localizeMovies(attachPosterVariants(attachClips(db, attachCredits(db, [movie]))), language)[0] : null;
+    }
+
+    function describeProject(movie, language) {
+        const facts = [I18n.t(`type.${movie.project_type}`, {}, language), movie.year, movie.production_company].filter(Boolean).join(', ');
+        return truncate(movie.synopsis || I18n.t('project.description', { title: movie.title, facts }, language), DESCRIPTION_LENGTH);
+    }
+
+    // schema.org data for search engines; series are TVSeries, everything else a Movie
+    function structuredData(movie, { url, image, description, clips, language }) {
+        const series = movie.project_type === 'tv_series';
+        const data = {
+            '@context': 'https://schema.org',
+            '@type': series ? 'TVSeries' : 'Movie',
+            name: movie.title,
+            url,
+            description,
+            inLanguage: language
+        };
+        if (image) data.image = image;
+        if (movie.year) data.dateCreated = String(movie.year);
+        if (movie.production_company) {
+            data.productionCompany = { '@type': 'Organization', name: movie.production_company };
+        }
+        if (series && movie.seasons) data.numberOfSeasons = movie.seasons;
+        if (series && movie.episode_count) data.numberOfEpisodes = movie.episode_count;
+
+        const sameAs = [movie.imdb_url, movie.tmdb_url].filter(Boolean);
+        if (sameAs.length > 0) data.sameAs = sameAs;
+
+        if (movie.credits.length > 0) {
+            data.contributor = movie.credits.map(credit => ({ '@type': 'Person', name: credit.name, jobTitle: I18n.t(`role.${credit.role}`, {}, language) }));
+        }
+
+        if (clips.length > 0) {
+            const embed = getEmbed(clips[0].url, { autoplay: false });
+            data.trailer = { '@type': 'VideoObject', name: `${movie.title}: ${clips[0].label}`, description, url: clips[0].url };
+            if (embed && embed.type === 'iframe') data.trailer.embedUrl = embed.src;
+            if (embed && embed.type === 'video') data.trailer.contentUrl = embed.src;
+            if (image) data.trailer.thumbnailUrl = image;
+        }
+        return data;
+    }
+
+    function renderClip(clip, language) {
+        const embed = getEmbed(clip.url, { autoplay: false });
+        let player;
+        if (!embed) {
+            player = html`
+                <div class="trailer-fallback">
+                    <a href="${safeUrl(clip.url)}" target="_blank" rel="noopener" class="project-link">${I18n.t('trailer.watchOn', { host: new URL(clip.url, siteUrl).hostname }, language)}</a>
+                </div>
+            `;
+        } else if (embed.type === 'video') {
+            player = html`<video src="${embed.src}" controls preload="metadata" playsinline></video>`;
+        } else {
+            player = html`<iframe src="${embed.src}" title="${clip.label}" loading="lazy" frameborder="0" allowfullscreen allow="fullscreen; picture-in-picture"></iframe>`;
+        }
+        return html`
+            <figure class="project-page-clip">
+                <div class="trailer-container">${player}</div>
+                <figcaption>${clip.label}</figcaption>
+            </figure>
+        `;
+    }
+
+    function renderProjectPage(movie, language) {
+        const t = (key, params) => I18n.t(key, params, language);
+        const pageUrl = absoluteUrl(`/projects/${encodeURIComponent(movie.slug)}`);
+        const url = languageUrl(pageUrl, language);
+        const poster = safeUrl(movie.poster_local || movie.poster_url);
+        const image = poster ? absoluteUrl(poster) : null;
+        const description = describeProject(movie, language);
+        const clips = getClips(movie, language);
+        const title = movie.year ? `${movie.title} (${movie.year})` : movie.title;
+        const seriesInfo = [
+            movie.seasons && I18n.plural('project.seasons', movie.seasons, language),
+            movie.episode_count && I18n.plural('project.episodes', movie.episode_count, language)
+        ].filter(Boolean).join(', ');
+
+        return html`<!DOCTYPE html>
+<html lang="${language}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0, viewport-fit=cover">
+    <title>${title} | BO&BO</title>
+    <meta name="description" content="${description}">
+    <link rel="canonical" href="${url}">
+    ${LANGUAGES.map(alternate => html`<link rel="alternate" hreflang="${alternate}" href="${languageUrl(pageUrl, alternate)}">
+    `)}<link rel="alternate" hreflang="x-default" href="${pageUrl}">
+
+    <!-- Open Graph / Social Media -->
+    <meta property="og:type" content="video.${movie.project_type === 'tv_series' ? 'tv_show' : 'movie'}">
+    <meta property="og:title" content="${title}">
+    <meta property="og:description" content="${description}">
+    <meta property="og:url" content="${url}">
+    <meta property="og:site_name" content="BO&BO">
+    <meta property="og:locale" content="${OG_LOCALES[language]}">
+    ${image && html`<meta property="og:image" content="${image}">`}
+
+    <!-- Twitter Card -->
+    <meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">
+    <meta name="twitter:title" content="${title}">
+    <meta name="twitter:description" content="${description}">
+    ${image && html`<meta name="twitter:image" content="${image}">`}
+
+    <meta name="theme-color" content="#1a1f1c">
+    <link href="https://fonts.googleapis.com/css2?family=Space+Grotesk:wght@300;400;500;600;700&display=swap" rel="stylesheet">
+    <link rel="stylesheet" href="/styles.css">
+
+    <script type="application/ld+json">
+${jsonLd(structuredData(movie, { url, image, description, clips, language }))}
+    </script>
+</head>
+<body>
+    <div class="container project-page">
+        <header class="project-page-header">
+            <a href="/" class="logo-text">THE<br>DIT/VIDEO<br>COMPANY</a>
+            <a href="${languageUrl('/', language)}#work/${encodeURIComponent(movie.slug)}" class="project-link">${t('project.allProjects')}</a>
+        </header>
+
+        <main class="project-page-main">
+            ${poster && html`
+                <div class="project-page-poster">
+                    <img src="${poster}" alt="${movie.title}"${movie.poster_width ? html` width="${movie.poster_width}" height="${movie.poster_height}"` : ''}>
+                </div>
+            `}
+            <div class="project-page-info">
+                <span class="section-label">${t(`type.${movie.project_type || 'feature_film'}`)}</span>
+                <h1>${movie.title}</h1>
+                <p class="project-page-meta">${[movie.year, seriesInfo, movie.production_company].filter(Boolean).join(' · ')}</p>
+                ${movie.synopsis && html`<p class="project-page-synopsis">${movie.synopsis}</p>`}
+                ${movie.credits.length > 0 && html`
+                    <dl class="project-page-credits">
+                        ${groupCredits(movie.credits, language).map(group => html`
+                            <dt>${group.label}</dt>
+                            <dd>${group.names.join(', ')}</dd>
+                        `)}
+                    </dl>
+                `}
+                <div class="project-links">
+                    ${safeUrl(movie.imdb_url) && html`<a href="${safeUrl(movie.imdb_url)}" target="_blank" rel="noopener" class="project-link">IMDB</a>`}
+                    ${safeUrl(movie.tmdb_url) && html`<a href="${safeUrl(movie.tmdb_url)}" target="_blank" rel="noopener" class="project-link">TMDB</a>`}
+                </div>
+            </div>
+        </main>
+
+        ${clips.length > 0 && html`
+            <section class="project-page-clips">
+                ${clips.map(clip => renderClip(clip, language))}
+            </section>
+        `}
+    </div>
+</body>
+</html>
+`;
+    }
+
+    function renderNotFound(language) {
+        const t = key => I18n.t(key, {}, language);
+        return html`<!DOCTYPE html>
+<html lang="${language}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${t('project.notFound')} | BO&BO</title>
+    <link rel="stylesheet" href="/styles.css">
+</head>
+<body>
+    <div class="container project-page">
+        <header class="project-page-header">
+            <a href="/" class="logo-text">THE<br>DIT/VIDEO<br>COMPANY</a>
+        </header>
+        <main class="project-page-main">
+            <div class="project-page-info">
+                <h1>${t('project.notFound')}</h1>
+                <p class="project-page-synopsis">${t('project.notFoundText')} <a href="${languageUrl('/', language)}#work">${t('project.seeAll')}</a>.</p>
+            </div>
+        </main>
+    </div>
+</body>
+</html>
+`;
+    }
+
+    function renderSitemap() {
+        promoteScheduled(db);
+        const projects = db.prepare(`SELECT slug, updated_at FROM movies WHERE ${VISIBLE_CONDITION} AND slug IS NOT NULL ORDER BY ${MOVIE_ORDER}`).all();
+        const entries = [
+            { loc: absoluteUrl('/') },
+            { loc: absoluteUrl('/calculator.html') },
+            ...projects.map(project => ({
+                loc: absoluteUrl(`/projects/${encodeURIComponent(project.slug)}`),
+                lastmod: project.updated_at ? project.updated_at.slice(0, 10) : null
+            }))
+        ];
+
+        // Each page lists its translations so search engines pair them up
+        const alternates = loc => LANGUAGES
+            .map(language => `<xhtml:link rel="alternate" hreflang="${language}" href="${escapeHtml(languageUrl(loc, language))}"/>`)
+            .join('');
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n'
+            + '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">\n'
+            + entries.map(entry => `    <url><loc>${escapeHtml(entry.loc)}</loc>${entry.lastmod ? `<lastmod>${entry.lastmod}</lastmod>` : ''}${alternates(entry.loc)}</url>\n`).join('')
+            + '</urlset>\n';
+    }
+
+    const router = express.Router();
+
+    // A shareable page per published project, with link previews and structured
+    // data; ?lang=fi renders it in Finnish and an unknown language falls back
+    router.get('/projects/:slug', (req, res) => {
+        try {
+            const language = parseLanguage(req.query.lang).language || DEFAULT_LANGUAGE;
+            const movie = findProject(req.params.slug, language);
+            if (!movie) {
+                return res.status(404).type('html').send(String(renderNotFound(language)));
+            }
+            res.set('Content-Language', language);
+            res.type('html').send(String(renderProjectPage(movie, language)));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    router.get('/robots.txt', (req, res) => {
+        res.type('text/plain').send(`User-agent: *\nDisallow: /admin.html\nDisallow: /api/\n\nSitemap: ${absoluteUrl('/sitemap.xml')}\n`);
+    });
+
+    router.get('/sitemap.xml', (req, res) => {
+        try {
+            res.type('application/xml').send(renderSitemap());
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return { router };
+}
+
+module.exports = { createPages };
@@ -0,0 +1,272 @@
+const express = require('express');
+const { CREDIT_ROLES } = require('./constants');
+const { ACTIVE_CONDITION, VISIBLE_CONDITION } = require('./visibility');
+const { SCHEMAS, validate, hasErrors, sendErrors } = require('./validation');
+
+const ROLE_LABELS = {
+    dop: 'DOP',
+    dit: 'DIT',
+    data_wrangler: 'Data Wrangler',
+    colourist: 'Colourist'
+};
+
+// Free-text role names seen in the old bobo_crew strings
+const ROLE_ALIASES = {
+    'dop': 'dop',
+    'dp': 'dop',
+    'director of photography': 'dop',
+    'cinematographer': 'dop',
+    'dit': 'dit',
+    'd.i.t.': 'dit',
+    'data wrangler': 'data_wrangler',
+    'data manager': 'data_wrangler',
+    'dw': 'data_wrangler',
+    'colourist': 'colourist',
+    'colorist': 'colourist'
+};
+
+// Split "Matti Kuusniemi (DIT), Jane Doe (Data Wrangler)" into { name, role } pairs
+function parseCrewText(text, defaultRole) {
+    if (!text) return [];
+
+    return String(text)
+        .split(/\s*(?:[,;&/]|\band\b)\s*/i)
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const match = part.match(/^(.*?)\s*\(([^)]*)\)\s*$/);
+            const name = (match ? match[1] : part).trim();
+            const roleText = match ? match[2].trim().toLowerCase() : '';
+            return { name, role: ROLE_ALIASES[roleText] || defaultRole };
+        })
+        .filter(credit => credit.name);
+}
+
+// Credits from the legacy dop and bobo_crew text fields
+function creditsFromText(dop, boboCrew) {
+    return [...parseCrewText(dop, 'dop'), ...parseCrewText(boboCrew, 'dit')];
+}
+
+// Attach a credits array to each movie, in one query
+function attachCredits(db, movies) {
+    if (movies.length === 0) return movies;
+
+    const ids = movies.map(movie => movie.id);
+    const rows = db.prepare(`
+        SELECT credits.movie_id, credits.person_id, credits.role, people.name
+        FROM credits JOIN people ON people.id = credits.person_id
+        WHERE credits.movie_id IN (${ids.map(() => '?').join(', ')})
+        ORDER BY credits.position, credits.id
+    `).all(...ids);
+
+    // Keyed by number: rows carry numeric ids even when the caller's are strings
+    const byMovie = new Map(ids.map(id => [Number(id), []]));
+    for (const row of rows) {
+        byMovie.get(row.movie_id).push({ person_id: row.person_id, name: row.name, role: row.role });
+    }
+    return movies.map(movie => Object.assign(movie, { credits: byMovie.get(Number(movie.id)) }));
+}
+
+function findOrCreatePerson(db, name) {
+    const existing = db.prepare('SELECT id FROM people WHERE name = ?').get(name);
+    if (existing) return existing.id;
+    return db.prepare('INSERT INTO people (name) VALUES (?)').run(name).lastInsertRowid;
+}
+
+// Validate credits sent by a client: [{ person_id, role }] for a person who
+// exists, or [{ name, role }]
+function parseCredits(db, value) {
+    let credits = value;
+    if (typeof credits === 'string') {
+        try {
+            credits = JSON.parse(credits);
+        } catch (error) {
+            return { error: 'Credits must be valid JSON' };
+        }
+    }
+    if (!Array.isArray(credits)) {
+        return { error: 'Credits must be an array' };
+    }
+
+    const findPerson = db.prepare('SELECT id FROM people WHERE id = ?');
+    const parsed = [];
+    for (const credit of credits) {
+        if (!credit || typeof credit !== 'object' || !CREDIT_ROLES.includes(credit.role)) {
+            return { error: `Credit role must be one of: ${CREDIT_ROLES.join(', ')}` };
+        }
+        if (credit.person_id !== undefined && credit.person_id !== null) {
+            if (!Number.isInteger(credit.person_id) || credit.person_id < 1) {
+                return { error: 'Credit person_id must be a positive whole number' };
+            }
+            if (!findPerson.get(credit.person_id)) {
+                return { error: `Person ${credit.person_id} not found` };
+            }
+            parsed.push({ person_id: credit.person_id, role: credit.role });
+        } else if (typeof credit.name === 'string' && credit.name.trim()) {
+            parsed.push({ name: credit.name.trim(), role: credit.role });
+        } else {
+            return { error: 'Each credit needs a person_id or a name' };
+        }
+    }
+    return { credits: parsed };
+}
+
+// Keep the dop and bobo_crew columns as a plain-text summary of the credits,
+// so full-text search and older readers of movies.json keep working
+function syncCreditSummary(db, movieId) {
+    const [movie] = attachCredits(db, [{ id: movieId }]);
+    const dop = movie.credits.filter(credit => credit.role === 'dop').map(credit => credit.name);
+    const crew = movie.credits
+        .filter(credit => credit.role !== 'dop')
+        .map(credit => `${credit.name} (${ROLE_LABELS[credit.role]})`);
+
+    db.prepare('UPDATE movies SET dop = ?, bobo_crew = ? WHERE id = ?')
+        .run(dop.join(', ') || null, crew.join(', ') || null, movieId);
+}
+
+// "Name (Role), Name (Role)" for showing credit changes
+function describeCredits(credits) {
+    return credits.map(credit => `${credit.name} (${ROLE_LABELS[credit.role]})`).join(', ');
+}
+
+// Replace all credits of a movie
+function saveCredits(db, movieId, credits) {
+    const insert = db.prepare('INSERT OR IGNORE INTO credits (movie_id, person_id, role, position) VALUES (?, ?, ?, ?)');
+
+    db.transaction(() => {
+        db.prepare('DELETE FROM credits WHERE movie_id = ?').run(movieId);
+        credits.forEach((credit, index) => {
+            const personId = credit.person_id || findOrCreatePerson(db, credit.name.trim());
+            insert.run(movieId, personId, credit.role, index);
+        });
+        syncCreditSummary(db, movieId);
+    })();
+}
+
+// Create credits for movies that still only have the free-text columns
+function migrateLegacyCredits(db) {
+    const legacy = db.prepare(`
+        SELECT id, dop, bobo_crew FROM movies
+        WHERE (dop IS NOT NULL OR bobo_crew IS NOT NULL)
+          AND id NOT IN (SELECT movie_id FROM credits)
+    `).all();
+
+    for (const movie of legacy) {
+        saveCredits(db, movie.id, creditsFromText(movie.dop, movie.bobo_crew));
+    }
+    return legacy.length;
+}
+
+function createPeople(db, { requireAuth, optionalAuth, requireRole }) {
+    const router = express.Router();
+
+    // List people, with ?q= for autocomplete
+    router.get('/people', (req, res) => {
+        try {
+            const people = req.query.q
+                ? db.prepare('SELECT * FROM people WHERE name LIKE ? ORDER BY name LIMIT 20').all(`%${req.query.q}%`)
+                : db.prepare('SELECT * FROM people ORDER BY name').all();
+            res.json(people);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Get a person with their credits; drafts are only listed for signed-in users
+    router.get('/people/:id', optionalAuth, (req, res) => {
+        try {
+            const person = db.prepare('SELECT * FROM people WHERE id = ?').get(req.params.id);
+            if (!person) {
+                return res.status(404).json({ error: 'Person not found' });
+            }
+            person.credits = db.prepare(`
+                SELECT credits.movie_id, credits.role, movies.title, movies.year
+                FROM credits JOIN movies ON movies.id = credits.movie_id
+                WHERE credits.person_id = ? AND ${req.user ? ACTIVE_CONDITION : VISIBLE_CONDITION}
+                ORDER BY movies.year DESC, movies.title
+            `).all(req.params.id);
+            res.json(person);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Create person
+    router.post('/people', requireAuth, (req, res) => {
+        try {
+            const { values, errors } = validate(SCHEMAS.person, req.body);
+            if (hasErrors(errors)) {
+                return sendErrors(res, errors);
+            }
+            const { name } = values;
+            if (db.prepare('SELECT id FROM people WHERE name = ?').get(name)) {
+                return res.status(409).json({ error: 'A person with this name already exists' });
+            }
+            const result = db.prepare('INSERT INTO people (name) VALUES (?)').run(name);
+            res.status(201).json(db.prepare('SELECT * FROM people WHERE id = ?').get(result.lastInsertRowid));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Rename person
+    router.put('/people/:id', requireAuth, (req, res) => {
+        try {
+            const { values, errors } = validate(SCHEMAS.person, req.body);
+            if (hasErrors(errors)) {
+                return sendErrors(res, errors);
+            }
+            const { name } = values;
+            const person = db.prepare('SELECT * FROM people WHERE id = ?').get(req.params.id);
+            if (!person) {
+                return res.status(404).json({ error: 'Person not found' });
+            }
+            const clash = db.prepare('SELECT id FROM people WHERE name = ? AND id != ?').get(name, req.params.id);
+            if (clash) {
+                return res.status(409).json({ error: 'A person with this name already exists' });
+            }
+
+            db.transaction(() => {
+                db.prepare('UPDATE people SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(name, req.params.id);
+                const movieIds = db.prepare('SELECT DISTINCT movie_id FROM credits WHERE person_id = ?').all(req.params.id);
+                movieIds.forEach(row => syncCreditSummary(db, row.movie_id));
+            })();
+
+            res.json(db.prepare('SELECT * FROM people WHERE id = ?').get(req.params.id));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Delete person and their credits
+    router.delete('/people/:id', requireAuth, requireRole('admin'), (req, res) => {
+        try {
+            const movieIds = db.prepare('SELECT DISTINCT movie_id FROM credits WHERE person_id = ?').all(req.params.id);
+            const result = db.transaction(() => {
+                const deleted = db.prepare('DELETE FROM people WHERE id = ?').run(req.params.id);
+                movieIds.forEach(row => syncCreditSummary(db, row.movie_id));
+                return deleted;
+            })();
+
+            if (result.changes === 0) {
+                return res.status(404).json({ error: 'Person not found' });
+            }
+            res.json({ message: 'Person deleted successfully' });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return { router };
+}
+
+module.exports = {
+    createPeople,
+    attachCredits,
+    saveCredits,
+    parseCredits,
+    creditsFromText,
+    migrateLegacyCredits,
+    describeCredits,
+    ROLE_LABELS
+};
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const POSTERS_DIR = path.join(ROOT_DIR, 'uploads', 'posters');
+const POSTERS_URL = '/uploads/posters';
+
+// Card widths are 200-400px, so these cover 1x and 2x screens
+const POSTER_WIDTHS = [240, 480, 960];
+
+// Most preferred first; JPEG is the fallback every browser can show
+const POSTER_FORMATS = {
+    avif: { quality: 50 },
+    webp: { quality: 75 },
+    jpeg: { quality: 80, mozjpeg: true }
+};
+
+const PLACEHOLDER_WIDTH = 16;
+
+// Every movie column describing the local poster; the mirror columns stay
+// empty for uploads
+const POSTER_COLUMNS = [
+    'poster_local', 'poster_width', 'poster_height', 'poster_placeholder', 'poster_variants',
+    'poster_checksum', 'poster_mirrored_from', 'poster_fetched_at', 'poster_fetch_error'
+];
+const NO_POSTER = Object.fromEntries(POSTER_COLUMNS.map(column => [column, null]));
+
+function removeFiles(urls) {
+    for (const url of new Set(urls)) {
+        if (!url || !url.startsWith('/uploads/')) continue;
+        const filePath = path.join(ROOT_DIR, url);
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+    }
+}
+
+// Resize an uploaded image into every width and format, plus a tiny blurred
+// placeholder. Returns the poster columns to store on the movie.
+async function processPoster(input, { outputDir = POSTERS_DIR, urlPrefix = POSTERS_URL } = {}) {
+    // Apply EXIF rotation once so every variant and the stored size agree
+    const { data: source, info } = await sharp(input).rotate().toBuffer({ resolveWithObject: true });
+
+    const widths = POSTER_WIDTHS.filter(width => width <= info.width);
+    if (widths.length === 0) widths.push(info.width);
+
+    const baseName = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+    const variants = [];
+    try {
+        for (const [format, options] of Object.entries(POSTER_FORMATS)) {
+            for (const width of widths) {
+                const fileName = `${baseName}-${width}.${format === 'jpeg' ? 'jpg' : format}`;
+                const output = await sharp(source)
+                    .resize({ width })
+                    .toFormat(format, options)
+                    .toFile(path.join(outputDir, fileName));
+                variants.push({ format, width, height: output.height, url: `${urlPrefix}/${fileName}` });
+            }
+        }
+    } catch (error) {
+        removeFiles(variants.map(variant => variant.url));
+        throw error;
+    }
+
+    const placeholder = await sharp(source)
+        .resize({ width: PLACEHOLDER_WIDTH })
+        .blur()
+        .webp({ quality: 40 })
+        .toBuffer();
+
+    const fallback = variants.filter(variant => variant.format === 'jpeg').pop();
+    return {
+        ...NO_POSTER,
+        poster_local: fallback.url,
+        poster_width: info.width,
+        poster_height: info.height,
+        poster_placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+        poster_variants: JSON.stringify(variants),
+        poster_checksum: crypto.createHash('sha256').update(input).digest('hex')
+    };
+}
+
+function parseVariants(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+// Delete the local poster and every generated variant of a movie
+function removePosterFiles(movie) {
+    const variants = parseVariants(movie.poster_variants) || [];
+    removeFiles([movie.poster_local, ...variants.map(variant => variant.url)]);
+}
+
+// Uploaded posters win over poster_url; mirrored copies follow it
+function isUploadedPoster(movie) {
+    return Boolean(movie.poster_local) && !movie.poster_mirrored_from;
+}
+
+// A mirrored copy belongs to the poster_url it came from. When that URL changes,
+// clear it so the mirror job fetches the new one; returns the movie whose files
+// should be removed once the change is committed, or null.
+function clearMirroredPoster(db, movie, posterUrl) {
+    if ((posterUrl || null) === movie.poster_url || !movie.poster_local || isUploadedPoster(movie)) {
+        return null;
+    }
+    db.prepare(`UPDATE movies SET ${POSTER_COLUMNS.map(column => `${column} = NULL`).join(', ')} WHERE id = ?`).run(movie.id);
+    return movie;
+}
+
+// Variants are stored as JSON; hand them to clients as an array
+function attachPosterVariants(movies) {
+    return movies.map(movie => Object.assign(movie, { poster_variants: parseVariants(movie.poster_variants) }));
+}
+
+module.exports = {
+    processPoster,
+    removePosterFiles,
+    isUploadedPoster,
+    clearMirroredPoster,
+    attachPosterVariants,
+    POSTER_COLUMNS,
+    NO_POSTER,
+    POSTERS_DIR,
+    POSTER_WIDTHS
+};
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+const { attachCredits } = require('./people');
+const { attachClips } = require('./clips');
+const { getPublicTeam } = require('./team');
+const { attachPosterVariants } = require('./posters');
+const { VISIBLE_CONDITION, MOVIE_ORDER } = require('./visibility');
+
+const STATIC_DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Columns that only matter to the admin panel
+const PRIVATE_FIELDS = [
+    'created_at', 'updated_at', 'status', 'publish_at',
+    'poster_checksum', 'poster_mirrored_from', 'poster_fetched_at', 'poster_fetch_error'
+];
+
+// Rows in the shape the public site expects, without empty fields
+function getPublicMovies(db) {
+    const movies = attachPosterVariants(attachClips(db, attachCredits(db, db.prepare(`SELECT * FROM movies WHERE ${VISIBLE_CONDITION} ORDER BY ${MOVIE_ORDER}`).all())));
+    return movies.map(movie => {
+        const publicMovie = {};
+        for (const [key, value] of Object.entries(movie)) {
+            if (value !== null && value !== '' && !PRIVATE_FIELDS.includes(key)) {
+                publicMovie[key] = value;
+            }
+        }
+        return publicMovie;
+    });
+}
+
+function writeJson(filePath, data) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 4) + '\n');
+    fs.renameSync(tmpPath, filePath);
+}
+
+// Regenerate data/movies.json and data/team.json so the static deployment matches the database
+function publishStaticData(db, outputDir = STATIC_DATA_DIR) {
+    const movies = getPublicMovies(db);
+    const team = getPublicTeam(db).map(({ created_at, updated_at, ...member }) => member);
+    writeJson(path.join(outputDir, 'movies.json'), movies);
+    writeJson(path.join(outputDir, 'team.json'), team);
+    return { count: movies.length, team_count: team.length, path: outputDir, published_at: new Date().toISOString() };
+}
+
+module.exports = { getPublicMovies, publishStaticData, STATIC_DATA_DIR };
@@ -0,0 +1,31 @@
+// Let each client make max requests per windowMs; the rest get a 429 with
+// Retry-After. Clients are told apart by IP address (see TRUST_PROXY in
+// server.js) and the counts are kept in memory, so a restart clears them.
+function rateLimit({ windowMs, max, message = 'Too many requests, please try again later' }) {
+    const hits = new Map();
+
+    // Forget clients whose requests have all left the window
+    setInterval(() => {
+        const since = Date.now() - windowMs;
+        for (const [key, times] of hits) {
+            if (times[times.length - 1] <= since) hits.delete(key);
+        }
+    }, windowMs).unref();
+
+    return (req, res, next) => {
+        const now = Date.now();
+        const recent = (hits.get(req.ip) || []).filter(time => time > now - windowMs);
+
+        if (recent.length >= max) {
+            hits.set(req.ip, recent);
+            res.set('Retry-After', String(Math.ceil((recent[0] + windowMs - now) / 1000)));
+            return res.status(429).json({ error: message });
+        }
+
+        recent.push(now);
+        hits.set(req.ip, recent);
+        next();
+    };
+}
+
+module.exports = { rateLimit };
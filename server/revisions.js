@@ -0,0 +1,137 @@
+const express = require('express');
+const { MOVIE_FIELDS } = require('./constants');
+const { attachCredits, saveCredits, describeCredits } = require('./people');
+const { attachClips, saveClips, describeClips } = require('./clips');
+const { attachPosterVariants, clearMirroredPoster, removePosterFiles } = require('./posters');
+const { ACTIVE_CONDITION } = require('./visibility');
+
+// A snapshot holds the editable fields, credits and clips. Poster files are not
+// versioned (they are removed when replaced), so only poster_url is.
+function takeSnapshot(db, movieId) {
+    const movie = db.prepare('SELECT * FROM movies WHERE id = ?').get(movieId);
+    if (!movie) return null;
+
+    const snapshot = {};
+    MOVIE_FIELDS.forEach(field => { snapshot[field] = movie[field]; });
+    snapshot.credits = attachCredits(db, [movie])[0].credits.map(({ name, role }) => ({ name, role }));
+    snapshot.clips = attachClips(db, [movie])[0].clips;
+    return snapshot;
+}
+
+// Record the current state of a movie; call inside the transaction that changed it
+function recordRevision(db, movieId, action, user, { revertedFrom = null } = {}) {
+    db.prepare(`
+        INSERT INTO revisions (movie_id, action, snapshot, reverted_from, user_id, username)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).run(movieId, action, JSON.stringify(takeSnapshot(db, movieId)), revertedFrom, user ? user.id : null, user ? user.username : null);
+}
+
+// Movies from before revisions existed get their current state recorded
+// before the first tracked change, so that change has something to diff against
+function ensureBaseline(db, movieId) {
+    if (db.prepare('SELECT 1 FROM revisions WHERE movie_id = ? LIMIT 1').get(movieId)) return;
+
+    const movie = db.prepare('SELECT updated_at FROM movies WHERE id = ?').get(movieId);
+    if (!movie) return;
+    db.prepare(`
+        INSERT INTO revisions (movie_id, action, snapshot, created_at)
+        VALUES (?, 'initial', ?, COALESCE(?, CURRENT_TIMESTAMP))
+    `).run(movieId, JSON.stringify(takeSnapshot(db, movieId)), movie.updated_at);
+}
+
+// Field-level changes from one snapshot to the next
+function diffSnapshots(before, after) {
+    const changes = {};
+    for (const field of MOVIE_FIELDS) {
+        const from = before && before[field] !== undefined ? before[field] : null;
+        const to = after[field] !== undefined ? after[field] : null;
+        if (from !== to) {
+            changes[field] = { from, to };
+        }
+    }
+
+    const fromCredits = before ? describeCredits(before.credits) : '';
+    const toCredits = describeCredits(after.credits);
+    if (fromCredits !== toCredits) {
+        changes.credits = { from: fromCredits || null, to: toCredits || null };
+    }
+
+    // Snapshots from before clips existed have none
+    const fromClips = before ? describeClips(before.clips) : '';
+    const toClips = describeClips(after.clips);
+    if (fromClips !== toClips) {
+        changes.clips = { from: fromClips || null, to: toClips || null };
+    }
+    return changes;
+}
+
+function createRevisions(db, { requireAuth }) {
+    const router = express.Router();
+
+    // History of a movie, newest first, each entry with what it changed
+    router.get('/movies/:id/revisions', requireAuth, (req, res) => {
+        try {
+            ensureBaseline(db, req.params.id);
+            const rows = db.prepare('SELECT * FROM revisions WHERE movie_id = ? ORDER BY id').all(req.params.id);
+            if (rows.length === 0) {
+                return res.status(404).json({ error: 'Movie not found' });
+            }
+
+            let previous = null;
+            const revisions = rows.map(row => {
+                const snapshot = JSON.parse(row.snapshot);
+                const revision = {
+                    id: row.id,
+                    action: row.action,
+                    username: row.username,
+                    reverted_from: row.reverted_from,
+                    created_at: row.created_at,
+                    changes: ['delete', 'purge'].includes(row.action) ? {} : diffSnapshots(previous, snapshot)
+                };
+                previous = snapshot;
+                return revision;
+            });
+            res.json(revisions.reverse());
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Put a movie back to the state saved in an earlier revision
+    router.post('/movies/:id/revisions/:revisionId/revert', requireAuth, (req, res) => {
+        try {
+            const movie = db.prepare(`SELECT * FROM movies WHERE id = ? AND ${ACTIVE_CONDITION}`).get(req.params.id);
+            if (!movie) {
+                return res.status(404).json({ error: 'Movie not found' });
+            }
+            const revision = db.prepare('SELECT * FROM revisions WHERE id = ? AND movie_id = ?').get(req.params.revisionId, req.params.id);
+            if (!revision) {
+                return res.status(404).json({ error: 'Revision not found' });
+            }
+
+            const snapshot = JSON.parse(revision.snapshot);
+            const stale = db.transaction(() => {
+                ensureBaseline(db, movie.id);
+                const stalePoster = clearMirroredPoster(db, movie, snapshot.poster_url);
+                db.prepare(`
+                    UPDATE movies SET ${MOVIE_FIELDS.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `).run(...MOVIE_FIELDS.map(field => snapshot[field] !== undefined ? snapshot[field] : null), movie.id);
+                saveCredits(db, movie.id, snapshot.credits);
+                saveClips(db, movie.id, snapshot.clips || []);
+                recordRevision(db, movie.id, 'revert', req.user, { revertedFrom: revision.id });
+                return stalePoster;
+            })();
+            if (stale) removePosterFiles(stale);
+
+            const reverted = db.prepare('SELECT * FROM movies WHERE id = ?').get(movie.id);
+            res.json(attachPosterVariants(attachClips(db, attachCredits(db, [reverted])))[0]);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return { router };
+}
+
+module.exports = { createRevisions, recordRevision, ensureBaseline, diffSnapshots };
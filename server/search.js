@@ -0,0 +1,74 @@
+const { PROJECT_TYPES } = require('./constants');
+
+const MAX_LIMIT = 100;
+
+// Turn free text into an FTS5 query: every word must match as a prefix
+function toMatchQuery(text) {
+    const words = String(text).match(/[\p{L}\p{N}]+/gu) || [];
+    return words.map(word => `"${word}"*`).join(' ');
+}
+
+function parseInteger(value, name, { min = 0 } = {}) {
+    if (value === undefined || value === '') return { value: null };
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+        return { error: `${name} must be an integer of at least ${min}` };
+    }
+    return { value: number };
+}
+
+// Build the WHERE clause and paging for GET /api/movies from its query string
+function buildMovieFilter(query) {
+    const conditions = [];
+    const params = [];
+
+    if (query.q) {
+        const match = toMatchQuery(query.q);
+        if (match) {
+            conditions.push('id IN (SELECT rowid FROM movies_fts WHERE movies_fts MATCH ?)');
+            params.push(match);
+        }
+    }
+
+    const yearFrom = parseInteger(query.year_from, 'year_from');
+    const yearTo = parseInteger(query.year_to, 'year_to');
+    const limit = parseInteger(query.limit, 'limit', { min: 1 });
+    const offset = parseInteger(query.offset, 'offset');
+    const invalid = [yearFrom, yearTo, limit, offset].find(result => result.error);
+    if (invalid) {
+        return { error: invalid.error };
+    }
+
+    if (yearFrom.value !== null) {
+        conditions.push('year >= ?');
+        params.push(yearFrom.value);
+    }
+    if (yearTo.value !== null) {
+        conditions.push('year <= ?');
+        params.push(yearTo.value);
+    }
+
+    if (query.type) {
+        const types = String(query.type).split(',');
+        const unknown = types.find(type => !PROJECT_TYPES.includes(type));
+        if (unknown) {
+            return { error: `Unknown project type: ${unknown}` };
+        }
+        conditions.push(`project_type IN (${types.map(() => '?').join(', ')})`);
+        params.push(...types);
+    }
+
+    if (query.company) {
+        conditions.push('production_company LIKE ?');
+        params.push(`%${query.company}%`);
+    }
+
+    return {
+        conditions,
+        params,
+        limit: limit.value === null ? null : Math.min(limit.value, MAX_LIMIT),
+        offset: offset.value || 0
+    };
+}
+
+module.exports = { buildMovieFilter, toMatchQuery };
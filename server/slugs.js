@@ -0,0 +1,45 @@
+// URL-safe name for a title: "Tuntematon Sotilas" becomes "tuntematon-sotilas"
+function slugify(text) {
+    return String(text)
+        .normalize('NFKD')
+        // Drop the accents NFKD split off: ä becomes a
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .slice(0, 80)
+        .replace(/^-+|-+$/g, '');
+}
+
+// A slug no other movie has: the title, then title-year, then title-year-2 and so on.
+// Trashed movies keep theirs so they can be restored under the same link.
+function uniqueSlug(db, movie) {
+    const base = slugify(movie.title) || 'project';
+    const taken = slug => db.prepare('SELECT 1 FROM movies WHERE slug = ? AND id != ?').get(slug, movie.id);
+
+    const stem = movie.year ? `${base}-${movie.year}` : base;
+    for (const candidate of [base, stem]) {
+        if (!taken(candidate)) return candidate;
+    }
+    for (let number = 2; ; number++) {
+        if (!taken(`${stem}-${number}`)) return `${stem}-${number}`;
+    }
+}
+
+// Slugs are set once, so shared links keep working when a title is edited
+function assignSlug(db, movieId) {
+    const movie = db.prepare('SELECT id, title, year, slug FROM movies WHERE id = ?').get(movieId);
+    if (!movie || movie.slug) return movie ? movie.slug : null;
+
+    const slug = uniqueSlug(db, movie);
+    db.prepare('UPDATE movies SET slug = ? WHERE id = ?').run(slug, movie.id);
+    return slug;
+}
+
+// Give slugs to movies created before slugs existed
+function assignMissingSlugs(db) {
+    const ids = db.prepare('SELECT id FROM movies WHERE slug IS NULL ORDER BY id').all().map(row => row.id);
+    db.transaction(() => ids.forEach(id => assignSlug(db, id)))();
+    return ids.length;
+}
+
+module.exports = { slugify, assignSlug, assignMissingSlugs };
@@ -0,0 +1,182 @@
+const express = require('express');
+const { ACTIVE_CONDITION, VISIBLE_CONDITION } = require('./visibility');
+const { parseLanguage, localizeMovies } = require('./translations');
+const { SCHEMAS, validate, hasErrors, sendErrors } = require('./validation');
+
+const SEED_TEAM = [
+    { name: 'Paco Bouazza', role: 'D.I.T. / CEO', photo: 'VisualAssets/BO&BO_PHOTO/IMG_0311.JPG' },
+    { name: 'Elina Eränen', role: '1st AC / Partner' },
+    { name: 'Antris Bonsdorff', role: 'Producer / Co-Founder' },
+    { name: 'Olli Leppänen', role: 'VFX Supervisor & Compositor / Partner' },
+    { name: 'Tomi Tavi', role: 'D.I.T.' }
+];
+
+// Projects a team member is credited on, through their linked person or,
+// when none is linked yet, the person with the same name
+function getProjects(db, member, { includeHidden = false } = {}) {
+    const person = member.person_id
+        ? { id: member.person_id }
+        : db.prepare('SELECT id FROM people WHERE name = ?').get(member.name);
+    if (!person) return [];
+
+    return db.prepare(`
+        SELECT movies.id, movies.title, movies.title_fi, movies.year, movies.project_type, credits.role
+        FROM credits JOIN movies ON movies.id = credits.movie_id
+        WHERE credits.person_id = ? AND ${includeHidden ? ACTIVE_CONDITION : VISIBLE_CONDITION}
+        ORDER BY movies.year DESC, movies.title
+    `).all(person.id);
+}
+
+function listTeam(db) {
+    return db.prepare('SELECT * FROM team_members ORDER BY sort_position IS NULL, sort_position, id').all();
+}
+
+// Team members with their public filmography, for the static site
+function getPublicTeam(db) {
+    return listTeam(db).map(member => Object.assign(member, { projects: getProjects(db, member) }));
+}
+
+function createTeam(db, { requireAuth, optionalAuth, requireRole }) {
+    // Link a member to the person with the same name unless given a
+    // personId, or null for none
+    function resolvePersonId(name, personId) {
+        if (personId !== undefined) {
+            return personId;
+        }
+        const person = db.prepare('SELECT id FROM people WHERE name = ?').get(String(name).trim());
+        return person ? person.id : null;
+    }
+
+    // A member body, with person_id checked against the people table
+    function validateMember(body) {
+        const { values, errors } = validate(SCHEMAS.teamMember, body);
+        if (values.person_id && !db.prepare('SELECT id FROM people WHERE id = ?').get(values.person_id)) {
+            errors.person_id = 'Person not found';
+        }
+        return { values, errors };
+    }
+
+    const memberCount = db.prepare('SELECT COUNT(*) as count FROM team_members').get();
+    if (memberCount.count === 0) {
+        const insertStmt = db.prepare(`
+            INSERT INTO team_members (name, role, photo, person_id, sort_position)
+            VALUES (?, ?, ?, ?, ?)
+        `);
+        SEED_TEAM.forEach((member, index) => {
+            insertStmt.run(member.name, member.role, member.photo || null, resolvePersonId(member.name), index);
+        });
+        console.log('Database seeded with team members');
+    }
+
+    const router = express.Router();
+
+    // Get all team members
+    router.get('/team', (req, res) => {
+        try {
+            res.json(listTeam(db));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Get single team member
+    router.get('/team/:id', (req, res) => {
+        try {
+            const member = db.prepare('SELECT * FROM team_members WHERE id = ?').get(req.params.id);
+            if (!member) {
+                return res.status(404).json({ error: 'Team member not found' });
+            }
+            res.json(member);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Projects the team member is credited on; drafts only for signed-in users
+    router.get('/team/:id/projects', optionalAuth, (req, res) => {
+        try {
+            const { language, error: languageError } = parseLanguage(req.query.lang);
+            if (languageError) {
+                return res.status(400).json({ error: languageError });
+            }
+            const member = db.prepare('SELECT * FROM team_members WHERE id = ?').get(req.params.id);
+            if (!member) {
+                return res.status(404).json({ error: 'Team member not found' });
+            }
+            res.json(localizeMovies(getProjects(db, member, { includeHidden: !!req.user }), language));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Create team member
+    router.post('/team', requireAuth, (req, res) => {
+        try {
+            const { values, errors } = validateMember(req.body);
+            if (hasErrors(errors)) {
+                return sendErrors(res, errors);
+            }
+            const { name, role, photo, bio } = values;
+            const personId = req.body.person_id !== undefined ? values.person_id : undefined;
+
+            const result = db.prepare(`
+                INSERT INTO team_members (name, role, photo, bio, person_id, sort_position)
+                VALUES (?, ?, ?, ?, ?, (SELECT COALESCE(MAX(sort_position), -1) + 1 FROM team_members))
+            `).run(name, role, photo, bio, resolvePersonId(name, personId));
+
+            res.status(201).json(db.prepare('SELECT * FROM team_members WHERE id = ?').get(result.lastInsertRowid));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Update team member
+    router.put('/team/:id', requireAuth, (req, res) => {
+        try {
+            const existing = db.prepare('SELECT * FROM team_members WHERE id = ?').get(req.params.id);
+            if (!existing) {
+                return res.status(404).json({ error: 'Team member not found' });
+            }
+
+            const { values, errors } = validateMember(req.body);
+            if (hasErrors(errors)) {
+                return sendErrors(res, errors);
+            }
+            const { name, role, photo, bio } = values;
+            // Without sort_position the member keeps their place; without
+            // person_id they are linked by name as on create
+            const personId = req.body.person_id !== undefined ? values.person_id : undefined;
+            const sortPosition = req.body.sort_position !== undefined ? values.sort_position : existing.sort_position;
+
+            db.prepare(`
+                UPDATE team_members
+                SET name = ?, role = ?, photo = ?, bio = ?, person_id = ?, sort_position = ?,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(
+                name, role, photo, bio, resolvePersonId(name, personId), sortPosition, req.params.id
+            );
+
+            res.json(db.prepare('SELECT * FROM team_members WHERE id = ?').get(req.params.id));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Delete team member
+    router.delete('/team/:id', requireAuth, requireRole('admin'), (req, res) => {
+        try {
+            const result = db.prepare('DELETE FROM team_members WHERE id = ?').run(req.params.id);
+            if (result.changes === 0) {
+                return res.status(404).json({ error: 'Team member not found' });
+            }
+            res.json({ message: 'Team member deleted successfully' });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return { router };
+}
+
+module.exports = { createTeam, getPublicTeam };
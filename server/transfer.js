@@ -0,0 +1,438 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { attachCredits, saveCredits, parseCredits, creditsFromText, describeCredits } = require('./people');
+const { attachClips, saveClips, parseClips, describeClips } = require('./clips');
+const { MOVIE_FIELDS } = require('./constants');
+const { validateMovie, hasErrors } = require('./validation');
+const { ACTIVE_CONDITION, MOVIE_ORDER } = require('./visibility');
+const { removePosterFiles, clearMirroredPoster } = require('./posters');
+const { recordRevision, ensureBaseline } = require('./revisions');
+const { assignSlug } = require('./slugs');
+
+const FORMATS = ['json', 'csv'];
+
+// CSV has no nested values, so credits travel as the dop / bobo_crew summary
+// text and clips only travel in JSON
+const CSV_COLUMNS = [...MOVIE_FIELDS, 'dop', 'bobo_crew'];
+
+// Spreadsheet apps run cells starting with =, +, -, @, tab or CR as formulas.
+// Those are exported behind a ' (so they open as text) and read back without
+// it; values that already start with ' before one of them get another.
+const FORMULA_CELL = /^'*[=+\-@\t\r]/;
+
+function toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (FORMULA_CELL.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+    const lines = [columns, ...rows.map(row => columns.map(column => row[column]))];
+    return lines.map(line => line.map(toCsvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+// Split RFC 4180 CSV into rows of cells, skipping blank lines
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) {
+        throw new Error('CSV ends inside a quoted value');
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// Read an uploaded file into plain row objects
+function readRows(text, format) {
+    text = text.replace(/^\uFEFF/, '');
+
+    if (format === 'json') {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { error: `File is not valid JSON: ${error.message}` };
+        }
+        const rows = Array.isArray(data) ? data : data && data.movies;
+        if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+            return { error: 'JSON must be an array of movie objects' };
+        }
+        return { rows };
+    }
+
+    let lines;
+    try {
+        lines = parseCsv(text);
+    } catch (error) {
+        return { error: error.message };
+    }
+    if (lines.length === 0) {
+        return { error: 'CSV file is empty' };
+    }
+
+    const header = lines[0].map(name => name.trim().toLowerCase());
+    const unknown = header.find(name => !CSV_COLUMNS.includes(name));
+    if (unknown) {
+        return { error: `Unknown CSV column: ${unknown}` };
+    }
+    if (!header.includes('title')) {
+        return { error: 'CSV needs a title column' };
+    }
+
+    const rows = lines.slice(1).map(cells => {
+        const row = {};
+        header.forEach((name, index) => {
+            const cell = cells[index] || '';
+            const value = (FORMULA_CELL.test(cell) && cell.startsWith("'") ? cell.slice(1) : cell).trim();
+            row[name] = value === '' ? null : value;
+        });
+        return row;
+    });
+    return { rows };
+}
+
+function toInteger(value, field) {
+    if (value === null || value === undefined || value === '') return { value: null };
+    const number = Number(value);
+    if (!Number.isInteger(number)) {
+        return { error: `${field} must be a whole number` };
+    }
+    return { value: number };
+}
+
+// Resolve a row into column values, on top of the movie it updates (if any)
+function resolveRow(db, row, existing) {
+    const merged = Object.assign({}, existing);
+    for (const field of MOVIE_FIELDS) {
+        if (row[field] !== undefined) {
+            merged[field] = row[field] === '' ? null : row[field];
+        }
+    }
+
+    const { values: movie, errors } = validateMovie(merged);
+    if (hasErrors(errors)) {
+        return { error: Object.values(errors).join('; ') };
+    }
+
+    // Credits only change when the row carries them
+    let credits = null;
+    if (row.credits !== undefined && row.credits !== null) {
+        const parsed = parseCredits(db, row.credits);
+        if (parsed.error) return { error: parsed.error };
+        credits = parsed.credits;
+    } else if (row.dop !== undefined || row.bobo_crew !== undefined) {
+        credits = creditsFromText(
+            row.dop !== undefined ? row.dop : existing && existing.dop,
+            row.bobo_crew !== undefined ? row.bobo_crew : existing && existing.bobo_crew
+        );
+    }
+    // Clips likewise only change when the row carries them
+    let clips = null;
+    if (row.clips !== undefined && row.clips !== null) {
+        const parsed = parseClips(row.clips);
+        if (parsed.error) return { error: parsed.error };
+        clips = parsed.clips;
+    }
+    return { movie, credits, clips };
+}
+
+// IMDb links match on the title id so trailing slashes and query strings don't matter
+function imdbKey(url) {
+    if (!url) return null;
+    const id = String(url).match(/tt\d+/);
+    return id ? id[0] : String(url).trim().toLowerCase().replace(/\/+$/, '');
+}
+
+function titleKey(title, year) {
+    if (!title) return null;
+    return `${String(title).trim().toLowerCase()}|${year === null || year === undefined ? '' : year}`;
+}
+
+function describe(movie) {
+    return movie.year ? `"${movie.title}" (${movie.year})` : `"${movie.title}"`;
+}
+
+// Work out what an import would do without touching the database:
+// rows become creates, updates, unchanged, conflicts or errors
+function planImport(db, rows) {
+    const existing = attachClips(db, attachCredits(db, db.prepare(`SELECT * FROM movies WHERE ${ACTIVE_CONDITION} ORDER BY ${MOVIE_ORDER}`).all()));
+    const byImdb = new Map();
+    const byTitle = new Map();
+    for (const movie of existing) {
+        if (movie.imdb_url) byImdb.set(imdbKey(movie.imdb_url), movie);
+        const key = titleKey(movie.title, movie.year);
+        byTitle.set(key, [...(byTitle.get(key) || []), movie]);
+    }
+
+    const plan = { creates: [], updates: [], unchanged: [], conflicts: [], errors: [] };
+    const claimed = new Map();
+
+    rows.forEach((row, index) => {
+        const rowNumber = index + 1;
+        const year = toInteger(row.year, 'year');
+        const label = { row: rowNumber, title: row.title || null, year: year.value };
+
+        const imdbMatch = row.imdb_url ? byImdb.get(imdbKey(row.imdb_url)) : undefined;
+        const titleMatches = byTitle.get(titleKey(row.title, year.value)) || [];
+
+        let target = null;
+        let conflict = null;
+        if (imdbMatch && titleMatches.length > 0 && !titleMatches.includes(imdbMatch)) {
+            conflict = `IMDb URL matches ${describe(imdbMatch)} but title and year match ${describe(titleMatches[0])}`;
+        } else if (imdbMatch) {
+            target = imdbMatch;
+        } else if (titleMatches.length > 1) {
+            conflict = `Title and year match ${titleMatches.length} existing projects`;
+        } else if (titleMatches.length === 1) {
+            target = titleMatches[0];
+            if (row.imdb_url && target.imdb_url) {
+                conflict = `Title and year match ${describe(target)}, which has a different IMDb URL`;
+            }
+        }
+
+        // Two rows must not write the same movie, nor create the same new one
+        const claimKeys = target
+            ? [`id:${target.id}`]
+            : [imdbKey(row.imdb_url), titleKey(row.title, year.value)].filter(Boolean);
+        const claimedBy = claimKeys.map(key => claimed.get(key)).find(Boolean);
+        if (!conflict && claimedBy) {
+            conflict = `Same project as row ${claimedBy}`;
+        }
+        if (conflict) {
+            plan.conflicts.push(Object.assign(label, { id: target ? target.id : null, reason: conflict }));
+            return;
+        }
+        claimKeys.forEach(key => claimed.set(key, rowNumber));
+
+        if (year.error) {
+            plan.errors.push({ row: rowNumber, error: year.error });
+            return;
+        }
+        const resolved = resolveRow(db, row, target);
+        if (resolved.error) {
+            plan.errors.push({ row: rowNumber, error: resolved.error });
+            return;
+        }
+
+        if (!target) {
+            plan.creates.push(Object.assign(label, { movie: resolved.movie, credits: resolved.credits || [], clips: resolved.clips || [] }));
+            return;
+        }
+
+        const changes = {};
+        for (const field of MOVIE_FIELDS) {
+            const from = target[field] === undefined ? null : target[field];
+            if (from !== resolved.movie[field]) {
+                changes[field] = { from, to: resolved.movie[field] };
+            }
+        }
+        if (resolved.credits) {
+            const from = describeCredits(target.credits);
+            const to = describeCredits(resolved.credits.map(credit => ({
+                name: credit.name || (target.credits.find(c => c.person_id === credit.person_id) || {}).name,
+                role: credit.role
+            })));
+            if (from !== to) {
+                changes.credits = { from, to };
+            }
+        }
+        if (resolved.clips) {
+            const from = describeClips(target.clips);
+            const to = describeClips(resolved.clips);
+            if (from !== to) {
+                changes.clips = { from, to };
+            }
+        }
+
+        const entry = Object.assign(label, { id: target.id, title: target.title, year: target.year });
+        if (Object.keys(changes).length === 0) {
+            plan.unchanged.push(entry);
+        } else {
+            plan.updates.push(Object.assign(entry, { changes, movie: resolved.movie, credits: resolved.credits, clips: resolved.clips }));
+        }
+    });
+
+    return plan;
+}
+
+// Write the creates and updates of a plan in one transaction; conflicts are skipped
+function applyImport(db, plan, user) {
+    const insert = db.prepare(`
+        INSERT INTO movies (${MOVIE_FIELDS.join(', ')}, sort_position)
+        VALUES (${MOVIE_FIELDS.map(() => '?').join(', ')}, (SELECT COALESCE(MAX(sort_position), -1) + 1 FROM movies))
+    `);
+
+    const findMovie = db.prepare('SELECT * FROM movies WHERE id = ?');
+    const stalePosters = [];
+
+    db.transaction(() => {
+        for (const create of plan.creates) {
+            const result = insert.run(...MOVIE_FIELDS.map(field => create.movie[field]));
+            saveCredits(db, result.lastInsertRowid, create.credits);
+            saveClips(db, result.lastInsertRowid, create.clips);
+            assignSlug(db, result.lastInsertRowid);
+            recordRevision(db, result.lastInsertRowid, 'import', user);
+        }
+
+        for (const update of plan.updates) {
+            ensureBaseline(db, update.id);
+            const stale = clearMirroredPoster(db, findMovie.get(update.id), update.movie.poster_url);
+            if (stale) stalePosters.push(stale);
+
+            const columns = Object.keys(update.changes).filter(field => field !== 'credits' && field !== 'clips');
+            if (columns.length > 0) {
+                db.prepare(`
+                    UPDATE movies SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `).run(...columns.map(column => update.movie[column]), update.id);
+            }
+            if (update.changes.credits) {
+                saveCredits(db, update.id, update.credits);
+            }
+            if (update.changes.clips) {
+                saveClips(db, update.id, update.clips);
+            }
+            recordRevision(db, update.id, 'import', user);
+        }
+    })();
+
+    stalePosters.forEach(removePosterFiles);
+
+    return {
+        created: plan.creates.length,
+        updated: plan.updates.length,
+        unchanged: plan.unchanged.length,
+        skipped: plan.conflicts.length
+    };
+}
+
+function exportMovies(db, format) {
+    const movies = attachClips(db, attachCredits(db, db.prepare(`SELECT * FROM movies WHERE ${ACTIVE_CONDITION} ORDER BY ${MOVIE_ORDER}`).all()));
+    if (format === 'csv') {
+        // Byte order mark so spreadsheet apps read the file as UTF-8
+        return '\uFEFF' + toCsv(movies, CSV_COLUMNS);
+    }
+
+    const rows = movies.map(movie => {
+        const row = {};
+        MOVIE_FIELDS.forEach(field => { row[field] = movie[field]; });
+        row.credits = movie.credits.map(credit => ({ name: credit.name, role: credit.role }));
+        row.clips = movie.clips;
+        return row;
+    });
+    return JSON.stringify(rows, null, 4) + '\n';
+}
+
+function createTransfer(db, { requireAuth }) {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: 5 * 1024 * 1024 }
+    });
+
+    // Rows from an uploaded file, or a JSON array posted directly
+    function getImportRows(req) {
+        if (!req.file) {
+            if (Array.isArray(req.body)) return { rows: req.body };
+            return { error: 'Upload a JSON or CSV file as "file"' };
+        }
+
+        const extension = path.extname(req.file.originalname).slice(1).toLowerCase();
+        const format = req.query.format || (req.body && req.body.format) || extension;
+        if (!FORMATS.includes(format)) {
+            return { error: `Format must be one of: ${FORMATS.join(', ')}` };
+        }
+        return readRows(req.file.buffer.toString('utf8'), format);
+    }
+
+    const router = express.Router();
+
+    // Download every movie, drafts included
+    router.get('/movies/export', requireAuth, (req, res) => {
+        try {
+            const format = req.query.format || 'json';
+            if (!FORMATS.includes(format)) {
+                return res.status(400).json({ error: `Format must be one of: ${FORMATS.join(', ')}` });
+            }
+
+            const date = new Date().toISOString().slice(0, 10);
+            res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+            res.attachment(`movies-${date}.${format}`);
+            res.send(exportMovies(db, format));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Show what an import would create, update and skip, without saving anything
+    router.post('/movies/import/preview', requireAuth, upload.single('file'), (req, res) => {
+        try {
+            const input = getImportRows(req);
+            if (input.error) {
+                return res.status(400).json({ error: input.error });
+            }
+            res.json(planImport(db, input.rows));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Apply an import; refused as a whole if any row is invalid
+    router.post('/movies/import', requireAuth, upload.single('file'), (req, res) => {
+        try {
+            const input = getImportRows(req);
+            if (input.error) {
+                return res.status(400).json({ error: input.error });
+            }
+
+            const plan = planImport(db, input.rows);
+            if (plan.errors.length > 0) {
+                return res.status(400).json({ error: 'Some rows are invalid; nothing was imported', errors: plan.errors });
+            }
+
+            const result = applyImport(db, plan, req.user);
+            res.json(Object.assign(result, { conflicts: plan.conflicts }));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return { router };
+}
+
+module.exports = { createTransfer, planImport, applyImport, exportMovies, parseCsv, toCsv };
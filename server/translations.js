@@ -0,0 +1,32 @@
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('./constants');
+
+// Movie columns with a version per language: title is in the default
+// language, title_fi in Finnish
+const TRANSLATED_FIELDS = ['title', 'synopsis'];
+
+// The ?lang= of a request; none means the default language
+function parseLanguage(value) {
+    if (value === undefined || value === '') {
+        return { language: DEFAULT_LANGUAGE };
+    }
+    if (!LANGUAGES.includes(value)) {
+        return { error: `lang must be one of: ${LANGUAGES.join(', ')}` };
+    }
+    return { language: value };
+}
+
+// Show movies in a language: translated fields replace the default ones,
+// which stay as they are where no translation has been written yet
+function localizeMovies(movies, language) {
+    if (language === DEFAULT_LANGUAGE) return movies;
+
+    return movies.map(movie => {
+        for (const field of TRANSLATED_FIELDS) {
+            const translated = movie[`${field}_${language}`];
+            if (translated) movie[field] = translated;
+        }
+        return movie;
+    });
+}
+
+module.exports = { parseLanguage, localizeMovies };
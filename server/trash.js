@@ -0,0 +1,137 @@
+const express = require('express');
+const { attachCredits } = require('./people');
+const { attachClips } = require('./clips');
+const { attachPosterVariants, removePosterFiles } = require('./posters');
+const { recordRevision, ensureBaseline } = require('./revisions');
+
+// Move a movie to the trash; its poster files stay until it is purged
+function trashMovie(db, movie, user) {
+    db.transaction(() => {
+        ensureBaseline(db, movie.id);
+        db.prepare('UPDATE movies SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?').run(movie.id);
+        recordRevision(db, movie.id, 'delete', user);
+    })();
+}
+
+// Delete trashed movies for good, then their poster files. The revisions
+// stay so the history of a purged movie can still be read.
+function purgeMovies(db, movies, user = null) {
+    db.transaction(() => {
+        for (const movie of movies) {
+            recordRevision(db, movie.id, 'purge', user);
+            db.prepare('DELETE FROM credits WHERE movie_id = ?').run(movie.id);
+            db.prepare('DELETE FROM clips WHERE movie_id = ?').run(movie.id);
+            db.prepare('DELETE FROM movies WHERE id = ?').run(movie.id);
+        }
+    })();
+    movies.forEach(removePosterFiles);
+    return movies.length;
+}
+
+// Trashed movies are purged retentionDays after deletion; 0 keeps them
+// until the trash is emptied
+function createTrash(db, { requireAuth, requireRole }, { retentionDays = 30 } = {}) {
+    const retention = retentionDays > 0 ? `+${retentionDays} days` : null;
+
+    function listTrash() {
+        const movies = db.prepare(`
+            SELECT movies.*, datetime(deleted_at, ?) AS purge_at,
+                (SELECT username FROM revisions
+                 WHERE revisions.movie_id = movies.id AND action = 'delete'
+                 ORDER BY revisions.id DESC LIMIT 1) AS deleted_by
+            FROM movies
+            WHERE deleted_at IS NOT NULL
+            ORDER BY deleted_at DESC, id DESC
+        `).all(retention);
+        return attachPosterVariants(attachCredits(db, movies));
+    }
+
+    function findTrashed(id) {
+        return db.prepare('SELECT * FROM movies WHERE id = ? AND deleted_at IS NOT NULL').get(id);
+    }
+
+    function purgeExpired() {
+        if (!retention) return 0;
+        const expired = db.prepare(`
+            SELECT * FROM movies
+            WHERE deleted_at IS NOT NULL AND datetime(deleted_at, ?) <= CURRENT_TIMESTAMP
+        `).all(retention);
+        return purgeMovies(db, expired);
+    }
+
+    // Purge now and then every hour; the timer does not keep the process alive
+    function start() {
+        const purgeLogged = () => {
+            try {
+                const purged = purgeExpired();
+                if (purged > 0) {
+                    console.log(`Purged ${purged} movies from the trash`);
+                }
+            } catch (error) {
+                console.error('Trash purge failed:', error.message);
+            }
+        };
+        purgeLogged();
+        setInterval(purgeLogged, 60 * 60 * 1000).unref();
+    }
+
+    const router = express.Router();
+
+    // Trashed movies, most recently deleted first, with when each will be purged
+    router.get('/trash', requireAuth, requireRole('admin'), (req, res) => {
+        try {
+            res.json(listTrash());
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Put a trashed movie back where it was
+    router.post('/trash/:id/restore', requireAuth, requireRole('admin'), (req, res) => {
+        try {
+            const movie = findTrashed(req.params.id);
+            if (!movie) {
+                return res.status(404).json({ error: 'Movie not found in trash' });
+            }
+
+            db.transaction(() => {
+                db.prepare('UPDATE movies SET deleted_at = NULL WHERE id = ?').run(movie.id);
+                recordRevision(db, movie.id, 'restore', req.user);
+            })();
+
+            const restored = db.prepare('SELECT * FROM movies WHERE id = ?').get(movie.id);
+            res.json(attachPosterVariants(attachClips(db, attachCredits(db, [restored])))[0]);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Delete one trashed movie for good
+    router.delete('/trash/:id', requireAuth, requireRole('admin'), (req, res) => {
+        try {
+            const movie = findTrashed(req.params.id);
+            if (!movie) {
+                return res.status(404).json({ error: 'Movie not found in trash' });
+            }
+            purgeMovies(db, [movie], req.user);
+            res.json({ message: 'Movie deleted permanently' });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Empty the trash
+    router.delete('/trash', requireAuth, requireRole('admin'), (req, res) => {
+        try {
+            const movies = db.prepare('SELECT * FROM movies WHERE deleted_at IS NOT NULL').all();
+            const purged = purgeMovies(db, movies, req.user);
+            res.json({ message: `Deleted ${purged} movies permanently`, purged });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return { router, purgeExpired, start };
+}
+
+module.exports = { createTrash, trashMovie };
@@ -0,0 +1,289 @@
+const { USER_ROLES, INQUIRY_STATUSES, EQUIPMENT_CATEGORIES, CAMERA_SECTIONS } = require('./constants');
+const { parseProjectType, parseStatus, parseFlag } = require('./fields');
+const { driveSpeeds, raidConfigs, connectionSpeeds, frameRates } = require('../calculator-engine');
+
+// The first films date from 1888; leave room for announced projects
+const MIN_YEAR = 1888;
+const YEARS_AHEAD = 10;
+
+// Trailers and clips must be something the trailer modal can play
+const VIDEO_HOSTS = ['youtube.com', 'youtu.be', 'vimeo.com'];
+const VIDEO_FILE = /\.(mp4|m4v|webm|mov|ogv)$/i;
+
+function isEmpty(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// Strings are trimmed unless the rule says trim: false. Arrays, objects and
+// numbers are refused rather than turned into text like "a,b".
+function checkString(value, rule) {
+    if (typeof value !== 'string') {
+        return { error: `${rule.label} must be text` };
+    }
+    const text = rule.trim === false ? String(value) : String(value).trim();
+    if (rule.min && text.length < rule.min) {
+        return { error: `${rule.label} must be at least ${rule.min} characters` };
+    }
+    if (rule.max && text.length > rule.max) {
+        return { error: `${rule.label} must be at most ${rule.max} characters` };
+    }
+    return { value: text };
+}
+
+function checkInteger(value, rule) {
+    const number = Number(String(value).trim());
+    const max = typeof rule.max === 'function' ? rule.max() : rule.max;
+    if (!Number.isInteger(number) || number < rule.min || number > max) {
+        return { error: `${rule.label} must be a whole number from ${rule.min} to ${max}` };
+    }
+    return { value: number };
+}
+
+// Numbers that may have a fraction, like 4.5 hours
+function checkNumber(value, rule) {
+    const number = Number(String(value).trim());
+    if (!Number.isFinite(number) || number < rule.min || number > rule.max) {
+        return { error: `${rule.label} must be a number from ${rule.min} to ${rule.max}` };
+    }
+    return { value: number };
+}
+
+// The host itself or one of its subdomains, never a lookalike like evilimdb.com
+function isHostOf(hostname, allowed) {
+    const host = hostname.toLowerCase();
+    return host === allowed || host.endsWith(`.${allowed}`);
+}
+
+// http(s) links, optionally limited to some hosts (and their subdomains) and paths
+function checkUrl(value, rule) {
+    if (typeof value !== 'string') {
+        return { error: `${rule.label} must be text` };
+    }
+    const text = value.trim();
+    if (text.length > rule.max) {
+        return { error: `${rule.label} must be at most ${rule.max} characters` };
+    }
+
+    let url;
+    try {
+        url = new URL(text);
+    } catch (error) {
+        return { error: `${rule.label} is not a valid URL` };
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        return { error: `${rule.label} must start with http:// or https://` };
+    }
+    if (rule.hosts && !rule.hosts.some(allowed => isHostOf(url.hostname, allowed))) {
+        return { error: rule.message };
+    }
+    if (rule.path && !rule.path.test(url.pathname)) {
+        return { error: rule.message };
+    }
+    return { value: text };
+}
+
+// A YouTube or Vimeo link, or a direct link to a video file
+function checkVideo(value, rule) {
+    const result = checkUrl(value, rule);
+    if (result.error) return result;
+
+    const url = new URL(result.value);
+    if (!VIDEO_HOSTS.some(allowed => isHostOf(url.hostname, allowed)) && !VIDEO_FILE.test(url.pathname)) {
+        return { error: `${rule.label} must be a YouTube or Vimeo link, or a link to a video file (.mp4, .webm, .mov)` };
+    }
+    return result;
+}
+
+// Enough to catch typos; whether the address works only shows when we reply
+function checkEmail(value, rule) {
+    const result = checkString(value, rule);
+    if (result.error) return result;
+    if (!/^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(result.value)) {
+        return { error: `${rule.label} is not a valid email address` };
+    }
+    return result;
+}
+
+// A calendar date as YYYY-MM-DD, the format of <input type="date">
+function checkDate(value, rule) {
+    const text = String(value).trim();
+    const date = new Date(`${text}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text) {
+        return { error: `${rule.label} must be a date like 2025-06-30` };
+    }
+    return { value: text };
+}
+
+function checkOneOf(value, rule) {
+    if (!rule.values.includes(value)) {
+        return { error: `${rule.label} must be one of: ${rule.values.join(', ')}` };
+    }
+    return { value };
+}
+
+const CHECKS = {
+    string: checkString,
+    integer: checkInteger,
+    number: checkNumber,
+    url: checkUrl,
+    video: checkVideo,
+    email: checkEmail,
+    date: checkDate,
+    oneOf: checkOneOf
+};
+
+const SCHEMAS = {
+    movie: {
+        title: { type: 'string', label: 'Title', required: true, max: 200 },
+        year: { type: 'integer', label: 'Year', min: MIN_YEAR, max: () => new Date().getFullYear() + YEARS_AHEAD },
+        seasons: { type: 'integer', label: 'Seasons', min: 1, max: 100 },
+        episode_count: { type: 'integer', label: 'Episodes', min: 1, max: 10000 },
+        production_company: { type: 'string', label: 'Production company', max: 200 },
+        synopsis: { type: 'string', label: 'Synopsis', max: 5000 },
+        title_fi: { type: 'string', label: 'Finnish title', max: 200 },
+        synopsis_fi: { type: 'string', label: 'Finnish synopsis', max: 5000 },
+        imdb_url: {
+            type: 'url', label: 'IMDb URL', max: 500, hosts: ['imdb.com'], path: /^\/title\/tt\d+/,
+            message: 'IMDb URL must link to a title, like https://www.imdb.com/title/tt1234567/'
+        },
+        tmdb_url: {
+            type: 'url', label: 'TMDB URL', max: 500, hosts: ['themoviedb.org'], path: /^\/(movie|tv)\/\d+/,
+            message: 'TMDB URL must link to a movie or TV show, like https://www.themoviedb.org/movie/12345'
+        },
+        trailer_url: { type: 'video', label: 'Trailer URL', max: 500 },
+        poster_url: { type: 'url', label: 'Poster URL', max: 2000 }
+    },
+    clip: {
+        label: { type: 'string', label: 'Clip name', required: true, max: 100 },
+        url: { type: 'video', label: 'Clip URL', required: true, max: 500 }
+    },
+    person: {
+        name: { type: 'string', label: 'Name', required: true, max: 200 }
+    },
+    teamMember: {
+        name: { type: 'string', label: 'Name', required: true, max: 100 },
+        role: { type: 'string', label: 'Role', max: 100 },
+        photo: { type: 'string', label: 'Photo', max: 500 },
+        bio: { type: 'string', label: 'Bio', max: 2000 },
+        person_id: { type: 'integer', label: 'Person', min: 1, max: Number.MAX_SAFE_INTEGER },
+        sort_position: { type: 'integer', label: 'Sort position', min: 0, max: 10000 }
+    },
+    inquiry: {
+        production: { type: 'string', label: 'Production', required: true, max: 200 },
+        name: { type: 'string', label: 'Name', required: true, max: 100 },
+        email: { type: 'email', label: 'Email', required: true, max: 200 },
+        phone: { type: 'string', label: 'Phone', max: 50 },
+        shoot_start: { type: 'date', label: 'Shoot start' },
+        shoot_end: { type: 'date', label: 'Shoot end' },
+        location: { type: 'string', label: 'Location', max: 200 },
+        cameras: { type: 'string', label: 'Cameras', max: 500 },
+        data_volume: { type: 'string', label: 'Expected data volume', max: 100 },
+        message: { type: 'string', label: 'Message', max: 5000 }
+    },
+    equipment: {
+        name: { type: 'string', label: 'Name', required: true, max: 100 },
+        category: { type: 'oneOf', label: 'Category', required: true, values: EQUIPMENT_CATEGORIES },
+        quantity: { type: 'integer', label: 'Quantity', required: true, min: 1, max: 100 },
+        serial_numbers: { type: 'string', label: 'Serial numbers', max: 2000 },
+        notes: { type: 'string', label: 'Notes', max: 2000 }
+    },
+    booking: {
+        equipment_id: { type: 'integer', label: 'Equipment', required: true, min: 1, max: Number.MAX_SAFE_INTEGER },
+        quantity: { type: 'integer', label: 'Quantity', min: 1, max: 100 },
+        start_date: { type: 'date', label: 'Start date', required: true },
+        end_date: { type: 'date', label: 'End date', required: true },
+        production: { type: 'string', label: 'Production', max: 200 },
+        notes: { type: 'string', label: 'Notes', max: 2000 },
+        inquiry_id: { type: 'integer', label: 'Inquiry', min: 1, max: Number.MAX_SAFE_INTEGER }
+    },
+    // The drive setup of a calculator estimate; estimateStorage() checks the
+    // combination (a RAID level needs enough bays)
+    estimate: {
+        production: { type: 'string', label: 'Production', required: true, max: 200 },
+        bays: { type: 'integer', label: 'Bays', required: true, min: 1, max: 12 },
+        driveType: { type: 'integer', label: 'Drive type', required: true, min: 0, max: driveSpeeds.length - 1 },
+        raid: { type: 'integer', label: 'RAID', required: true, min: 0, max: raidConfigs.length - 1 },
+        connection: { type: 'oneOf', label: 'Connection', required: true, values: Object.keys(connectionSpeeds) }
+    },
+    // Cameras not fully picked yet are kept as they are and record nothing
+    estimateCamera: {
+        section: { type: 'oneOf', label: 'Section', required: true, values: CAMERA_SECTIONS },
+        brand: { type: 'string', label: 'Brand', max: 100 },
+        model: { type: 'string', label: 'Model', max: 100 },
+        codec: { type: 'string', label: 'Codec', max: 100 },
+        resolution: { type: 'string', label: 'Resolution', max: 100 },
+        fps: { type: 'oneOf', label: 'Frame rate', values: frameRates },
+        days: { type: 'number', label: 'Shooting days', required: true, min: 0, max: 365 },
+        hours: { type: 'number', label: 'Hours per day', required: true, min: 0, max: 24 }
+    },
+    inquiryStatus: {
+        status: { type: 'oneOf', label: 'Status', required: true, values: INQUIRY_STATUSES }
+    },
+    user: {
+        username: { type: 'string', label: 'Username', required: true, max: 50 },
+        password: { type: 'string', label: 'Password', required: true, min: 8, max: 200, trim: false },
+        role: { type: 'oneOf', label: 'Role', values: USER_ROLES }
+    }
+};
+
+// Check a request body against a schema. Returns the cleaned values (empty
+// fields become null) and the errors keyed by field name.
+function validate(schema, body = {}) {
+    const values = {};
+    const errors = {};
+    for (const [field, rule] of Object.entries(schema)) {
+        if (isEmpty(body[field])) {
+            if (rule.required) {
+                errors[field] = `${rule.label} is required`;
+            } else {
+                values[field] = null;
+            }
+            continue;
+        }
+        if (typeof body[field] === 'object') {
+            errors[field] = `${rule.label} must be a single value, not a list or object`;
+            continue;
+        }
+
+        const result = CHECKS[rule.type](body[field], rule);
+        if (result.error) {
+            errors[field] = result.error;
+        } else {
+            values[field] = result.value;
+        }
+    }
+    return { values, errors };
+}
+
+// A movie body with its project type, publishing status and featured flag resolved
+function validateMovie(body) {
+    const { values, errors } = validate(SCHEMAS.movie, body);
+
+    const type = parseProjectType(Object.assign({}, body, values));
+    if (type.error) {
+        errors.project_type = type.error;
+    } else {
+        Object.assign(values, type);
+    }
+
+    const publishing = parseStatus(body);
+    if (publishing.error) {
+        errors[publishing.field] = publishing.error;
+    } else {
+        Object.assign(values, publishing);
+    }
+
+    values.featured = parseFlag(body.featured);
+    return { values, errors };
+}
+
+function hasErrors(errors) {
+    return Object.keys(errors).length > 0;
+}
+
+// 400 with every problem keyed by field; error sums them up for simple clients
+function sendErrors(res, errors) {
+    return res.status(400).json({ error: Object.values(errors).join('; '), errors });
+}
+
+module.exports = { SCHEMAS, validate, validateMovie, hasErrors, sendErrors, isHostOf };
@@ -0,0 +1,23 @@
+// Which movies the public may see, and in what order
+
+// publish_at is stored as an ISO 8601 UTC string, so it compares as text
+const NOW_ISO = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+// SQL condition for rows that are not in the trash
+const ACTIVE_CONDITION = 'deleted_at IS NULL';
+
+// SQL condition for rows the public may see
+const VISIBLE_CONDITION = `(${ACTIVE_CONDITION} AND (status = 'published' OR (status = 'scheduled' AND publish_at <= ${NOW_ISO})))`;
+
+// Manual order first, then anything not yet placed by newest year
+const MOVIE_ORDER = 'sort_position IS NULL, sort_position ASC, year DESC, title ASC';
+
+// Flip scheduled rows whose publish time has passed to published
+function promoteScheduled(db) {
+    return db.prepare(`
+        UPDATE movies SET status = 'published', updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'scheduled' AND publish_at <= ${NOW_ISO}
+    `).run().changes;
+}
+
+module.exports = { NOW_ISO, ACTIVE_CONDITION, VISIBLE_CONDITION, MOVIE_ORDER, promoteScheduled };
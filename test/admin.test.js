@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+const MOVIE = {
+    id: 1,
+    title: 'Tuntematon Sotilas',
+    year: 2017,
+    project_type: 'feature_film',
+    status: 'published',
+    featured: 0,
+    poster_url: null,
+    poster_local: null,
+    poster_fetch_error: null,
+    credits: []
+};
+
+function renderCards(movies) {
+    const admin = loadScripts(['safe-html.js', 'admin.js']);
+    admin.run(`movies = ${JSON.stringify(movies)}; totalMovies = movies.length; renderMovies();`);
+    return admin.html('movies-container');
+}
+
+describe('admin movie cards', () => {
+    it('shows nothing for a movie that is not featured', () => {
+        const card = renderCards([MOVIE]);
+        assert.doesNotMatch(card, /featured-badge/);
+        assert.doesNotMatch(card, />\s*0\s*</);
+    });
+
+    it('badges a featured movie', () => {
+        const card = renderCards([{ ...MOVIE, featured: 1 }]);
+        assert.match(card, /class="movie-card featured"/);
+        assert.match(card, /<span class="status-badge featured-badge">Featured<\/span>/);
+    });
+});
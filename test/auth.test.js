@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('auth API', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(() => server.stop());
+
+    // A JSON request with the given session token, or none; resolves to { status, body }
+    async function send(method, pathname, { token, body } = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        const response = await fetch(`${server.url}${pathname}`, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    function login(username, password) {
+        return send('POST', '/api/auth/login', { body: { username, password } });
+    }
+
+    it('refuses a wrong password or an unknown user', async () => {
+        for (const [username, password] of [['admin', 'wrong'], ['nobody', 'secret'], ['admin', '']]) {
+            const response = await login(username, password);
+            assert.equal(response.status, 401);
+            assert.equal(response.body.error, 'Invalid username or password');
+            assert.equal(response.body.token, undefined);
+        }
+    });
+
+    it('opens a session that ends on logout', async () => {
+        assert.equal((await send('GET', '/api/auth/me')).status, 401);
+
+        const { status, body } = await login('admin', 'secret');
+        assert.equal(status, 200);
+        assert.deepEqual(body.user, { id: body.user.id, username: 'admin', role: 'admin' });
+        assert.ok(body.expires_at);
+
+        const me = await send('GET', '/api/auth/me', { token: body.token });
+        assert.equal(me.status, 200);
+        assert.equal(me.body.username, 'admin');
+
+        assert.equal((await send('POST', '/api/auth/logout', { token: body.token })).status, 200);
+        const after = await send('GET', '/api/auth/me', { token: body.token });
+        assert.equal(after.status, 401);
+        assert.equal(after.body.error, 'Authentication required');
+    });
+
+    it('lets editors edit but keeps deleting and users to admins', async () => {
+        const created = await server.request('POST', '/api/users', { username: 'editor', password: 'editor-pass', role: 'editor' });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.role, 'editor');
+        assert.equal(created.body.password_hash, undefined);
+
+        const { body: { token } } = await login('editor', 'editor-pass');
+        const { body: [movie] } = await server.request('GET', '/api/movies');
+
+        const edited = await send('PUT', `/api/movies/${movie.id}`, { token, body: { title: movie.title, year: movie.year } });
+        assert.equal(edited.status, 200);
+
+        for (const [method, pathname] of [['DELETE', `/api/movies/${movie.id}`], ['GET', '/api/users'], ['GET', '/api/trash']]) {
+            const response = await send(method, pathname, { token });
+            assert.equal(response.status, 403, `${method} ${pathname}`);
+            assert.equal(response.body.error, 'Insufficient permissions');
+        }
+        assert.equal((await server.request('GET', `/api/movies/${movie.id}`)).status, 200);
+    });
+
+    it('ends the sessions of a deleted user', async () => {
+        const { body: users } = await server.request('GET', '/api/users');
+        const editor = users.find(user => user.username === 'editor');
+        const { body: { token } } = await login('editor', 'editor-pass');
+
+        assert.equal((await server.request('DELETE', `/api/users/${editor.id}`)).status, 200);
+        assert.equal((await send('GET', '/api/auth/me', { token })).status, 401);
+        assert.equal((await login('editor', 'editor-pass')).status, 401);
+    });
+});
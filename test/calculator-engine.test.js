@@ -0,0 +1,182 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    cameraDatabase,
+    droneDatabase,
+    driveSpeeds,
+    enclosurePrices,
+    raidConfigs,
+    bayCounts,
+    isRaidAvailable,
+    raidUsableRatio,
+    calculateArraySpeed,
+    getCameraDataRate,
+    estimateStorage
+} = require('../calculator-engine');
+
+// Alexa 35 ARRIRAW 4K: 400 MB/s × 0.65 = 260 MB/s at 24 fps
+const ALEXA = { brand: 'ARRI', model: 'Alexa 35', codec: 'ARRIRAW', resolution: '4K', fps: 24 };
+
+// SATA SSDs over Thunderbolt unless a test says otherwise
+const SETUP = { bays: 1, driveType: 2, raid: 0, connection: 'tb3' };
+
+// [usable share, array speed with 550 MB/s SATA SSDs] per RAID level and bay
+// count; null where the level needs more drives than there are bays
+const EXPECTED = [
+    // Single drive: one drive's speed, all of the space
+    { 1: [1, 550], 2: [1, 550], 4: [1, 550], 6: [1, 550], 8: [1, 550], 12: [1, 550] },
+    // RAID 0: every drive adds speed
+    { 1: null, 2: [1, 1100], 4: [1, 2200], 6: [1, 3300], 8: [1, 4400], 12: [1, 6600] },
+    // RAID 1: half the space, one drive's write speed
+    { 1: null, 2: [0.5, 550], 4: [0.5, 550], 6: [0.5, 550], 8: [0.5, 550], 12: [0.5, 550] },
+    // RAID 5: one drive of parity
+    { 1: null, 2: null, 4: [3 / 4, 1650], 6: [5 / 6, 2750], 8: [7 / 8, 3850], 12: [11 / 12, 6050] },
+    // RAID 6: two drives of parity
+    { 1: null, 2: null, 4: [2 / 4, 1100], 6: [4 / 6, 2200], 8: [6 / 8, 3300], 12: [10 / 12, 5500] }
+];
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+}
+
+describe('RAID levels and bay counts', () => {
+    it('has an expectation for every level and bay count', () => {
+        assert.equal(EXPECTED.length, raidConfigs.length);
+        EXPECTED.forEach(byBays => assert.deepEqual(Object.keys(byBays).map(Number), bayCounts));
+    });
+
+    raidConfigs.forEach((raidConfig, raid) => {
+        bayCounts.forEach(bays => {
+            const expected = EXPECTED[raid][bays];
+            const input = { ...SETUP, cameras: [{ ...ALEXA, days: 10, hours: 4 }], bays, raid };
+
+            if (expected === null) {
+                it(`${raidConfig.name} is refused with ${bays} bays`, () => {
+                    assert.equal(isRaidAvailable(raid, bays), false);
+                    assert.throws(() => estimateStorage(input), RangeError);
+                });
+                return;
+            }
+
+            const [usable, arraySpeed] = expected;
+            it(`${raidConfig.name} with ${bays} bays`, () => {
+                assert.equal(isRaidAvailable(raid, bays), true);
+                assertClose(raidUsableRatio(raid, bays), usable);
+
+                const speed = calculateArraySpeed(input);
+                assert.equal(speed.arraySpeed, arraySpeed);
+                assert.equal(speed.effectiveSpeed, Math.min(arraySpeed, 2800));
+
+                const estimate = estimateStorage(input);
+                assertClose(estimate.rawStorageTB, 37.44);
+                assertClose(estimate.safeStorageTB, 37.44 * 1.2);
+                assertClose(estimate.totalStorageTB, (37.44 * 1.2) / usable);
+                assert.equal(estimate.connectionLimited, arraySpeed > 2800);
+                assert.equal(estimate.driveCost, Math.ceil(estimate.totalStorageTB) * 60);
+                assert.equal(estimate.enclosureCost, enclosurePrices[bays][2]);
+                assert.equal(estimate.totalCost, estimate.driveCost + estimate.enclosureCost);
+            });
+        });
+    });
+});
+
+describe('getCameraDataRate', () => {
+    it('scales the base rate by resolution and frame rate', () => {
+        assertClose(getCameraDataRate(ALEXA), 260);
+        assertClose(getCameraDataRate({ ...ALEXA, fps: 48 }), 520);
+        assertClose(getCameraDataRate({ ...ALEXA, resolution: '4.6K Open Gate' }), 400);
+    });
+
+    it('records at 24 fps when no frame rate is picked', () => {
+        assertClose(getCameraDataRate({ ...ALEXA, fps: '' }), 260);
+    });
+
+    it('records nothing until the camera is fully picked', () => {
+        assert.equal(getCameraDataRate({ ...ALEXA, resolution: '' }), 0);
+        assert.equal(getCameraDataRate({ ...ALEXA, codec: '' }), 0);
+        assert.equal(getCameraDataRate({ ...ALEXA, model: 'Alexa 99' }), 0);
+        assert.equal(getCameraDataRate({}), 0);
+    });
+
+    it('takes unlisted resolutions at the full base rate', () => {
+        assertClose(getCameraDataRate({ ...ALEXA, resolution: '5K' }), 400);
+    });
+
+    it('knows every codec of every listed camera', () => {
+        for (const database of [cameraDatabase, droneDatabase]) {
+            for (const [brand, models] of Object.entries(database)) {
+                for (const [model, camera] of Object.entries(models)) {
+                    for (const [codec, { resolutions }] of Object.entries(camera.codecs)) {
+                        resolutions.forEach(resolution => {
+                            assert.ok(getCameraDataRate({ brand, model, codec, resolution, fps: 24 }, database) > 0, `${brand} ${model} ${codec} ${resolution}`);
+                        });
+                    }
+                }
+            }
+        }
+    });
+});
+
+describe('estimateStorage', () => {
+    it('adds up every camera', () => {
+        const estimate = estimateStorage({
+            ...SETUP,
+            cameras: [
+                { ...ALEXA, days: 10, hours: 4 },
+                { ...ALEXA, days: 5, hours: 2 }
+            ]
+        });
+        // 260 MB/s for 40 + 10 hours
+        assertClose(estimate.rawStorageTB, 46.8);
+    });
+
+    it('takes drone cameras from the drone database', () => {
+        const drone = { brand: 'DJI', model: 'Mini 4 Pro', codec: 'H.265', resolution: '4K', fps: 24, days: 1, hours: 1, drone: true };
+        // 18 MB/s × 0.65 for an hour
+        assertClose(estimateStorage({ ...SETUP, cameras: [drone] }).rawStorageTB, 0.04212);
+    });
+
+    it('spreads transfers over the longest shoot', () => {
+        const estimate = estimateStorage({
+            ...SETUP,
+            cameras: [
+                { ...ALEXA, days: 10, hours: 4 },
+                { ...ALEXA, days: 2, hours: 4 }
+            ]
+        });
+        assert.equal(estimate.shootingDays, 10);
+        // 44.928 TB at 550 MB/s, and a tenth of it each day
+        assertClose(estimate.totalTransferSeconds, 44928000 / 550);
+        assertClose(estimate.dailyTransferSeconds, 4492800 / 550);
+    });
+
+    it('is held back by a slow connection', () => {
+        const estimate = estimateStorage({ ...SETUP, cameras: [], bays: 4, raid: 1, connection: 'usb3' });
+        assert.equal(estimate.arraySpeed, 2200);
+        assert.equal(estimate.effectiveSpeed, 400);
+        assert.equal(estimate.connectionLimited, true);
+    });
+
+    it('costs only the enclosure without cameras', () => {
+        const estimate = estimateStorage({ ...SETUP, cameras: [], bays: 8, driveType: 4 });
+        assert.equal(estimate.totalStorageTB, 0);
+        assert.equal(estimate.dailyTransferSeconds, 0);
+        assert.equal(estimate.driveCost, 0);
+        assert.equal(estimate.totalCost, enclosurePrices[8][4]);
+    });
+
+    it('prices drives by the whole TB for every drive type', () => {
+        driveSpeeds.forEach((drive, driveType) => {
+            const estimate = estimateStorage({ ...SETUP, driveType, cameras: [{ ...ALEXA, days: 1, hours: 1 }] });
+            // 0.936 TB recorded, 1.1232 TB with contingency
+            assert.equal(estimate.driveCost, 2 * drive.pricePerTB);
+        });
+    });
+
+    it('refuses setups the calculator does not offer', () => {
+        assert.throws(() => estimateStorage({ ...SETUP, bays: 3 }), /Bays must be one of/);
+        assert.throws(() => estimateStorage({ ...SETUP, driveType: 5 }), /Drive type/);
+        assert.throws(() => estimateStorage({ ...SETUP, raid: 5 }), /RAID must be/);
+        assert.throws(() => estimateStorage({ ...SETUP, connection: 'firewire' }), /Connection must be one of/);
+    });
+});
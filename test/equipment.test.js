@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createEquipment } = require('../server/equipment');
+const { createTestDatabase } = require('./helpers/database');
+const { listen } = require('./helpers/http');
+
+describe('equipment bookings', () => {
+    let db;
+    let server;
+    let cart;
+
+    before(async () => {
+        db = createTestDatabase();
+        const signedIn = (req, res, next) => {
+            req.user = { id: 1, username: 'admin', role: 'admin' };
+            next();
+        };
+        const equipment = createEquipment(db, { requireAuth: signedIn, optionalAuth: signedIn, requireRole: () => signedIn });
+        const app = express();
+        app.use(express.json());
+        app.use('/api', equipment.router);
+        server = await listen(app);
+
+        cart = await send('POST', '/api/equipment', { name: 'DIT cart', category: 'dit_cart', quantity: 1 }).then(response => response.json());
+    });
+
+    after(() => server.close());
+
+    function send(method, pathname, body) {
+        return fetch(`${server.url}${pathname}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
+    function book(start_date, end_date) {
+        return send('POST', '/api/bookings', { equipment_id: cart.id, start_date, end_date, production: 'Tuntematon' });
+    }
+
+    // The tests share one cart with a single unit and run in order
+    it('books a free range', async () => {
+        const response = await book('2026-11-02', '2026-11-06');
+        assert.equal(response.status, 201);
+        const booking = await response.json();
+        assert.equal(booking.equipment_name, 'DIT cart');
+        assert.equal(booking.quantity, 1);
+    });
+
+    it('refuses a booking that overlaps with the days it clashes on', async () => {
+        const response = await book('2026-11-05', '2026-11-09');
+        assert.equal(response.status, 409);
+        const body = await response.json();
+        assert.equal(body.error, 'DIT cart is already booked on 2026-11-05, 2026-11-06');
+        assert.deepEqual(body.conflicts.map(conflict => conflict.date), ['2026-11-05', '2026-11-06']);
+        assert.equal(db.prepare('SELECT COUNT(*) AS count FROM bookings').get().count, 1);
+    });
+
+    it('accepts bookings that end the day before or start the day after', async () => {
+        assert.equal((await book('2026-10-28', '2026-11-01')).status, 201);
+        assert.equal((await book('2026-11-07', '2026-11-10')).status, 201);
+        assert.equal(db.prepare('SELECT COUNT(*) AS count FROM bookings').get().count, 3);
+    });
+
+    it('refuses a range that is too long', async () => {
+        const response = await book('2027-01-01', '2028-01-02');
+        assert.equal(response.status, 400);
+        const body = await response.json();
+        assert.equal(body.errors.end_date, 'A date range can cover at most 366 days');
+    });
+
+    it('refuses to book an inquiry whose shoot is too long', async () => {
+        const inquiry = db.prepare(`
+            INSERT INTO inquiries (production, name, email, shoot_start, shoot_end)
+            VALUES ('Pitkä sarja', 'Tuottaja', 'tuottaja@example.com', '2027-01-01', '2029-12-31')
+        `).run().lastInsertRowid;
+        db.prepare('INSERT INTO inquiry_equipment (inquiry_id, equipment_id) VALUES (?, ?)').run(inquiry, cart.id);
+
+        const response = await send('POST', `/api/inquiries/${inquiry}/bookings`);
+        assert.equal(response.status, 400);
+        const body = await response.json();
+        assert.equal(body.errors.shoot_end, 'A date range can cover at most 366 days');
+        assert.equal(db.prepare('SELECT COUNT(*) AS count FROM bookings WHERE inquiry_id = ?').get(inquiry).count, 0);
+    });
+});
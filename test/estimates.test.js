@@ -0,0 +1,69 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+// Alexa 35 ARRIRAW 4K for 10 days of 8 hours, as the calculator page sends it
+const ALEXA = { section: 'acam', brand: 'ARRI', model: 'Alexa 35', codec: 'ARRIRAW', resolution: '4K', fps: 24, days: 10, hours: 8 };
+
+const ESTIMATE = { production: 'Tuntematon', bays: 4, driveType: 2, raid: 3, connection: 'tb3', cameras: [ALEXA] };
+
+describe('estimates API', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(() => server.stop());
+
+    it('saves an estimate worked out by the calculator engine', async () => {
+        const created = await server.request('POST', '/api/estimates', ESTIMATE);
+        assert.equal(created.status, 201);
+        assert.equal(created.body.production, 'Tuntematon');
+        assert.equal(created.body.input.cameras.length, 1);
+        assert.equal(created.body.input.cameras[0].drone, false);
+        assert.ok(created.body.result.totalStorageTB > 0);
+        assert.ok(created.body.result.totalCost > 0);
+
+        const fetched = await server.request('GET', `/api/estimates/${created.body.id}`);
+        assert.equal(fetched.status, 200);
+        assert.deepEqual(fetched.body, created.body);
+
+        const listed = await server.request('GET', `/api/estimates?ids=${created.body.id},unknown`);
+        assert.equal(listed.status, 200);
+        assert.deepEqual(listed.body.map(estimate => estimate.id), [created.body.id]);
+    });
+
+    it('refuses a drive setup that fails the estimate schema', async () => {
+        const response = await server.request('POST', '/api/estimates', { ...ESTIMATE, production: '', bays: 20, connection: 'firewire' });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.errors.production, 'Production is required');
+        assert.equal(response.body.errors.bays, 'Bays must be a whole number from 1 to 12');
+        assert.match(response.body.errors.connection, /^Connection must be one of: /);
+    });
+
+    it('refuses cameras that fail the camera schema', async () => {
+        const response = await server.request('POST', '/api/estimates', {
+            ...ESTIMATE,
+            cameras: [ALEXA, { ...ALEXA, section: 'ecam', days: -1 }]
+        });
+        assert.equal(response.status, 400);
+        assert.match(response.body.errors.cameras, /^Camera 2: Section must be one of: .*; Shooting days must be a number from 0 to 365$/);
+    });
+
+    it('answers 400, not 500, for setups the engine refuses', async () => {
+        const threeBays = await server.request('POST', '/api/estimates', { ...ESTIMATE, bays: 3 });
+        assert.equal(threeBays.status, 400);
+        assert.equal(threeBays.body.error, 'Bays must be one of: 1, 2, 4, 6, 8, 12');
+
+        const raidOnTwoBays = await server.request('POST', '/api/estimates', { ...ESTIMATE, bays: 2, raid: 3 });
+        assert.equal(raidOnTwoBays.status, 400);
+        assert.match(raidOnTwoBays.body.error, /needs at least 3 drives$/);
+    });
+
+    it('answers 404 for an unknown estimate', async () => {
+        const response = await server.request('GET', '/api/estimates/unknown');
+        assert.equal(response.status, 404);
+        assert.equal(response.body.error, 'Estimate not found');
+    });
+});
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+// Just enough of a DOM element for page scripts to wire up their listeners
+function createElement() {
+    return {
+        innerHTML: '',
+        textContent: '',
+        value: '',
+        style: {},
+        dataset: {},
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        addEventListener() {},
+        removeEventListener() {},
+        querySelector: () => createElement(),
+        querySelectorAll: () => [],
+        appendChild() {},
+        insertBefore() {},
+        setAttribute() {},
+        reset() {},
+        focus() {}
+    };
+}
+
+// Run browser scripts (paths from the repo root) in one context, as script
+// tags on a page would, with a stub document. Elements are kept by id so a
+// test can read what a script rendered into them.
+function loadScripts(files) {
+    const elements = new Map();
+    const element = id => {
+        if (!elements.has(id)) elements.set(id, createElement());
+        return elements.get(id);
+    };
+    const document = {
+        getElementById: element,
+        querySelector: () => createElement(),
+        querySelectorAll: () => [],
+        createElement,
+        addEventListener() {}
+    };
+    const storage = new Map();
+    const context = vm.createContext({
+        console,
+        document,
+        window: { location: new URL('http://localhost/') },
+        localStorage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        },
+        URL,
+        URLSearchParams
+    });
+    for (const file of files) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT_DIR, file), 'utf8'), context, { filename: file });
+    }
+
+    return {
+        // Evaluate code in the page, where the scripts' top-level names are in scope
+        run: code => vm.runInContext(code, context),
+        html: id => String(element(id).innerHTML)
+    };
+}
+
+module.exports = { loadScripts };
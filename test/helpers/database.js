@@ -0,0 +1,11 @@
+const Database = require('better-sqlite3');
+const { runMigrations } = require('../../server/migrate');
+
+// A fresh in-memory database with every migration applied
+function createTestDatabase() {
+    const db = new Database(':memory:');
+    runMigrations(db, { log: () => {} });
+    return db;
+}
+
+module.exports = { createTestDatabase };
@@ -0,0 +1,22 @@
+const http = require('http');
+
+// Serve handler (a plain request listener or an express app) on a free local
+// port. Resolves to { url, close }.
+function listen(handler) {
+    const server = http.createServer(handler);
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                url: `http://127.0.0.1:${port}`,
+                close: () => new Promise(done => {
+                    server.closeAllConnections();
+                    server.close(done);
+                })
+            });
+        });
+    });
+}
+
+module.exports = { listen };
@@ -0,0 +1,96 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const START_TIMEOUT_MS = 20000;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Run server.js on a free port with a database of its own in a temporary
+// directory, seeded as on a fresh install, and sign in as its admin.
+// Resolves to { url, dbPath, request(method, path, body), stop() }.
+async function startServer() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bobo-server-'));
+    const port = await freePort();
+    const url = `http://127.0.0.1:${port}`;
+    const dbPath = path.join(dir, 'movies.db');
+
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT_DIR,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            DATABASE_PATH: dbPath,
+            MAIL_OUTBOX: path.join(dir, 'outbox'),
+            POSTER_MIRROR_INTERVAL_HOURS: '0',
+            ADMIN_USERNAME: 'admin',
+            ADMIN_PASSWORD: 'secret'
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    const stop = async () => {
+        if (child.exitCode === null) {
+            const exited = new Promise(resolve => child.once('exit', resolve));
+            child.kill();
+            await exited;
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+    };
+
+    let output = '';
+    try {
+        await new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`server.js did not start:\n${output}`)), START_TIMEOUT_MS);
+            const collect = chunk => {
+                output += chunk;
+                if (output.includes('Server running at')) {
+                    clearTimeout(timer);
+                    resolve();
+                }
+            };
+            child.stdout.on('data', collect);
+            child.stderr.on('data', collect);
+            child.once('exit', code => {
+                clearTimeout(timer);
+                reject(new Error(`server.js exited with ${code}:\n${output}`));
+            });
+        });
+    } catch (error) {
+        await stop();
+        throw error;
+    }
+
+    const login = await fetch(`${url}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'admin', password: 'secret' })
+    });
+    const { token } = await login.json();
+
+    // A signed-in JSON request; resolves to { status, headers, body }
+    async function request(method, pathname, body) {
+        const response = await fetch(`${url}${pathname}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    }
+
+    return { url, dbPath, request, stop };
+}
+
+module.exports = { startServer };
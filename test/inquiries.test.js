@@ -0,0 +1,87 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createInquiries } = require('../server/inquiries');
+const { createTestDatabase } = require('./helpers/database');
+const { listen } = require('./helpers/http');
+
+const INQUIRY = {
+    production: 'Tuntematon',
+    name: 'Tuottaja',
+    email: 'tuottaja@example.com',
+    shoot_start: '2026-11-02',
+    shoot_end: '2026-11-20',
+    cameras: '2 × Alexa 35'
+};
+
+describe('POST /api/inquiries', () => {
+    let db;
+    let server;
+    const sent = [];
+
+    before(async () => {
+        db = createTestDatabase();
+        const pass = (req, res, next) => next();
+        const inquiries = createInquiries(db, { requireAuth: pass, requireRole: () => pass }, {
+            transport: { send: async message => sent.push(message) },
+            from: 'website@bobodit.com',
+            to: 'info@bobodit.com',
+            siteUrl: 'https://bobodit.com',
+            limit: { windowMs: 60 * 1000, max: 3 }
+        });
+        const app = express();
+        app.use(express.json());
+        app.use('/api', inquiries.router);
+        server = await listen(app);
+    });
+
+    after(() => server.close());
+
+    function post(body) {
+        return fetch(`${server.url}/api/inquiries`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
+    // The tests share one visitor address, so they run in order against a limit of 3
+    it('stores an inquiry and mails a notification', async () => {
+        const response = await post(INQUIRY);
+        assert.equal(response.status, 201);
+        assert.deepEqual(await response.json(), { received: true });
+
+        const stored = db.prepare('SELECT * FROM inquiries').all();
+        assert.equal(stored.length, 1);
+        assert.equal(stored[0].production, 'Tuntematon');
+        assert.equal(stored[0].status, 'new');
+
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0].subject, 'Inquiry: Tuntematon');
+        assert.equal(sent[0].replyTo, 'tuottaja@example.com');
+        assert.match(sent[0].text, /^Shoot dates: 2026-11-02 – 2026-11-20$/m);
+        assert.match(sent[0].text, /https:\/\/bobodit\.com\/admin\.html$/);
+    });
+
+    it('answers bots that fill in the honeypot without storing anything', async () => {
+        const response = await post({ ...INQUIRY, website: 'https://spam.example' });
+        assert.equal(response.status, 201);
+        assert.deepEqual(await response.json(), { received: true });
+        assert.equal(db.prepare('SELECT COUNT(*) as count FROM inquiries').get().count, 1);
+        assert.equal(sent.length, 1);
+    });
+
+    it('returns field-keyed errors', async () => {
+        const response = await post({ ...INQUIRY, email: 'not an address', shoot_end: '2026-11-01' });
+        assert.equal(response.status, 400);
+        const { errors } = await response.json();
+        assert.deepEqual(Object.keys(errors).sort(), ['email', 'shoot_end']);
+    });
+
+    it('turns a visitor away once the limit is reached', async () => {
+        const response = await post(INQUIRY);
+        assert.equal(response.status, 429);
+        assert.ok(Number(response.headers.get('retry-after')) > 0);
+        assert.equal(db.prepare('SELECT COUNT(*) as count FROM inquiries').get().count, 1);
+    });
+});
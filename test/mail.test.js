@@ -0,0 +1,169 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { createSmtpTransport, createFileTransport } = require('../server/mail');
+
+const MESSAGE = {
+    from: 'BO&BO website <website@bobodit.com>',
+    to: 'info@bobodit.com',
+    replyTo: 'Tuottaja <tuottaja@example.com>',
+    subject: 'Inquiry: Äänet',
+    text: 'First line\n.A line starting with a dot\n.\nÄäkköset'
+};
+
+// Just enough of an SMTP server to take one message. The EHLO reply lists
+// extensions; refuse maps a command to the reply that turns it down.
+async function startSmtpStub({ extensions = ['8BITMIME', 'AUTH PLAIN'], refuse = {} } = {}) {
+    const session = { commands: [], data: null };
+    const server = net.createServer(socket => {
+        socket.setEncoding('utf8');
+        let buffer = '';
+        let inData = false;
+        socket.write('220 stub.test ESMTP\r\n');
+
+        socket.on('data', chunk => {
+            buffer += chunk;
+            for (;;) {
+                if (inData) {
+                    const end = buffer.indexOf('\r\n.\r\n');
+                    if (end === -1) return;
+                    session.data = buffer.slice(0, end + 2);
+                    buffer = buffer.slice(end + 5);
+                    inData = false;
+                    socket.write('250 Queued\r\n');
+                    continue;
+                }
+
+                const end = buffer.indexOf('\r\n');
+                if (end === -1) return;
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                session.commands.push(line);
+
+                const verb = line.split(/[ :]/)[0].toUpperCase();
+                if (refuse[verb]) {
+                    socket.write(`${refuse[verb]}\r\n`);
+                } else if (verb === 'EHLO') {
+                    const lines = ['stub.test Hello', ...extensions];
+                    socket.write(lines.map((text, index) => `250${index === lines.length - 1 ? ' ' : '-'}${text}\r\n`).join(''));
+                } else if (verb === 'AUTH') {
+                    socket.write('235 Authenticated\r\n');
+                } else if (verb === 'DATA') {
+                    inData = true;
+                    socket.write('354 Go ahead\r\n');
+                } else if (verb === 'QUIT') {
+                    socket.end('221 Bye\r\n');
+                } else {
+                    socket.write('250 OK\r\n');
+                }
+            }
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        port: server.address().port,
+        session,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+function bodyOf(data) {
+    return data.slice(data.indexOf('\r\n\r\n') + 4);
+}
+
+describe('SMTP transport', () => {
+    it('sends the message through EHLO, AUTH, MAIL, RCPT and DATA', async () => {
+        const stub = await startSmtpStub();
+        try {
+            const transport = createSmtpTransport({ host: '127.0.0.1', port: stub.port, username: 'website', password: 'secret' });
+            assert.deepEqual(await transport.send(MESSAGE), { host: '127.0.0.1' });
+
+            assert.deepEqual(stub.session.commands, [
+                `EHLO ${os.hostname()}`,
+                `AUTH PLAIN ${Buffer.from('\0website\0secret').toString('base64')}`,
+                'MAIL FROM:<website@bobodit.com> BODY=8BITMIME',
+                'RCPT TO:<info@bobodit.com>',
+                'DATA',
+                'QUIT'
+            ]);
+
+            const { data } = stub.session;
+            assert.match(data, /^From: BO&BO website <website@bobodit\.com>\r\n/);
+            assert.match(data, /\r\nReply-To: Tuottaja <tuottaja@example\.com>\r\n/);
+            assert.match(data, /\r\nSubject: =\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=\r\n/);
+            assert.match(data, /\r\nContent-Transfer-Encoding: 8bit\r\n/);
+            // Dot-stuffed: every line starting with a dot has gained another
+            assert.equal(bodyOf(data), 'First line\r\n..A line starting with a dot\r\n..\r\nÄäkköset\r\n');
+        } finally {
+            await stub.close();
+        }
+    });
+
+    it('sends base64 to a server without 8BITMIME', async () => {
+        const stub = await startSmtpStub({ extensions: [] });
+        try {
+            await createSmtpTransport({ host: '127.0.0.1', port: stub.port }).send(MESSAGE);
+
+            assert.ok(stub.session.commands.includes('MAIL FROM:<website@bobodit.com>'));
+            assert.ok(!stub.session.commands.some(command => command.startsWith('AUTH')));
+            assert.match(stub.session.data, /\r\nContent-Transfer-Encoding: base64\r\n/);
+            const decoded = Buffer.from(bodyOf(stub.session.data).replace(/\r\n/g, ''), 'base64').toString();
+            assert.equal(decoded, MESSAGE.text.replace(/\n/g, '\r\n'));
+        } finally {
+            await stub.close();
+        }
+    });
+
+    it('sends lines longer than SMTP allows as base64', async () => {
+        const stub = await startSmtpStub();
+        try {
+            await createSmtpTransport({ host: '127.0.0.1', port: stub.port }).send({ ...MESSAGE, text: 'x'.repeat(2000) });
+
+            assert.ok(stub.session.commands.includes('MAIL FROM:<website@bobodit.com>'));
+            assert.ok(bodyOf(stub.session.data).split('\r\n').every(line => line.length <= 76));
+        } finally {
+            await stub.close();
+        }
+    });
+
+    it('fails when the server refuses a recipient', async () => {
+        const stub = await startSmtpStub({ refuse: { RCPT: '550 No such user' } });
+        try {
+            await assert.rejects(
+                createSmtpTransport({ host: '127.0.0.1', port: stub.port }).send(MESSAGE),
+                /SMTP RCPT refused: 550 No such user/
+            );
+            assert.equal(stub.session.data, null);
+        } finally {
+            await stub.close();
+        }
+    });
+});
+
+describe('file transport', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    it('writes each message to its own .eml file', async () => {
+        const transport = createFileTransport({ directory: path.join(directory, 'new') });
+        const first = await transport.send(MESSAGE);
+        const second = await transport.send({ ...MESSAGE, subject: 'Second\r\nBcc: someone@example.com' });
+
+        assert.notEqual(first.file, second.file);
+        assert.deepEqual(fs.readdirSync(path.join(directory, 'new')).sort(), [path.basename(first.file), path.basename(second.file)].sort());
+
+        const eml = fs.readFileSync(first.file, 'utf8');
+        assert.match(eml, /\r\nTo: info@bobodit\.com\r\n/);
+        assert.match(eml, /\r\nContent-Transfer-Encoding: 8bit\r\n/);
+        assert.equal(bodyOf(eml), 'First line\r\n.A line starting with a dot\r\n.\r\nÄäkköset\r\n');
+
+        // A line break in a header value cannot add a header
+        const injected = fs.readFileSync(second.file, 'utf8');
+        assert.match(injected, /\r\nSubject: Second Bcc: someone@example\.com\r\n/);
+        assert.doesNotMatch(injected, /\r\nBcc:/);
+    });
+});
@@ -0,0 +1,167 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createMetadata, createProvider, parseLink } = require('../server/metadata');
+const { listen } = require('./helpers/http');
+
+// What the TMDB API answers for the titles these tests look up
+const TMDB = {
+    '/3/movie/550': {
+        id: 550,
+        title: 'Fight Club',
+        release_date: '1999-10-15',
+        overview: 'An insomniac office worker...',
+        poster_path: '/poster.jpg',
+        production_companies: [{ name: 'Fox 2000 Pictures' }, { name: 'Regency' }],
+        imdb_id: 'tt0137523'
+    },
+    '/3/tv/1399': {
+        id: 1399,
+        name: 'Game of Thrones',
+        first_air_date: '2011-04-17',
+        overview: '',
+        poster_path: null,
+        production_companies: [],
+        number_of_seasons: 8,
+        number_of_episodes: 73,
+        external_ids: { imdb_id: 'tt0944947' }
+    },
+    '/3/find/tt0137523': { movie_results: [{ id: 550 }], tv_results: [] },
+    '/3/find/tt0000001': { movie_results: [], tv_results: [] }
+};
+
+describe('metadata lookup', () => {
+    const savedEnv = {};
+    const requests = [];
+    let tmdb;
+    let server;
+
+    function useEnv(values) {
+        for (const [key, value] of Object.entries(values)) {
+            savedEnv[key] = process.env[key];
+            process.env[key] = value;
+        }
+    }
+
+    before(async () => {
+        tmdb = await listen((req, res) => {
+            const url = new URL(req.url, 'http://tmdb.test');
+            requests.push(url);
+            if (url.pathname === '/3/movie/500') {
+                res.writeHead(500).end();
+                return;
+            }
+            const body = TMDB[url.pathname];
+            res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body || { status_message: 'The resource you requested could not be found.' }));
+        });
+
+        // The provider reads its settings from the environment like in production
+        useEnv({
+            TMDB_API_KEY: 'test-key',
+            TMDB_BASE_URL: `${tmdb.url}/3`,
+            TMDB_IMAGE_BASE_URL: 'https://images.test/w500'
+        });
+        const metadata = createMetadata({ requireAuth: (req, res, next) => next() }, createProvider('tmdb'));
+        const app = express();
+        app.use('/api', metadata.router);
+        server = await listen(app);
+    });
+
+    after(async () => {
+        for (const [key, value] of Object.entries(savedEnv)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+        await server.close();
+        await tmdb.close();
+    });
+
+    async function lookup(link) {
+        const response = await fetch(`${server.url}/api/metadata/lookup?url=${encodeURIComponent(link)}`);
+        return { status: response.status, body: await response.json() };
+    }
+
+    it('maps a TMDB movie to movie fields', async () => {
+        const { status, body } = await lookup('https://www.themoviedb.org/movie/550-fight-club');
+        assert.equal(status, 200);
+        assert.deepEqual(body, {
+            provider: 'tmdb',
+            fields: {
+                title: 'Fight Club',
+                year: 1999,
+                synopsis: 'An insomniac office worker...',
+                production_company: 'Fox 2000 Pictures',
+                poster_url: 'https://images.test/w500/poster.jpg',
+                tmdb_url: 'https://www.themoviedb.org/movie/550',
+                imdb_url: 'https://www.imdb.com/title/tt0137523/'
+            }
+        });
+
+        const request = requests[requests.length - 1];
+        assert.equal(request.searchParams.get('api_key'), 'test-key');
+        assert.equal(request.searchParams.get('append_to_response'), 'external_ids');
+    });
+
+    it('maps a TMDB series with its seasons and episodes', async () => {
+        const { status, body } = await lookup('https://www.themoviedb.org/tv/1399');
+        assert.equal(status, 200);
+        assert.deepEqual(body.fields, {
+            title: 'Game of Thrones',
+            year: 2011,
+            synopsis: null,
+            production_company: null,
+            poster_url: null,
+            tmdb_url: 'https://www.themoviedb.org/tv/1399',
+            imdb_url: 'https://www.imdb.com/title/tt0944947/',
+            project_type: 'tv_series',
+            seasons: 8,
+            episode_count: 73
+        });
+    });
+
+    it('finds an IMDb title through TMDB', async () => {
+        const { status, body } = await lookup('https://m.imdb.com/title/tt0137523/');
+        assert.equal(status, 200);
+        assert.equal(body.fields.title, 'Fight Club');
+        assert.equal(requests[requests.length - 2].searchParams.get('external_source'), 'imdb_id');
+    });
+
+    it('answers 404 for titles TMDB does not have', async () => {
+        assert.deepEqual(await lookup('https://www.themoviedb.org/movie/404'), {
+            status: 404,
+            body: { error: 'TMDB has no entry for this link' }
+        });
+        assert.deepEqual(await lookup('https://www.imdb.com/title/tt0000001/'), {
+            status: 404,
+            body: { error: 'TMDB has no entry for this IMDb title' }
+        });
+    });
+
+    it('answers 502 when TMDB fails', async () => {
+        assert.deepEqual(await lookup('https://www.themoviedb.org/movie/500'), {
+            status: 502,
+            body: { error: 'TMDB responded with HTTP 500' }
+        });
+    });
+
+    it('refuses links that are not TMDB or IMDb', async () => {
+        const earlier = requests.length;
+        const { status } = await lookup('https://evilimdb.com/title/tt0137523/');
+        assert.equal(status, 400);
+        assert.equal(requests.length, earlier);
+    });
+});
+
+describe('parseLink', () => {
+    it('accepts TMDB and IMDb hosts and their subdomains', () => {
+        assert.deepEqual(parseLink('https://themoviedb.org/tv/1399'), { source: 'tmdb', kind: 'tv', id: '1399' });
+        assert.deepEqual(parseLink('https://www.imdb.com/title/tt0137523/'), { source: 'imdb', id: 'tt0137523' });
+    });
+
+    it('refuses lookalike hosts', () => {
+        assert.equal(parseLink('https://evilimdb.com/title/tt0137523/'), null);
+        assert.equal(parseLink('https://notthemoviedb.org/movie/550'), null);
+        assert.equal(parseLink('https://imdb.com.evil.test/title/tt0137523/'), null);
+    });
+});
@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { runMigrations, getSchemaVersion, loadMigrations } = require('../server/migrate');
+const { startServer } = require('./helpers/server');
+
+const silent = { log: () => {} };
+
+// A migrations directory of its own holding the given { file: source } pairs
+function migrationsDir(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bobo-migrations-'));
+    for (const [file, source] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, file), source);
+    }
+    return dir;
+}
+
+function tableNames(db) {
+    return db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name").all().map(row => row.name);
+}
+
+describe('migrations', () => {
+    describe('a fresh install', () => {
+        let server;
+
+        before(async () => {
+            server = await startServer();
+        });
+
+        after(() => server.stop());
+
+        it('starts with every migration applied', async () => {
+            const db = new Database(server.dbPath, { readonly: true });
+            try {
+                const applied = db.prepare('SELECT version, name FROM schema_version ORDER BY version').all();
+                assert.deepEqual(applied, loadMigrations().map(({ version, name }) => ({ version, name })));
+            } finally {
+                db.close();
+            }
+
+            for (const pathname of ['/api/movies', '/api/people', '/api/team', '/api/equipment', '/api/inquiries', '/api/trash']) {
+                assert.equal((await server.request('GET', pathname)).status, 200, pathname);
+            }
+        });
+    });
+
+    describe('runMigrations', () => {
+        it('leaves the database untouched on a dry run', () => {
+            const db = new Database(':memory:');
+            const pending = runMigrations(db, { ...silent, dryRun: true });
+            assert.equal(pending.length, loadMigrations().length);
+            assert.deepEqual(tableNames(db), []);
+
+            assert.equal(runMigrations(db, silent).length, pending.length);
+            assert.equal(getSchemaVersion(db), pending[pending.length - 1].version);
+            assert.deepEqual(runMigrations(db, silent), []);
+        });
+
+        it('rolls back a failing migration and keeps the ones before it', () => {
+            const dir = migrationsDir({
+                '001_create_notes.js': "exports.up = db => db.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY)');",
+                '002_broken.js': "exports.up = db => { db.exec('CREATE TABLE half (id INTEGER)'); db.exec('ALTER TABLE missing ADD x TEXT'); };"
+            });
+            const db = new Database(':memory:');
+            try {
+                assert.throws(() => runMigrations(db, { ...silent, dir }), /^Error: Migration 002_broken\.js failed and was rolled back: no such table: missing$/);
+                assert.equal(getSchemaVersion(db), 1);
+                assert.deepEqual(tableNames(db), ['notes', 'schema_version']);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+
+        it('refuses a database migrated by newer code', () => {
+            const db = new Database(':memory:');
+            runMigrations(db, silent);
+            db.prepare("INSERT INTO schema_version (version, name) VALUES (999, 'from_the_future')").run();
+            assert.throws(() => runMigrations(db, silent), /does not know about: 999$/);
+        });
+    });
+});
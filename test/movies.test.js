@@ -0,0 +1,174 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('movies API', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(() => server.stop());
+
+    describe('GET /api/movies paging', () => {
+        it('sends one page in the body and the total in X-Total-Count', async () => {
+            const all = await server.request('GET', '/api/movies');
+            assert.equal(all.status, 200);
+            assert.equal(all.headers.get('X-Total-Count'), String(all.body.length));
+
+            const page = await server.request('GET', '/api/movies?limit=3&offset=2');
+            assert.equal(page.status, 200);
+            assert.deepEqual(page.body.map(movie => movie.id), all.body.slice(2, 5).map(movie => movie.id));
+            assert.equal(page.headers.get('X-Total-Count'), String(all.body.length));
+        });
+
+        it('counts only the movies that match the filters', async () => {
+            const { body: [movie] } = await server.request('GET', '/api/movies');
+            const search = `/api/movies?q=${encodeURIComponent(movie.title)}`;
+            const { body: found } = await server.request('GET', search);
+            const matches = await server.request('GET', `${search}&limit=1`);
+            assert.equal(matches.status, 200);
+            assert.equal(matches.body.length, 1);
+            assert.equal(matches.headers.get('X-Total-Count'), String(found.length));
+
+            const none = await server.request('GET', '/api/movies?q=zzzzzz-no-such-title&limit=1');
+            assert.deepEqual(none.body, []);
+            assert.equal(none.headers.get('X-Total-Count'), '0');
+        });
+    });
+
+    describe('PUT /api/movies/:id', () => {
+        const CLIPS = [
+            { label: 'Behind the scenes', url: 'https://vimeo.com/76979871' },
+            { label: 'Showreel', url: 'https://example.com/showreel.mp4' }
+        ];
+
+        it('keeps the clips when the body has none', async () => {
+            const { body: movie } = await server.request('GET', '/api/movies/1');
+
+            const withClips = await server.request('PUT', '/api/movies/1', { title: movie.title, year: movie.year, clips: CLIPS });
+            assert.equal(withClips.status, 200);
+            assert.deepEqual(withClips.body.clips, CLIPS);
+
+            const renamed = await server.request('PUT', '/api/movies/1', { title: `${movie.title} (renamed)`, year: movie.year });
+            assert.equal(renamed.status, 200);
+            assert.equal(renamed.body.title, `${movie.title} (renamed)`);
+            assert.deepEqual(renamed.body.clips, CLIPS);
+        });
+
+        it('clears the clips when the body sends an empty list', async () => {
+            const { body: movie } = await server.request('GET', '/api/movies/1');
+            const cleared = await server.request('PUT', '/api/movies/1', { title: movie.title, year: movie.year, clips: [] });
+            assert.equal(cleared.status, 200);
+            assert.deepEqual(cleared.body.clips, []);
+        });
+
+        it('refuses lists, objects and numbers for text fields', async () => {
+            const { body: movie } = await server.request('GET', '/api/movies/1');
+
+            const list = await server.request('PUT', '/api/movies/1', { title: ['a', 'b'], year: movie.year });
+            assert.equal(list.status, 400);
+            assert.ok(list.body.errors.title);
+
+            const object = await server.request('PUT', '/api/movies/1', { title: movie.title, synopsis: { text: 'x' } });
+            assert.equal(object.status, 400);
+            assert.ok(object.body.errors.synopsis);
+
+            const number = await server.request('PUT', '/api/movies/1', { title: movie.title, imdb_url: 42 });
+            assert.equal(number.status, 400);
+            assert.equal(number.body.errors.imdb_url, 'IMDb URL must be text');
+
+            const { body: unchanged } = await server.request('GET', '/api/movies/1');
+            assert.equal(unchanged.title, movie.title);
+            assert.equal(unchanged.synopsis, movie.synopsis);
+        });
+    });
+
+    describe('credits on PUT /api/movies/:id', () => {
+        it('keeps the credits when the body has no credits, dop or bobo_crew', async () => {
+            const { body: movie } = await server.request('GET', '/api/movies/2');
+            assert.ok(movie.credits.length > 0);
+
+            const updated = await server.request('PUT', '/api/movies/2', { title: movie.title, year: movie.year });
+            assert.equal(updated.status, 200);
+            assert.deepEqual(updated.body.credits, movie.credits);
+            assert.equal(updated.body.dop, movie.dop);
+            assert.equal(updated.body.bobo_crew, movie.bobo_crew);
+        });
+
+        it('credits an existing person by id', async () => {
+            const { body: people } = await server.request('GET', '/api/people');
+            const { body: movie } = await server.request('GET', '/api/movies/2');
+
+            const updated = await server.request('PUT', '/api/movies/2', {
+                title: movie.title,
+                credits: [{ person_id: people[0].id, role: 'colourist' }]
+            });
+            assert.equal(updated.status, 200);
+            assert.deepEqual(updated.body.credits, [{ person_id: people[0].id, name: people[0].name, role: 'colourist' }]);
+        });
+
+        it('refuses unknown people and malformed credits', async () => {
+            const { body: movie } = await server.request('GET', '/api/movies/2');
+            const cases = [
+                [[{ person_id: 99999, role: 'dop' }], 'Person 99999 not found'],
+                [[{ person_id: '1', role: 'dop' }], 'Credit person_id must be a positive whole number'],
+                [[{ person_id: 0, role: 'dop' }], 'Credit person_id must be a positive whole number'],
+                [[{ name: { first: 'Jane' }, role: 'dop' }], 'Each credit needs a person_id or a name'],
+                [[{ name: ['Jane'], role: 'dop' }], 'Each credit needs a person_id or a name'],
+                [['Jane'], 'Credit role must be one of: dop, dit, data_wrangler, colourist']
+            ];
+            for (const [credits, message] of cases) {
+                const response = await server.request('PUT', '/api/movies/2', { title: movie.title, credits });
+                assert.equal(response.status, 400, JSON.stringify(credits));
+                assert.equal(response.body.errors.credits, message);
+            }
+
+            const { body: people } = await server.request('GET', '/api/people');
+            assert.ok(!people.some(person => person.name === '[object Object]'));
+            assert.deepEqual((await server.request('GET', '/api/movies/2')).body.credits, movie.credits);
+        });
+    });
+
+    describe('PUT /api/movies/order', () => {
+        async function order() {
+            const { body } = await server.request('GET', '/api/movies');
+            return body.map(movie => movie.id);
+        }
+
+        it('puts the listed movies first and keeps the rest in order', async () => {
+            const initial = await order();
+            const { status, body } = await server.request('PUT', '/api/movies/order', { ids: [initial[3], initial[1]] });
+            assert.equal(status, 200);
+
+            const expected = [initial[3], initial[1], ...initial.filter(id => id !== initial[3] && id !== initial[1])];
+            assert.deepEqual(body.map(movie => movie.id), expected);
+            assert.deepEqual(await order(), expected);
+        });
+
+        it('refuses ids that are not distinct active movies', async () => {
+            const initial = await order();
+            const trashed = initial[initial.length - 1];
+            assert.equal((await server.request('DELETE', `/api/movies/${trashed}`)).status, 200);
+            const active = initial.filter(id => id !== trashed);
+
+            const cases = [
+                [{}, 'ids must be a non-empty array of movie ids'],
+                [{ ids: [] }, 'ids must be a non-empty array of movie ids'],
+                [{ ids: [active[0], 'abc'] }, 'Movie ids must be positive whole numbers'],
+                [{ ids: [active[0], 1.5] }, 'Movie ids must be positive whole numbers'],
+                [{ ids: [active[0], -2] }, 'Movie ids must be positive whole numbers'],
+                [{ ids: [active[1], active[0], active[1]] }, 'Each movie can only be listed once'],
+                [{ ids: [active[1], 9999] }, 'Unknown or trashed movie ids: 9999'],
+                [{ ids: [trashed] }, `Unknown or trashed movie ids: ${trashed}`]
+            ];
+            for (const [body, message] of cases) {
+                const response = await server.request('PUT', '/api/movies/order', body);
+                assert.equal(response.status, 400, JSON.stringify(body));
+                assert.deepEqual(response.body, { error: message, errors: { ids: message } });
+            }
+            assert.deepEqual(await order(), active);
+        });
+    });
+});
@@ -0,0 +1,92 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createPosterMirror } = require('../server/mirror');
+const { createTestDatabase } = require('./helpers/database');
+const { listen } = require('./helpers/http');
+
+// Stands in for image.tmdb.org: /poster.jpg always works, /flaky.jpg fails
+// once with a 503 and /gone.jpg always does
+describe('poster mirror', () => {
+    let image;
+    let stub;
+    let outputDir;
+    const hits = {};
+
+    before(async () => {
+        image = await sharp({ create: { width: 300, height: 450, channels: 3, background: '#223344' } }).jpeg().toBuffer();
+        outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'posters-'));
+
+        stub = await listen((req, res) => {
+            hits[req.url] = (hits[req.url] || 0) + 1;
+            if (req.url === '/gone.jpg' || (req.url === '/flaky.jpg' && hits[req.url] === 1)) {
+                res.writeHead(503).end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Content-Length': image.length }).end(image);
+        });
+    });
+
+    after(async () => {
+        await stub.close();
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    });
+
+    function setup() {
+        const db = createTestDatabase();
+        const mirror = createPosterMirror(db, { requireAuth: (req, res, next) => next() }, {
+            attempts: 3,
+            retryDelayMs: 1,
+            posters: { outputDir, urlPrefix: '/test-posters' },
+            log: () => {}
+        });
+        const addMovie = (title, file) => db.prepare('INSERT INTO movies (title, year, poster_url) VALUES (?, 2020, ?)')
+            .run(title, `${stub.url}/${file}`).lastInsertRowid;
+        return { db, mirror, addMovie };
+    }
+
+    it('copies a remote poster and records its checksum and fetch date', async () => {
+        const { db, mirror, addMovie } = setup();
+        const id = addMovie('Working', 'poster.jpg');
+
+        const startedAt = new Date().toISOString();
+        assert.deepEqual(await mirror.run(), { mirrored: 1, failed: [] });
+
+        const movie = db.prepare('SELECT * FROM movies WHERE id = ?').get(id);
+        assert.equal(movie.poster_checksum, crypto.createHash('sha256').update(image).digest('hex'));
+        assert.equal(movie.poster_mirrored_from, `${stub.url}/poster.jpg`);
+        assert.ok(movie.poster_fetched_at >= startedAt);
+        assert.equal(movie.poster_fetch_error, null);
+        assert.equal(movie.poster_width, 300);
+        assert.match(movie.poster_local, /^\/test-posters\/.+\.jpg$/);
+        assert.ok(fs.existsSync(path.join(outputDir, path.basename(movie.poster_local))));
+        assert.deepEqual(mirror.listBroken(), []);
+    });
+
+    it('retries a poster after a server error', async () => {
+        const { db, mirror, addMovie } = setup();
+        const id = addMovie('Flaky', 'flaky.jpg');
+
+        assert.deepEqual(await mirror.run(), { mirrored: 1, failed: [] });
+        assert.equal(hits['/flaky.jpg'], 2);
+        assert.ok(db.prepare('SELECT poster_local FROM movies WHERE id = ?').get(id).poster_local);
+    });
+
+    it('reports a broken link once every attempt failed', async () => {
+        const { mirror, addMovie } = setup();
+        const id = addMovie('Gone', 'gone.jpg');
+        const earlier = hits['/gone.jpg'] || 0;
+
+        const result = await mirror.run();
+        assert.equal(hits['/gone.jpg'] - earlier, 3);
+        assert.equal(result.mirrored, 0);
+        assert.deepEqual(result.failed, [{ id, title: 'Gone', poster_url: `${stub.url}/gone.jpg`, error: 'HTTP 503' }]);
+        assert.deepEqual(mirror.listBroken(), [
+            { id, title: 'Gone', poster_url: `${stub.url}/gone.jpg`, poster_fetch_error: 'HTTP 503' }
+        ]);
+    });
+});
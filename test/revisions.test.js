@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('revisions API', () => {
+    let server;
+    let original;
+
+    before(async () => {
+        server = await startServer();
+        original = (await server.request('GET', '/api/movies/5')).body;
+    });
+
+    after(() => server.stop());
+
+    function history() {
+        return server.request('GET', '/api/movies/5/revisions');
+    }
+
+    // The tests share movie 5 and run in order
+    it('records each change with what it changed, newest first', async () => {
+        const updated = await server.request('PUT', '/api/movies/5', {
+            title: `${original.title} (director's cut)`,
+            year: original.year,
+            synopsis: 'A new synopsis',
+            credits: [{ name: 'Jane Colourist', role: 'colourist' }]
+        });
+        assert.equal(updated.status, 200);
+
+        const { status, body: revisions } = await history();
+        assert.equal(status, 200);
+        assert.deepEqual(revisions.map(revision => revision.action), ['update', 'initial']);
+
+        const [update] = revisions;
+        assert.equal(update.username, 'admin');
+        assert.deepEqual(update.changes.title, { from: original.title, to: `${original.title} (director's cut)` });
+        assert.deepEqual(update.changes.synopsis, { from: original.synopsis, to: 'A new synopsis' });
+        assert.ok(update.changes.credits.to.includes('Jane Colourist'));
+        assert.equal(update.changes.year, undefined);
+    });
+
+    it('reverts a movie to an earlier revision and records the revert', async () => {
+        const { body: [, initial] } = await history();
+
+        const reverted = await server.request('POST', `/api/movies/5/revisions/${initial.id}/revert`);
+        assert.equal(reverted.status, 200);
+        assert.equal(reverted.body.title, original.title);
+        assert.equal(reverted.body.synopsis, original.synopsis);
+        assert.deepEqual(reverted.body.credits.map(({ name, role }) => ({ name, role })), original.credits.map(({ name, role }) => ({ name, role })));
+
+        const { body: revisions } = await history();
+        assert.deepEqual(revisions.map(revision => revision.action), ['revert', 'update', 'initial']);
+        assert.equal(revisions[0].reverted_from, initial.id);
+        assert.deepEqual(revisions[0].changes.title, { from: `${original.title} (director's cut)`, to: original.title });
+    });
+
+    it('answers 404 for an unknown movie or a revision of another movie', async () => {
+        assert.equal((await server.request('GET', '/api/movies/9999/revisions')).status, 404);
+
+        const { body: [latest] } = await history();
+        const other = await server.request('POST', `/api/movies/6/revisions/${latest.id}/revert`);
+        assert.equal(other.status, 404);
+        assert.equal(other.body.error, 'Revision not found');
+    });
+});
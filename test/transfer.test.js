@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createTransfer, toCsv, parseCsv } = require('../server/transfer');
+const { createTestDatabase } = require('./helpers/database');
+const { listen } = require('./helpers/http');
+
+// Values a spreadsheet would run as formulas, and lookalikes it would not
+const MOVIES = [
+    { title: '=HYPERLINK("https://evil.example","Click")', synopsis: '+SUM(A1:A9)', production_company: '@Risky Films' },
+    { title: '-Minus', synopsis: '\tTabbed', production_company: "'=Already quoted" },
+    { title: "'Allo 'Allo!", synopsis: 'Plain, with a comma', production_company: null }
+];
+
+async function withTransferApi(db, test) {
+    const user = db.prepare("INSERT INTO users (username, password_hash, role) VALUES ('admin', '', 'admin')").run();
+    const signedIn = (req, res, next) => {
+        req.user = { id: user.lastInsertRowid, username: 'admin' };
+        next();
+    };
+    const app = express();
+    app.use(express.json());
+    app.use('/api', createTransfer(db, { requireAuth: signedIn }).router);
+    const server = await listen(app);
+    try {
+        await test(server.url);
+    } finally {
+        await server.close();
+    }
+}
+
+describe('CSV export and import', () => {
+    it('quotes cells a spreadsheet would run as formulas', () => {
+        const csv = toCsv(MOVIES, ['title', 'synopsis', 'production_company']);
+        assert.deepEqual(parseCsv(csv), [
+            ['title', 'synopsis', 'production_company'],
+            ['\'=HYPERLINK("https://evil.example","Click")', "'+SUM(A1:A9)", "'@Risky Films"],
+            ["'-Minus", "'\tTabbed", "''=Already quoted"],
+            ["'Allo 'Allo!", 'Plain, with a comma', '']
+        ]);
+    });
+
+    it('reads exported values back as they were', async () => {
+        const source = createTestDatabase();
+        const insert = source.prepare('INSERT INTO movies (title, year, synopsis, production_company) VALUES (?, 2020, ?, ?)');
+        MOVIES.forEach(movie => insert.run(movie.title, movie.synopsis, movie.production_company));
+
+        let csv;
+        await withTransferApi(source, async url => {
+            const response = await fetch(`${url}/api/movies/export?format=csv`);
+            assert.equal(response.status, 200);
+            csv = await response.text();
+        });
+        assert.ok(csv.includes('\r\n"\'=HYPERLINK'));
+
+        const target = createTestDatabase();
+        await withTransferApi(target, async url => {
+            const form = new FormData();
+            form.append('file', new Blob([csv], { type: 'text/csv' }), 'movies.csv');
+            const response = await fetch(`${url}/api/movies/import`, { method: 'POST', body: form });
+            assert.equal(response.status, 200, await response.clone().text());
+        });
+
+        const imported = target.prepare('SELECT title, synopsis, production_company FROM movies ORDER BY title').all();
+        // The tab is trimmed off like any surrounding whitespace on import
+        const expected = MOVIES.map(movie => ({ ...movie, synopsis: movie.synopsis.trim() }));
+        assert.deepEqual(imported, expected.sort((a, b) => (a.title < b.title ? -1 : 1)));
+    });
+});
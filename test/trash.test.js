@@ -0,0 +1,81 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('trash API', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(() => server.stop());
+
+    async function listedIds() {
+        const { body } = await server.request('GET', '/api/movies');
+        return body.map(movie => movie.id);
+    }
+
+    async function trashedIds() {
+        const { body } = await server.request('GET', '/api/trash');
+        return body.map(movie => movie.id);
+    }
+
+    it('moves a deleted movie to the trash and restores it', async () => {
+        const deleted = await server.request('DELETE', '/api/movies/7');
+        assert.equal(deleted.status, 200);
+        assert.equal(deleted.body.message, 'Movie moved to trash');
+
+        assert.ok(!(await listedIds()).includes(7));
+        assert.equal((await server.request('GET', '/api/movies/7')).status, 404);
+
+        const { body: [trashed] } = await server.request('GET', '/api/trash');
+        assert.equal(trashed.id, 7);
+        assert.equal(trashed.deleted_by, 'admin');
+        assert.ok(trashed.purge_at > trashed.deleted_at);
+
+        const restored = await server.request('POST', '/api/trash/7/restore');
+        assert.equal(restored.status, 200);
+        assert.equal(restored.body.deleted_at, null);
+        assert.ok(restored.body.credits.length > 0);
+        assert.ok((await listedIds()).includes(7));
+        assert.deepEqual(await trashedIds(), []);
+
+        const { body: [latest] } = await server.request('GET', '/api/movies/7/revisions');
+        assert.equal(latest.action, 'restore');
+    });
+
+    it('only restores and purges movies that are in the trash', async () => {
+        for (const [method, pathname] of [['POST', '/api/trash/7/restore'], ['DELETE', '/api/trash/7'], ['POST', '/api/trash/9999/restore']]) {
+            const response = await server.request(method, pathname);
+            assert.equal(response.status, 404, `${method} ${pathname}`);
+            assert.equal(response.body.error, 'Movie not found in trash');
+        }
+    });
+
+    it('purges one movie, then empties the rest of the trash', async () => {
+        const ids = (await listedIds()).filter(id => id !== 7).slice(0, 3);
+        for (const id of ids) {
+            assert.equal((await server.request('DELETE', `/api/movies/${id}`)).status, 200);
+        }
+        assert.deepEqual((await trashedIds()).sort((a, b) => a - b), [...ids].sort((a, b) => a - b));
+
+        const [first, ...rest] = ids;
+        const purged = await server.request('DELETE', `/api/trash/${first}`);
+        assert.equal(purged.status, 200);
+        assert.equal(purged.body.message, 'Movie deleted permanently');
+        assert.deepEqual((await trashedIds()).sort((a, b) => a - b), [...rest].sort((a, b) => a - b));
+        assert.equal((await server.request('POST', `/api/trash/${first}/restore`)).status, 404);
+
+        const emptied = await server.request('DELETE', '/api/trash');
+        assert.equal(emptied.status, 200);
+        assert.equal(emptied.body.purged, 2);
+        assert.deepEqual(await trashedIds(), []);
+        assert.ok(!(await listedIds()).some(id => ids.includes(id)));
+
+        // The history of a purged movie can still be read
+        const { status, body: revisions } = await server.request('GET', `/api/movies/${first}/revisions`);
+        assert.equal(status, 200);
+        assert.deepEqual(revisions.slice(0, 2).map(revision => revision.action), ['purge', 'delete']);
+    });
+});
@@ -0,0 +1,65 @@
+/**
+ * Turns trailer and clip links into something a page can play. Used by the
+ * trailer modal in main.js and by the server-rendered project pages.
+ *
+ * getEmbed(url) returns { type: 'iframe', src } for YouTube and Vimeo links,
+ * { type: 'video', src } for direct links to video files, or null when the
+ * link can't be embedded. Start times from ?t=, ?start= or #t= carry over
+ * to the player.
+ */
+
+const VIDEO_FILE = /\.(mp4|m4v|webm|mov|ogv)$/i;
+
+// Seconds from a start time like 90, 90s, 1m30s or 1h2m3s; null if there is none
+function parseStartTime(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value)) return Number(value);
+    const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+    if (!match || !match[0]) return null;
+    return Number(match[1] || 0) * 3600 + Number(match[2] || 0) * 60 + Number(match[3] || 0);
+}
+
+// Pass { autoplay: false } for players that are on the page from the start
+function getEmbed(url, { autoplay = true } = {}) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return null;
+    }
+    const host = parsed.hostname.replace(/^(www|m)\./, '');
+    const hash = new URLSearchParams(parsed.hash.slice(1));
+    const start = parseStartTime(parsed.searchParams.get('t') || parsed.searchParams.get('start') || hash.get('t'));
+
+    if (['youtube.com', 'youtu.be', 'youtube-nocookie.com'].includes(host)) {
+        const path = host === 'youtu.be'
+            ? parsed.pathname.match(/^\/([\w-]+)/)
+            : parsed.pathname.match(/^\/(?:embed|shorts|live)\/([\w-]+)/);
+        const videoId = parsed.searchParams.get('v') || (path && path[1]);
+        if (!videoId || !/^[\w-]+$/.test(videoId)) return null;
+        const params = new URLSearchParams({ autoplay: autoplay ? 1 : 0, rel: 0 });
+        if (start) params.set('start', start);
+        return { type: 'iframe', src: `https://www.youtube.com/embed/${videoId}?${params}` };
+    }
+
+    if (host === 'vimeo.com' || host === 'player.vimeo.com') {
+        // Unlisted videos carry a privacy hash: vimeo.com/123/abc or ?h=abc
+        const path = parsed.pathname.match(/^\/(?:video\/|channels\/[\w-]+\/|groups\/[\w-]+\/videos\/)?(\d+)(?:\/([\da-f]+))?/);
+        if (!path) return null;
+        const params = new URLSearchParams({ autoplay: autoplay ? 1 : 0 });
+        const privacyHash = path[2] || parsed.searchParams.get('h');
+        if (privacyHash) params.set('h', privacyHash);
+        return { type: 'iframe', src: `https://player.vimeo.com/video/${path[1]}?${params}${start ? `#t=${start}s` : ''}` };
+    }
+
+    if (VIDEO_FILE.test(parsed.pathname)) {
+        parsed.hash = start ? `t=${start}` : '';
+        return { type: 'video', src: parsed.href };
+    }
+    return null;
+}
+
+// The server requires this file; browsers load it as a plain script
+if (typeof module !== 'undefined') {
+    module.exports = { getEmbed, parseStartTime };
+}